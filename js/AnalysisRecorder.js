@@ -0,0 +1,259 @@
+// ============================================================================
+// ANALYSIS RECORDER - Record & Replay Per-Frame Analysis Streams
+// Captures every frame's analysis object, simulation steps, draw decisions
+// and settings changes so a run can be regenerated later without audio
+// ============================================================================
+
+const RECORDING_FORMAT = 'celestial-harmonograph-recording';
+const RECORDING_VERSION = 2;
+
+// Seed random()/noise() and clear randomGaussian()'s cached second value,
+// which survives randomSeed() and would otherwise shift every later draw.
+function seedRandomness(seed) {
+  noiseSeed(seed);
+  randomSeed(seed);
+  const first = random();
+  randomSeed(seed);
+  randomGaussian();
+  // A fresh pair consumed the generator: its spare value is now cached
+  if (random() !== first) randomGaussian();
+  randomSeed(seed);
+}
+
+class AnalysisRecorder {
+  constructor(maxFrames = Infinity) {
+    this.isRecording = false;
+    this.recording = null;
+    this.pendingEvents = [];
+
+    // Frames kept at most; once full, further frames are dropped
+    this.maxFrames = maxFrames;
+
+    // Serialized value of each settings key at the last recorded frame
+    this.lastSettings = {};
+  }
+
+  // Begin a new recording. The caller rebuilds and resets the systems first
+  // so the recording starts from a blank canvas; randomness is seeded here
+  // so replays draw the same jitter. Passing another recording's seed makes
+  // both reseed identically.
+  start(source = '', seed = floor(random(1, 2147483647))) {
+    seedRandomness(seed);
+
+    const settings = Settings.getSnapshot();
+    this.lastSettings = {};
+    for (let key in settings) {
+      this.lastSettings[key] = JSON.stringify(settings[key]);
+    }
+
+    this.pendingEvents = [];
+    this.recording = {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      settingsVersion: SETTINGS_VERSION,
+      source,
+      seed,
+      width,
+      height,
+      createdAt: new Date().toISOString(),
+      settings,
+      frames: []
+    };
+    this.isRecording = true;
+    return this;
+  }
+
+  // Record one frame, before the systems step with it. time is the
+  // simulation clock at the start of the frame, steps the number of clock
+  // steps run and draws the draw decision for each. Each frame re-seeds
+  // random() so anything else drawing between frames cannot shift the sequence.
+  recordFrame(analysis, time, steps, draws) {
+    if (!this.isRecording || this.isFull()) return;
+
+    const frame = { t: time, steps, draw: draws, analysis };
+
+    const changes = this.getSettingsChanges();
+    if (changes) {
+      frame.settings = changes;
+    }
+    if (this.pendingEvents.length > 0) {
+      frame.events = this.pendingEvents;
+      this.pendingEvents = [];
+    }
+
+    randomSeed(this.recording.seed + this.recording.frames.length);
+    this.recording.frames.push(frame);
+  }
+
+  // Note a discrete action (e.g. 'reset') to replay on the next frame
+  recordEvent(name) {
+    if (this.isRecording) {
+      this.pendingEvents.push(name);
+    }
+  }
+
+  // Settings keys whose values differ from the last recorded frame
+  getSettingsChanges() {
+    const snapshot = Settings.getSnapshot();
+    let changes = null;
+
+    for (let key in snapshot) {
+      const serialized = JSON.stringify(snapshot[key]);
+      if (serialized !== this.lastSettings[key]) {
+        changes = changes || {};
+        changes[key] = snapshot[key];
+        this.lastSettings[key] = serialized;
+      }
+    }
+    return changes;
+  }
+
+  stop() {
+    this.isRecording = false;
+    return this.recording;
+  }
+
+  getFrameCount() {
+    return this.recording ? this.recording.frames.length : 0;
+  }
+
+  isFull() {
+    return this.getFrameCount() >= this.maxFrames;
+  }
+
+  save(filename = 'harmonograph-recording') {
+    if (!this.recording || this.recording.frames.length === 0) return;
+
+    const frames = this.recording.frames;
+    this.recording.frameCount = frames.length;
+    this.recording.duration = frames[frames.length - 1].t;
+
+    saveJSON(this.recording, filename + '.json', true);
+  }
+}
+
+// ============================================================================
+// ANALYSIS REPLAY - Stands in for AudioAnalyzer during playback of a recording
+// ============================================================================
+
+class AnalysisReplay {
+  constructor(recording) {
+    if (!AnalysisReplay.isValid(recording)) {
+      throw new Error('Not a harmonograph recording');
+    }
+
+    this.recording = recording;
+    this.frames = recording.frames;
+    this.frameIndex = -1;
+    this.finished = false;
+
+    // Version 1 recordings ran one step per frame at recorded times
+    this.isLegacy = recording.version < 2;
+
+    // Settings schema the recording was made with (not stored before
+    // schema versions, so those recordings get every migration)
+    this.settingsVersion = recording.settingsVersion || 0;
+
+    // Mirrors AudioAnalyzer.onsetMode for the debug label
+    this.onsetMode = recording.settings.onsetMode || 'energy';
+  }
+
+  static isValid(recording) {
+    return recording !== null && typeof recording === 'object' &&
+      recording.format === RECORDING_FORMAT &&
+      recording.version <= RECORDING_VERSION &&
+      !(recording.settingsVersion > SETTINGS_VERSION) &&
+      Array.isArray(recording.frames) && recording.frames.length > 0;
+  }
+
+  // Rewind and re-seed so the run repeats exactly
+  reset() {
+    this.frameIndex = -1;
+    this.finished = false;
+    seedRandomness(this.recording.seed);
+    return this;
+  }
+
+  // Advance to the next recorded frame (called once per draw, like analyze())
+  analyze() {
+    if (this.frameIndex < this.frames.length - 1) {
+      this.frameIndex++;
+      randomSeed(this.recording.seed + this.frameIndex);
+    } else {
+      this.finished = true;
+    }
+  }
+
+  getFrame() {
+    return this.frames[max(this.frameIndex, 0)];
+  }
+
+  getAnalysis() {
+    return this.getFrame().analysis;
+  }
+
+  getElapsedTime() {
+    return this.getFrame().t;
+  }
+
+  // Simulation steps the current frame ran when recorded
+  getStepCount() {
+    if (this.finished) return 0;
+    const frame = this.getFrame();
+    return frame.steps !== undefined ? frame.steps : 1;
+  }
+
+  shouldDraw(step = 0) {
+    if (this.finished) return false;
+    const draw = this.getFrame().draw;
+    return Array.isArray(draw) ? draw[step] === true : draw === true;
+  }
+
+  // The settings the recording started with, migrated to the current schema
+  getInitialSettings() {
+    return Settings.migrate(this.recording.settings, this.settingsVersion);
+  }
+
+  // Settings changed on this frame (null if none), migrated like the
+  // initial settings
+  getSettingsChanges() {
+    const changes = this.finished ? null : (this.getFrame().settings || null);
+    return changes && Settings.migrate(changes, this.settingsVersion);
+  }
+
+  // Discrete actions recorded on this frame
+  getEvents() {
+    return this.finished ? [] : (this.getFrame().events || []);
+  }
+
+  getProgress() {
+    return this.frames.length > 1 ? max(this.frameIndex, 0) / (this.frames.length - 1) : 1;
+  }
+
+  // ========================================
+  // AudioAnalyzer-compatible accessors
+  // ========================================
+
+  getPitchRadius(minRadius, maxRadius) {
+    return lerp(minRadius, maxRadius, 1 - this.getAnalysis().smoothedCentroid);
+  }
+
+  getPulseScale() {
+    return this.getAnalysis().pulseScale;
+  }
+
+  getBandPulseScale(band) {
+    const analysis = this.getAnalysis();
+    const state = analysis.bands ? analysis.bands[band] : null;
+    return state ? state.pulseScale : analysis.pulseScale;
+  }
+
+  getBandBeat(band) {
+    const analysis = this.getAnalysis();
+    const state = analysis.bands ? analysis.bands[band] : null;
+    if (state) {
+      return { isBeat: state.beat, intensity: state.intensity };
+    }
+    return { isBeat: analysis.isBeat, intensity: analysis.beatIntensity };
+  }
+}
@@ -1,8 +1,52 @@
 // ============================================================================
 // AUDIO ANALYZER - Multi-Band Beat Detection with Adaptive Thresholds
-// Supports independent detection for Bass, Mid, and Treble frequencies
+// Any number of frequency bands, each with its own independent detector
 // ============================================================================
 
+// Built-in bands. Bass/mid/treble match p5.FFT's named ranges and keep the
+// legacy bassBeat/midBeat/trebleBeat analysis fields working.
+const BUILT_IN_BANDS = [
+  {
+    id: 'bass', label: 'Bass (Kick)', lowHz: 20, highHz: 140,
+    threshold: 0.4,
+    cooldown: 200,       // ms between bass beats
+    cutoff: 0.3,         // Minimum threshold floor
+    decay: 0.95,         // Threshold decay rate
+    sensitivity: 1.5,    // Spike detection multiplier
+    lerp: 0.3,
+    pulseDecay: 0.92,    // Main "thump"
+    pulseStrength: 0.08,
+    cutoffScale: 1.0,    // Share of the global beat sensitivity cutoff
+    pulseStrengthScale: 1.0,
+  },
+  {
+    id: 'mid', label: 'Mid (Snare)', lowHz: 400, highHz: 2600,
+    threshold: 0.35,
+    cooldown: 150,
+    cutoff: 0.25,
+    decay: 0.93,
+    sensitivity: 1.4,
+    lerp: 0.25,
+    pulseDecay: 0.9,     // Snare hit
+    pulseStrength: 0.05,
+    cutoffScale: 0.85,
+    pulseStrengthScale: 0.6,
+  },
+  {
+    id: 'treble', label: 'Treble (Hi-hat)', lowHz: 5200, highHz: 14000,
+    threshold: 0.3,
+    cooldown: 100,       // Faster for hi-hats
+    cutoff: 0.2,
+    decay: 0.9,          // Faster decay for treble
+    sensitivity: 1.3,
+    lerp: 0.2,
+    pulseDecay: 0.85,    // Hi-hat shimmer
+    pulseStrength: 0.03,
+    cutoffScale: 0.7,
+    pulseStrengthScale: 0.4,
+  },
+];
+
 class AudioAnalyzer {
   constructor(historyLength = 60) {
     this.mic = null;
@@ -12,18 +56,8 @@ class AudioAnalyzer {
 
     this.historyLength = historyLength;
     this.volumeHistory = [];
-
-    // Separate histories for each frequency band
-    this.bassHistory = [];
-    this.midHistory = [];
-    this.trebleHistory = [];
-
-    // Initialize histories
     for (let i = 0; i < historyLength; i++) {
       this.volumeHistory.push(0);
-      this.bassHistory.push(0);
-      this.midHistory.push(0);
-      this.trebleHistory.push(0);
     }
 
     // Raw analysis values
@@ -32,89 +66,33 @@ class AudioAnalyzer {
     this.spectralCentroid = 0;
     this.trebleEnergy = 0;
 
-    // Frequency band energies (normalized 0-1)
-    this.bass = 0;
+    // Named p5 ranges used for tension detection
     this.lowMid = 0;
-    this.mid = 0;
     this.highMid = 0;
-    this.treble = 0;
 
     // ========================================
-    // MULTI-BAND BEAT DETECTION STATE
+    // FREQUENCY BANDS
+    // Map of band id -> band state (definition + detector + pulse)
     // ========================================
-
-    // Bass beat detection (Kick drums)
-    this.bassBeat = false;
-    this.bassBeatIntensity = 0;
-    this.bassThreshold = 0.4;
-    this.bassLastBeatTime = 0;
-    this.bassCooldown = 200;       // ms between bass beats
-    this.bassCutoff = 0.3;         // Minimum threshold floor
-    this.bassDecay = 0.95;         // Threshold decay rate
-    this.bassSensitivity = 1.5;    // Spike detection multiplier
-
-    // Mid beat detection (Snare/Vocals)
-    this.midBeat = false;
-    this.midBeatIntensity = 0;
-    this.midThreshold = 0.35;
-    this.midLastBeatTime = 0;
-    this.midCooldown = 150;        // ms between mid beats
-    this.midCutoff = 0.25;
-    this.midDecay = 0.93;
-    this.midSensitivity = 1.4;
-
-    // Treble beat detection (Hi-hats/Cymbals)
-    this.trebleBeat = false;
-    this.trebleBeatIntensity = 0;
-    this.trebleThreshold = 0.3;
-    this.trebleLastBeatTime = 0;
-    this.trebleCooldown = 100;     // ms between treble beats (faster)
-    this.trebleCutoff = 0.2;
-    this.trebleDecay = 0.9;        // Faster decay for treble
-    this.trebleSensitivity = 1.3;
+    this.bands = {};
+    for (let definition of BUILT_IN_BANDS) {
+      this.defineBand(definition.id, definition.lowHz, definition.highHz, definition);
+    }
 
     // Legacy: Combined beat (for backward compatibility)
     this.isBeat = false;
     this.beatIntensity = 0;
     this.beatThreshold = 0.4;
-    this.beatDecay = 0.95;
-    this.beatCutoff = 0.3;
     this.lastBeatTime = 0;
-    this.beatCooldown = 200;
 
     // Smoothed values for visual mapping
     this.smoothedCentroid = 0.5;
-    this.smoothedBass = 0;
-    this.smoothedMid = 0;
-    this.smoothedTreble = 0;
     this.smoothedVolume = 0;
 
     // Lerp speeds (higher = more responsive)
     this.centroidLerp = 0.15;
-    this.bassLerp = 0.3;
-    this.midLerp = 0.25;
-    this.trebleLerp = 0.2;
     this.volumeLerp = 0.25;
 
-    // ========================================
-    // PULSE STATE (per band)
-    // ========================================
-
-    // Bass pulse (main "thump")
-    this.bassPulseAmount = 1.0;
-    this.bassPulseDecay = 0.92;
-    this.bassPulseStrength = 0.08;
-
-    // Mid pulse (snare hit)
-    this.midPulseAmount = 1.0;
-    this.midPulseDecay = 0.9;
-    this.midPulseStrength = 0.05;
-
-    // Treble pulse (hi-hat shimmer)
-    this.treblePulseAmount = 1.0;
-    this.treblePulseDecay = 0.85;
-    this.treblePulseStrength = 0.03;
-
     // Legacy combined pulse
     this.pulseAmount = 1.0;
     this.pulseDecay = 0.92;
@@ -123,6 +101,177 @@ class AudioAnalyzer {
     // Tension detection (for noise/electricity)
     this.isTense = false;
     this.isHighIntensity = false;
+
+    // ========================================
+    // ONSET DETECTION MODE
+    // 'energy' = decaying threshold on band energy (default)
+    // 'flux'   = spectral flux over each band's FFT bins
+    // ========================================
+    this.onsetMode = 'energy';
+
+    // Previous normalized spectrum (for frame-to-frame flux)
+    this.previousSpectrum = null;
+
+    // Peak picking: flux must exceed mean(history) * multiplier + delta
+    this.fluxMultiplier = 1.5;
+    this.fluxDelta = 0.02;
+
+    // ========================================
+    // TEMPO ESTIMATION & BEAT PHASE TRACKING
+    // ========================================
+
+    // Onset strength envelope (combined flux) with frame timestamps
+    this.onsetEnvelope = [];
+    this.onsetEnvelopeTimes = [];
+    this.tempoWindow = 6000;          // ms of envelope used for autocorrelation
+    this.tempoResolution = 10;        // ms per resampled envelope step
+    this.tempoUpdateInterval = 30;    // frames between tempo estimates
+    this.tempoFrameCounter = 0;
+    this.minTempo = 60;
+    this.maxTempo = 200;
+    this.preferredTempo = 120;        // Center of the log-Gaussian tempo prior
+
+    // Estimated tempo (BPM) and how periodic the envelope is (0-1)
+    this.tempo = 0;
+    this.tempoConfidence = 0;
+
+    // A new estimate far from the current tempo must repeat before it is adopted
+    this.tempoCandidate = 0;
+    this.tempoCandidateCount = 0;
+
+    // Phase tracking: predicted beat grid nudged towards detected onsets
+    this.nextBeatTime = 0;
+    this.beatPhase = 0;               // 0 on the beat, rising to 1 just before the next
+    this.tempoBeat = false;           // True on frames where the predicted beat lands
+    this.phaseCorrection = 0.15;      // Fraction of onset timing error corrected per onset
+    this.timeToNextBeat = -1;         // ms until the next predicted beat (-1 = no tempo)
+
+    // ========================================
+    // OFFLINE TIMELINE
+    // Pre-analyzed file data (see OfflineAnalyzer), read by playback position
+    // ========================================
+    this.timeline = null;
+    this.timelineFrame = -1;          // Last timeline frame read
+    this.readingTimeline = false;     // True while analyze() reads the timeline
+    this.section = 0;                 // Index into timeline.sections
+    this.sectionChange = false;       // True on the frame a new section starts
+    this.timeToNextSection = -1;      // ms until the next section boundary (-1 = none)
+  }
+
+  // ========================================
+  // BAND DEFINITION API
+  // ========================================
+
+  // Define (or redefine) a band covering lowHz-highHz.
+  // Options override detector defaults: threshold, cooldown, cutoff, decay,
+  // sensitivity, lerp, pulseDecay, pulseStrength, cutoffScale, pulseStrengthScale, label
+  defineBand(id, lowHz, highHz, options = {}) {
+    const existing = this.bands[id];
+    const history = [];
+    const fluxHistory = [];
+    for (let i = 0; i < this.historyLength; i++) {
+      history.push(existing ? existing.history[i] : 0);
+      fluxHistory.push(existing ? existing.fluxHistory[i] : 0);
+    }
+
+    const option = (key, fallback) => {
+      if (options[key] !== undefined) return options[key];
+      if (existing) return existing[key];
+      return fallback;
+    };
+
+    this.bands[id] = {
+      id,
+      label: option('label', id),
+      lowHz,
+      highHz,
+
+      // Energy (normalized 0-1)
+      energy: existing ? existing.energy : 0,
+      smoothed: existing ? existing.smoothed : 0,
+      lerp: option('lerp', 0.25),
+      history,
+
+      // Spectral flux (mean positive bin increase, roughly 0-1)
+      flux: existing ? existing.flux : 0,
+      fluxHistory,
+
+      // Beat detection
+      beat: false,
+      beatIntensity: 0,
+      threshold: option('threshold', 0.35),
+      adaptiveThreshold: 0,
+      lastBeatTime: existing ? existing.lastBeatTime : 0,
+      cooldown: option('cooldown', 150),
+      cutoff: option('cutoff', 0.25),
+      decay: option('decay', 0.93),
+      sensitivity: option('sensitivity', 1.4),
+      cutoffScale: option('cutoffScale', 0.85),
+
+      // Pulse
+      pulseAmount: 1.0,
+      pulseDecay: option('pulseDecay', 0.9),
+      pulseStrength: option('pulseStrength', 0.05),
+      pulseStrengthScale: option('pulseStrengthScale', 0.6),
+    };
+
+    return this;
+  }
+
+  // Remove a custom band (built-in bands can be redefined but not removed)
+  removeBand(id) {
+    if (!BUILT_IN_BANDS.some(b => b.id === id)) {
+      delete this.bands[id];
+    }
+    return this;
+  }
+
+  // Apply a list of { id, lowHz, highHz, ...options } definitions
+  setBands(definitions) {
+    for (let definition of definitions) {
+      this.defineBand(definition.id, definition.lowHz, definition.highHz, definition);
+    }
+    return this;
+  }
+
+  // Update detector parameters of a band without resetting its history
+  setBandParams(id, params) {
+    const band = this.bands[id];
+    if (band) {
+      Object.assign(band, params);
+    }
+    return this;
+  }
+
+  getBand(id) {
+    return this.bands[id] || null;
+  }
+
+  getBandIds() {
+    return Object.keys(this.bands);
+  }
+
+  getBandFlux(id) {
+    return this.bands[id] ? this.bands[id].flux : 0;
+  }
+
+  // Global beat sensitivity (0-1) -> per-band threshold floors
+  setSensitivity(sensitivity) {
+    const cutoffRange = map(sensitivity, 0, 1, 0.5, 0.15);
+    for (let id in this.bands) {
+      this.bands[id].cutoff = cutoffRange * this.bands[id].cutoffScale;
+    }
+    this.fluxDelta = map(sensitivity, 0, 1, 0.05, 0.005);
+    return this;
+  }
+
+  // Global pulse strength (fraction, e.g. 0.08) -> per-band pulse strengths
+  setPulseStrength(strength) {
+    for (let id in this.bands) {
+      this.bands[id].pulseStrength = strength * this.bands[id].pulseStrengthScale;
+    }
+    this.pulseStrength = strength;
+    return this;
   }
 
   initMicrophone() {
@@ -139,6 +288,7 @@ class AudioAnalyzer {
 
   initAudioFile(audioFile) {
     this.audioFile = audioFile;
+    this.clearTimeline();
 
     this.fft = new p5.FFT(0.8, 512);
     this.fft.setInput(audioFile);
@@ -147,9 +297,64 @@ class AudioAnalyzer {
     this.amplitude.setInput(audioFile);
   }
 
+  // Use a pre-analyzed timeline for the current audio file
+  setTimeline(timeline) {
+    this.timeline = timeline;
+    this.timelineFrame = -1;
+    this.section = 0;
+    this.sectionChange = false;
+    return this;
+  }
+
+  clearTimeline() {
+    this.timeline = null;
+    this.timelineFrame = -1;
+    this.section = 0;
+    this.sectionChange = false;
+    this.timeToNextSection = -1;
+    return this;
+  }
+
+  hasTimeline() {
+    return this.timeline !== null;
+  }
+
+  // Rewind timeline playback and clear smoothing, history and pulse state,
+  // so reading the timeline from the start gives the same values every time
+  resetTimelinePlayback() {
+    this.timelineFrame = -1;
+    this.section = 0;
+    this.sectionChange = false;
+    this.timeToNextSection = -1;
+
+    this.volumeHistory.fill(0);
+    this.smoothedVolume = 0;
+    this.smoothedCentroid = 0.5;
+    this.pulseAmount = 1.0;
+
+    for (let id in this.bands) {
+      const band = this.bands[id];
+      band.energy = 0;
+      band.smoothed = 0;
+      band.flux = 0;
+      band.history.fill(0);
+      band.fluxHistory.fill(0);
+      band.pulseAmount = 1.0;
+    }
+    return this;
+  }
+
   analyze(audioMode) {
     if (!this.fft) return;
 
+    // Pre-analyzed file: read the timeline at the playback position instead
+    // (its beats come from offline flux peak picking, whatever onsetMode is)
+    this.readingTimeline = audioMode === 'file' && this.hasTimeline() && !!this.audioFile;
+    if (this.readingTimeline) {
+      this.analyzeTimeline(this.audioFile.currentTime() * 1000);
+      return;
+    }
+
     // Get raw volume
     if (audioMode === 'mic' && this.mic) {
       this.volume = this.mic.getLevel();
@@ -169,17 +374,18 @@ class AudioAnalyzer {
     this.smoothedCentroid = lerp(this.smoothedCentroid, normalizedCentroid, this.centroidLerp);
     this.spectralCentroid = this.smoothedCentroid;
 
-    // Get frequency band energies (0-255 range from p5, normalize to 0-1)
-    this.bass = this.fft.getEnergy("bass") / 255;           // 20-140 Hz
+    // Named ranges still used for tension detection (0-255 from p5, normalize to 0-1)
     this.lowMid = this.fft.getEnergy("lowMid") / 255;       // 140-400 Hz
-    this.mid = this.fft.getEnergy("mid") / 255;             // 400-2600 Hz
     this.highMid = this.fft.getEnergy("highMid") / 255;     // 2600-5200 Hz
-    this.treble = this.fft.getEnergy("treble") / 255;       // 5200-14000 Hz
 
-    // Smooth the frequency bands
-    this.smoothedBass = lerp(this.smoothedBass, this.bass, this.bassLerp);
-    this.smoothedMid = lerp(this.smoothedMid, this.mid, this.midLerp);
-    this.smoothedTreble = lerp(this.smoothedTreble, this.treble, this.trebleLerp);
+    // Band energies, smoothing and histories
+    for (let id in this.bands) {
+      const band = this.bands[id];
+      band.energy = this.fft.getEnergy(band.lowHz, band.highHz) / 255;
+      band.smoothed = lerp(band.smoothed, band.energy, band.lerp);
+      band.history.push(band.energy);
+      band.history.shift();
+    }
     this.smoothedVolume = lerp(this.smoothedVolume, this.volume, this.volumeLerp);
 
     // Update volume history
@@ -187,15 +393,8 @@ class AudioAnalyzer {
     this.volumeHistory.shift();
     this.avgVolume = this.volumeHistory.reduce((a, b) => a + b, 0) / this.historyLength;
 
-    // Update band histories
-    this.bassHistory.push(this.bass);
-    this.bassHistory.shift();
-
-    this.midHistory.push(this.mid);
-    this.midHistory.shift();
-
-    this.trebleHistory.push(this.treble);
-    this.trebleHistory.shift();
+    // Spectral flux per band (always tracked so switching modes is seamless)
+    this.updateSpectralFlux(spectrum);
 
     // ========================================
     // MULTI-BAND BEAT DETECTION
@@ -203,109 +402,227 @@ class AudioAnalyzer {
 
     const currentTime = millis();
 
-    // Detect bass beat (kick drums)
-    const bassResult = this.detectBeat(
-      this.bass,
-      this.bassHistory,
-      this.bassThreshold,
-      this.bassLastBeatTime,
-      this.bassCooldown,
-      this.bassCutoff,
-      this.bassDecay,
-      this.bassSensitivity,
-      currentTime
-    );
-    this.bassBeat = bassResult.isBeat;
-    this.bassBeatIntensity = bassResult.intensity;
-    this.bassThreshold = bassResult.threshold;
-    if (bassResult.isBeat) {
-      this.bassLastBeatTime = currentTime;
-      this.bassPulseAmount = 1.0 + (this.bassPulseStrength * bassResult.intensity);
-    }
-
-    // Detect mid beat (snare/vocals)
-    const midResult = this.detectBeat(
-      this.mid,
-      this.midHistory,
-      this.midThreshold,
-      this.midLastBeatTime,
-      this.midCooldown,
-      this.midCutoff,
-      this.midDecay,
-      this.midSensitivity,
-      currentTime
-    );
-    this.midBeat = midResult.isBeat;
-    this.midBeatIntensity = midResult.intensity;
-    this.midThreshold = midResult.threshold;
-    if (midResult.isBeat) {
-      this.midLastBeatTime = currentTime;
-      this.midPulseAmount = 1.0 + (this.midPulseStrength * midResult.intensity);
-    }
-
-    // Detect treble beat (hi-hats/cymbals)
-    const trebleResult = this.detectBeat(
-      this.treble,
-      this.trebleHistory,
-      this.trebleThreshold,
-      this.trebleLastBeatTime,
-      this.trebleCooldown,
-      this.trebleCutoff,
-      this.trebleDecay,
-      this.trebleSensitivity,
-      currentTime
-    );
-    this.trebleBeat = trebleResult.isBeat;
-    this.trebleBeatIntensity = trebleResult.intensity;
-    this.trebleThreshold = trebleResult.threshold;
-    if (trebleResult.isBeat) {
-      this.trebleLastBeatTime = currentTime;
-      this.treblePulseAmount = 1.0 + (this.treblePulseStrength * trebleResult.intensity);
+    for (let id in this.bands) {
+      const band = this.bands[id];
+      const result = this.onsetMode === 'flux'
+        ? this.detectOnset(band, currentTime)
+        : this.detectBeat(band, currentTime);
+
+      this.applyBeatResult(band, result, currentTime);
     }
 
+    this.updatePulses(currentTime);
+
+    // ========================================
+    // TEMPO & BEAT PHASE
+    // ========================================
+    this.updateTempo(currentTime);
+
+    this.updateTension();
+  }
+
+  applyBeatResult(band, result, currentTime) {
+    band.beat = result.isBeat;
+    band.beatIntensity = result.intensity;
+    // Only the energy detector owns band.threshold (its decaying state);
+    // flux results carry just the adaptive threshold
+    if (result.threshold !== undefined) {
+      band.threshold = result.threshold;
+    }
+    band.adaptiveThreshold = result.dynamicThreshold;
+    if (result.isBeat) {
+      band.lastBeatTime = currentTime;
+      band.pulseAmount = 1.0 + (band.pulseStrength * result.intensity);
+    }
+  }
+
+  updatePulses(currentTime) {
     // ========================================
     // LEGACY COMBINED BEAT (backward compatibility)
     // Uses bass beat as primary, triggered by any beat
     // ========================================
-    this.isBeat = this.bassBeat;
-    this.beatIntensity = this.bassBeatIntensity;
-    this.beatThreshold = this.bassThreshold;
-    if (this.bassBeat) {
+    const bass = this.bands.bass;
+    this.isBeat = bass.beat;
+    this.beatIntensity = bass.beatIntensity;
+    this.beatThreshold = bass.threshold;
+    if (bass.beat) {
       this.lastBeatTime = currentTime;
       this.pulseAmount = 1.0 + (this.pulseStrength * this.beatIntensity);
     }
+  }
 
-    // ========================================
-    // DECAY PULSES
-    // ========================================
-    this.bassPulseAmount = lerp(this.bassPulseAmount, 1.0, 1 - this.bassPulseDecay);
-    this.midPulseAmount = lerp(this.midPulseAmount, 1.0, 1 - this.midPulseDecay);
-    this.treblePulseAmount = lerp(this.treblePulseAmount, 1.0, 1 - this.treblePulseDecay);
+  // Decay all pulses by one simulation step. Called by the simulation
+  // clock rather than per analysis so pulses fade at the same rate at
+  // any frame rate.
+  decayPulses() {
+    for (let id in this.bands) {
+      const band = this.bands[id];
+      band.pulseAmount = lerp(band.pulseAmount, 1.0, 1 - band.pulseDecay);
+      // Snap to 1.0 if close
+      if (abs(band.pulseAmount - 1.0) < 0.001) band.pulseAmount = 1.0;
+    }
     this.pulseAmount = lerp(this.pulseAmount, 1.0, 1 - this.pulseDecay);
-
-    // Snap to 1.0 if close
-    if (abs(this.bassPulseAmount - 1.0) < 0.001) this.bassPulseAmount = 1.0;
-    if (abs(this.midPulseAmount - 1.0) < 0.001) this.midPulseAmount = 1.0;
-    if (abs(this.treblePulseAmount - 1.0) < 0.001) this.treblePulseAmount = 1.0;
     if (abs(this.pulseAmount - 1.0) < 0.001) this.pulseAmount = 1.0;
+  }
 
+  updateTension() {
     // ========================================
     // TENSION DETECTION (for electricity/noise)
     // ========================================
+    const treble = this.bands.treble.energy;
     this.isTense = this.volume > this.avgVolume * 1.2 && this.volume > 0.02;
-    this.isHighIntensity = this.treble > 0.2 || this.highMid > 0.5;
+    this.isHighIntensity = treble > 0.2 || this.highMid > 0.5;
 
     // Also tense during any beat
-    if (this.bassBeat || this.midBeat || this.trebleBeat) {
-      this.isTense = true;
+    for (let id in this.bands) {
+      if (this.bands[id].beat) {
+        this.isTense = true;
+      }
+    }
+  }
+
+  // ========================================
+  // TIMELINE PLAYBACK
+  // Reads pre-analyzed frames for the given playback time (ms).
+  // Onsets in frames skipped since the last read still fire, so beats
+  // are identical on every play regardless of display frame rate.
+  // ========================================
+  analyzeTimeline(time) {
+    const timeline = this.timeline;
+    const fps = timeline.frameRate;
+    const frame = constrain(floor(time / 1000 * fps), 0, timeline.frameCount - 1);
+
+    // Start fresh after a seek, loop or stall instead of replaying every skipped beat
+    let fromFrame = this.timelineFrame + 1;
+    if (this.timelineFrame < 0 || frame < this.timelineFrame || frame - this.timelineFrame > fps) {
+      fromFrame = frame;
+    }
+
+    const currentTime = millis();
+
+    this.volume = timeline.volume[frame];
+    this.smoothedVolume = lerp(this.smoothedVolume, this.volume, this.volumeLerp);
+    this.volumeHistory.push(this.volume);
+    this.volumeHistory.shift();
+    this.avgVolume = this.volumeHistory.reduce((a, b) => a + b, 0) / this.historyLength;
+
+    this.smoothedCentroid = lerp(this.smoothedCentroid, timeline.centroid[frame], this.centroidLerp);
+    this.spectralCentroid = this.smoothedCentroid;
+
+    this.lowMid = timeline.lowMid[frame];
+    this.highMid = timeline.highMid[frame];
+
+    for (let id in this.bands) {
+      const band = this.bands[id];
+      const data = timeline.bands[id];
+
+      // Bands defined after the analysis ran stay silent until re-analysis
+      if (!data) {
+        band.beat = false;
+        band.beatIntensity = 0;
+        continue;
+      }
+
+      band.energy = data.energy[frame];
+      band.smoothed = lerp(band.smoothed, band.energy, band.lerp);
+      band.history.push(band.energy);
+      band.history.shift();
+      band.flux = data.flux[frame];
+      band.fluxHistory.push(band.flux);
+      band.fluxHistory.shift();
+
+      let isBeat = false;
+      let intensity = 0;
+      for (let f = fromFrame; f <= frame; f++) {
+        if (data.beats[f]) {
+          isBeat = true;
+          intensity = max(intensity, data.intensity[f]);
+        }
+      }
+
+      this.applyBeatResult(band, {
+        isBeat,
+        intensity,
+        dynamicThreshold: data.threshold[frame]
+      }, currentTime);
+    }
+
+    this.updatePulses(currentTime);
+    this.updateTimelineTempo(time, fromFrame, frame);
+    this.updateTimelineSection(time);
+    this.updateTension();
+
+    this.timelineFrame = frame;
+  }
+
+  // Beat phase and look-ahead from the pre-computed beat grid
+  updateTimelineTempo(time, fromFrame, frame) {
+    const timeline = this.timeline;
+    const beats = timeline.beatTimes;
+    const fps = timeline.frameRate;
+
+    this.tempo = timeline.tempo;
+    this.tempoConfidence = timeline.tempoConfidence;
+    this.tempoBeat = false;
+    this.timeToNextBeat = -1;
+    this.beatPhase = 0;
+    if (beats.length === 0 || this.tempo <= 0) return;
+
+    // Last beat at or before the playback time (binary search)
+    let low = 0;
+    let high = beats.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const midIndex = (low + high) >> 1;
+      if (beats[midIndex] <= time) {
+        index = midIndex;
+        low = midIndex + 1;
+      } else {
+        high = midIndex - 1;
+      }
+    }
+
+    if (index >= 0) {
+      const beatFrame = round(beats[index] / 1000 * fps);
+      this.tempoBeat = beatFrame >= fromFrame && beatFrame <= frame;
+    }
+
+    if (index < 0) {
+      // Before the first beat
+      this.timeToNextBeat = beats[0] - time;
+    } else if (index < beats.length - 1) {
+      const interval = beats[index + 1] - beats[index];
+      this.beatPhase = constrain((time - beats[index]) / interval, 0, 1);
+      this.timeToNextBeat = beats[index + 1] - time;
+    } else {
+      // Past the last tracked beat: extrapolate at the global tempo
+      const period = 60000 / this.tempo;
+      const sinceBeat = (time - beats[index]) % period;
+      this.beatPhase = sinceBeat / period;
+      this.timeToNextBeat = period - sinceBeat;
     }
   }
 
+  updateTimelineSection(time) {
+    const sections = this.timeline.sections;
+    let section = 0;
+    while (section < sections.length - 1 && time >= sections[section].end) {
+      section++;
+    }
+
+    this.sectionChange = this.timelineFrame >= 0 && section !== this.section;
+    this.section = section;
+    this.timeToNextSection = section < sections.length - 1 ? sections[section].end - time : -1;
+  }
+
   // ========================================
   // GENERALIZED BEAT DETECTION METHOD
   // Uses adaptive threshold with sliding window
   // ========================================
-  detectBeat(energy, history, threshold, lastBeatTime, cooldown, cutoff, decay, sensitivity, currentTime) {
+  detectBeat(band, currentTime) {
+    const energy = band.energy;
+    const history = band.history;
+    let threshold = band.threshold;
     let isBeat = false;
     let intensity = 0;
 
@@ -315,7 +632,7 @@ class AudioAnalyzer {
     // Adaptive multiplier based on average energy level
     // Higher avgEnergy = lower multiplier (less sensitivity needed)
     // Lower avgEnergy = higher multiplier (more sensitivity needed)
-    const adaptiveMultiplier = map(avgEnergy, 0, 1, sensitivity, sensitivity * 0.8);
+    const adaptiveMultiplier = map(avgEnergy, 0, 1, band.sensitivity, band.sensitivity * 0.8);
 
     // Dynamic threshold based on local average
     // Cap at 0.98 to ensure the energy can always exceed it
@@ -325,13 +642,13 @@ class AudioAnalyzer {
     const isRising = energy > history[history.length - 2];
 
     // Time since last beat
-    const timeSinceLast = currentTime - lastBeatTime;
+    const timeSinceLast = currentTime - band.lastBeatTime;
 
     // Beat detection logic
     if (energy > threshold &&           // Above decaying threshold
         energy > dynamicThreshold &&    // Above adaptive threshold
         isRising &&                      // On rising edge
-        timeSinceLast > cooldown) {      // Past cooldown period
+        timeSinceLast > band.cooldown) { // Past cooldown period
 
       isBeat = true;
       intensity = map(energy, threshold, 1, 0.5, 1);
@@ -342,7 +659,7 @@ class AudioAnalyzer {
     }
 
     // Decay the threshold
-    threshold = max(threshold * decay, cutoff);
+    threshold = max(threshold * band.decay, band.cutoff);
 
     return {
       isBeat,
@@ -353,6 +670,227 @@ class AudioAnalyzer {
     };
   }
 
+  // ========================================
+  // SPECTRAL FLUX
+  // Sum of positive bin-to-bin increases over each band's bins
+  // ========================================
+  updateSpectralFlux(spectrum) {
+    const normalized = spectrum.map(v => v / 255);
+    const hasPrevious = this.previousSpectrum && this.previousSpectrum.length === normalized.length;
+
+    for (let id in this.bands) {
+      const band = this.bands[id];
+      if (hasPrevious) {
+        band.flux = this.bandFlux(normalized, this.previousSpectrum, band.lowHz, band.highHz);
+      }
+      band.fluxHistory.push(band.flux);
+      band.fluxHistory.shift();
+    }
+    this.previousSpectrum = normalized;
+  }
+
+  bandFlux(spectrum, previous, lowHz, highHz) {
+    const [startBin, endBin] = this.frequencyToBins(lowHz, highHz, spectrum.length);
+
+    let flux = 0;
+    for (let i = startBin; i <= endBin; i++) {
+      // Half-wave rectify: only rising energy counts as an onset
+      flux += max(0, spectrum[i] - previous[i]);
+    }
+    return flux / (endBin - startBin + 1);
+  }
+
+  // Same Hz-to-bin mapping p5.FFT.getEnergy() uses
+  frequencyToBins(lowHz, highHz, binCount) {
+    const nyquist = sampleRate() / 2;
+    const lowBin = constrain(round(lowHz / nyquist * binCount), 0, binCount - 1);
+    const highBin = constrain(round(highHz / nyquist * binCount), lowBin, binCount - 1);
+    return [lowBin, highBin];
+  }
+
+  // ========================================
+  // SPECTRAL FLUX ONSET DETECTION
+  // Adaptive peak picking: the previous frame is an onset if it is a
+  // local maximum above mean(history) * multiplier + delta.
+  // Reports one frame late (~16ms) in exchange for no double-firing on swells.
+  // ========================================
+  detectOnset(band, currentTime) {
+    const fluxHistory = band.fluxHistory;
+    const n = fluxHistory.length;
+    const current = fluxHistory[n - 1];
+    const candidate = fluxHistory[n - 2];
+    const before = fluxHistory[n - 3];
+
+    const avgFlux = fluxHistory.reduce((a, b) => a + b, 0) / n;
+    const dynamicThreshold = avgFlux * this.fluxMultiplier + this.fluxDelta;
+
+    let isBeat = false;
+    let intensity = 0;
+
+    if (candidate > dynamicThreshold &&     // Above adaptive threshold
+        candidate > before &&                // Local maximum...
+        candidate >= current &&              // ...confirmed by the next frame
+        currentTime - band.lastBeatTime > band.cooldown) {
+
+      isBeat = true;
+      intensity = map(candidate, dynamicThreshold, dynamicThreshold * 3, 0.5, 1);
+      intensity = constrain(intensity, 0.5, 1);
+    }
+
+    return {
+      isBeat,
+      intensity,
+      dynamicThreshold,
+      avgEnergy: avgFlux
+    };
+  }
+
+  setOnsetMode(mode) {
+    if (['energy', 'flux'].includes(mode)) {
+      this.onsetMode = mode;
+    }
+    return this;
+  }
+
+  // ========================================
+  // TEMPO ESTIMATION
+  // Autocorrelation of the onset envelope, weighted by a tempo prior
+  // ========================================
+  updateTempo(currentTime) {
+    // Weight the bass band so kicks dominate the pulse
+    const onsetStrength = this.getBandFlux('bass') + this.getBandFlux('mid') * 0.5 + this.getBandFlux('treble') * 0.25;
+    this.onsetEnvelope.push(onsetStrength);
+    this.onsetEnvelopeTimes.push(currentTime);
+    while (this.onsetEnvelopeTimes.length > 0 && currentTime - this.onsetEnvelopeTimes[0] > this.tempoWindow) {
+      this.onsetEnvelope.shift();
+      this.onsetEnvelopeTimes.shift();
+    }
+
+    this.tempoFrameCounter++;
+    if (this.tempoFrameCounter >= this.tempoUpdateInterval) {
+      this.tempoFrameCounter = 0;
+      this.estimateTempo();
+    }
+
+    this.updateBeatPhase(currentTime);
+  }
+
+  estimateTempo() {
+    const envelope = this.resampleEnvelope();
+    const maxLag = round(60000 / this.minTempo / this.tempoResolution);
+    const minLag = round(60000 / this.maxTempo / this.tempoResolution);
+    if (envelope.length < maxLag * 2) return;
+
+    // Remove DC so the autocorrelation measures periodicity, not loudness
+    const mean = envelope.reduce((a, b) => a + b, 0) / envelope.length;
+    const centered = envelope.map(v => v - mean);
+
+    const acf = (lag) => {
+      let sum = 0;
+      for (let i = 0; i + lag < centered.length; i++) {
+        sum += centered[i] * centered[i + lag];
+      }
+      return sum / (centered.length - lag);
+    };
+
+    const energy = acf(0);
+    if (energy <= 0) return;
+
+    const scores = [];
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      const bpm = 60000 / (lag * this.tempoResolution);
+      // Log-Gaussian prior (one octave sigma) resolves half/double tempo ambiguity
+      const octaves = log(bpm / this.preferredTempo) / log(2);
+      const score = acf(lag) * exp(-0.5 * octaves * octaves);
+      scores[lag] = score;
+      if (lag >= minLag && lag <= maxLag && score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag < 0) return;
+
+    // Parabolic interpolation for sub-step lag precision
+    const a = scores[bestLag - 1];
+    const b = scores[bestLag];
+    const c = scores[bestLag + 1];
+    const denom = a - 2 * b + c;
+    const offset = denom !== 0 ? constrain(0.5 * (a - c) / denom, -0.5, 0.5) : 0;
+
+    const estimate = 60000 / ((bestLag + offset) * this.tempoResolution);
+    const confidence = constrain(acf(bestLag) / energy, 0, 1);
+
+    if (this.tempo === 0 || abs(estimate - this.tempo) / this.tempo < 0.08) {
+      this.tempo = this.tempo === 0 ? estimate : lerp(this.tempo, estimate, 0.3);
+      this.tempoCandidateCount = 0;
+    } else if (abs(estimate - this.tempoCandidate) / estimate < 0.08) {
+      this.tempoCandidateCount++;
+      if (this.tempoCandidateCount >= 3) {
+        this.tempo = estimate;
+        this.tempoCandidateCount = 0;
+      }
+    } else {
+      this.tempoCandidate = estimate;
+      this.tempoCandidateCount = 1;
+    }
+
+    this.tempoConfidence = lerp(this.tempoConfidence, confidence, 0.5);
+  }
+
+  // Resample the frame-rate envelope onto a fixed time grid
+  resampleEnvelope() {
+    const times = this.onsetEnvelopeTimes;
+    const values = this.onsetEnvelope;
+    const resampled = [];
+    if (times.length < 2) return resampled;
+
+    let j = 0;
+    for (let t = times[0]; t <= times[times.length - 1]; t += this.tempoResolution) {
+      while (j < times.length - 2 && times[j + 1] < t) j++;
+      const span = times[j + 1] - times[j];
+      const f = span > 0 ? constrain((t - times[j]) / span, 0, 1) : 0;
+      resampled.push(lerp(values[j], values[j + 1], f));
+    }
+    return resampled;
+  }
+
+  // ========================================
+  // BEAT PHASE TRACKING
+  // Predicted beat grid, pulled towards kick/snare onsets
+  // ========================================
+  updateBeatPhase(currentTime) {
+    this.tempoBeat = false;
+    if (this.tempo <= 0) return;
+
+    const period = 60000 / this.tempo;
+
+    if (this.nextBeatTime === 0) {
+      this.nextBeatTime = currentTime + period;
+    }
+
+    // Pull the grid towards the nearest predicted beat on each kick/snare.
+    // Small corrections average out off-beat hits while still acquiring
+    // the phase from scratch within a few bars.
+    if (this.bands.bass.beat || this.bands.mid.beat) {
+      const previousBeat = this.nextBeatTime - period;
+      const errorToPrevious = currentTime - previousBeat;
+      const errorToNext = currentTime - this.nextBeatTime;
+      const error = abs(errorToPrevious) < abs(errorToNext) ? errorToPrevious : errorToNext;
+      this.nextBeatTime += error * this.phaseCorrection;
+    }
+
+    // Advance past beats that have landed (catch up after stalls)
+    while (currentTime >= this.nextBeatTime) {
+      this.nextBeatTime += period;
+      this.tempoBeat = true;
+    }
+
+    this.beatPhase = constrain(1 - (this.nextBeatTime - currentTime) / period, 0, 1);
+    this.timeToNextBeat = this.nextBeatTime - currentTime;
+  }
+
   // Get pitch-mapped radius (for Planet B orbit)
   // Low pitch = large radius, High pitch = small radius
   getPitchRadius(minRadius, maxRadius) {
@@ -365,28 +903,41 @@ class AudioAnalyzer {
     return this.pulseAmount;
   }
 
-  // Get pulse scale for specific frequency band
+  // Get pulse scale for any band id (falls back to the legacy combined pulse)
   getBandPulseScale(band) {
-    switch (band) {
-      case 'bass': return this.bassPulseAmount;
-      case 'mid': return this.midPulseAmount;
-      case 'treble': return this.treblePulseAmount;
-      default: return this.pulseAmount;
-    }
+    const state = this.bands[band];
+    return state ? state.pulseAmount : this.pulseAmount;
   }
 
-  // Get beat state for specific frequency band
+  // Get beat state for any band id (falls back to the legacy combined beat)
   getBandBeat(band) {
-    switch (band) {
-      case 'bass': return { isBeat: this.bassBeat, intensity: this.bassBeatIntensity };
-      case 'mid': return { isBeat: this.midBeat, intensity: this.midBeatIntensity };
-      case 'treble': return { isBeat: this.trebleBeat, intensity: this.trebleBeatIntensity };
-      default: return { isBeat: this.isBeat, intensity: this.beatIntensity };
+    const state = this.bands[band];
+    if (state) {
+      return { isBeat: state.beat, intensity: state.beatIntensity };
     }
+    return { isBeat: this.isBeat, intensity: this.beatIntensity };
   }
 
   // Get analysis results
   getAnalysis() {
+    const bass = this.bands.bass;
+    const mid = this.bands.mid;
+    const treble = this.bands.treble;
+
+    // Per-band results keyed by band id
+    const bands = {};
+    for (let id in this.bands) {
+      const band = this.bands[id];
+      bands[id] = {
+        energy: band.energy,
+        smoothed: band.smoothed,
+        flux: band.flux,
+        beat: band.beat,
+        intensity: band.beatIntensity,
+        pulseScale: band.pulseAmount,
+      };
+    }
+
     return {
       volume: this.volume,
       smoothedVolume: this.smoothedVolume,
@@ -395,22 +946,30 @@ class AudioAnalyzer {
       smoothedCentroid: this.smoothedCentroid,
 
       // Frequency bands
-      bass: this.bass,
-      smoothedBass: this.smoothedBass,
+      bass: bass.energy,
+      smoothedBass: bass.smoothed,
       lowMid: this.lowMid,
-      mid: this.mid,
-      smoothedMid: this.smoothedMid,
+      mid: mid.energy,
+      smoothedMid: mid.smoothed,
       highMid: this.highMid,
-      treble: this.treble,
-      smoothedTreble: this.smoothedTreble,
+      treble: treble.energy,
+      smoothedTreble: treble.smoothed,
 
       // Multi-band beat detection
-      bassBeat: this.bassBeat,
-      bassBeatIntensity: this.bassBeatIntensity,
-      midBeat: this.midBeat,
-      midBeatIntensity: this.midBeatIntensity,
-      trebleBeat: this.trebleBeat,
-      trebleBeatIntensity: this.trebleBeatIntensity,
+      bassBeat: bass.beat,
+      bassBeatIntensity: bass.beatIntensity,
+      midBeat: mid.beat,
+      midBeatIntensity: mid.beatIntensity,
+      trebleBeat: treble.beat,
+      trebleBeatIntensity: treble.beatIntensity,
+
+      // Spectral flux per band
+      bassFlux: bass.flux,
+      midFlux: mid.flux,
+      trebleFlux: treble.flux,
+
+      // All bands (built-in and custom)
+      bands,
 
       // Legacy combined beat detection (backward compatibility)
       isBeat: this.isBeat,
@@ -418,16 +977,28 @@ class AudioAnalyzer {
       pulseScale: this.pulseAmount,
 
       // Per-band pulse scales
-      bassPulseScale: this.bassPulseAmount,
-      midPulseScale: this.midPulseAmount,
-      treblePulseScale: this.treblePulseAmount,
+      bassPulseScale: bass.pulseAmount,
+      midPulseScale: mid.pulseAmount,
+      treblePulseScale: treble.pulseAmount,
+
+      // Tempo tracking
+      tempo: this.tempo,
+      tempoConfidence: this.tempoConfidence,
+      beatPhase: this.beatPhase,
+      tempoBeat: this.tempoBeat,
+      timeToNextBeat: this.timeToNextBeat,
+
+      // Song structure (pre-analyzed files only)
+      section: this.section,
+      sectionChange: this.sectionChange,
+      timeToNextSection: this.timeToNextSection,
 
       // Tension
       isTense: this.isTense,
       isHighIntensity: this.isHighIntensity,
 
       // For backwards compatibility
-      trebleEnergy: this.treble
+      trebleEnergy: treble.energy
     };
   }
 }
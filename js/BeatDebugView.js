@@ -1,12 +1,13 @@
 // ============================================================================
 // BEAT DEBUG VIEW - Multi-Band Audio Oscilloscope
-// Shows Bass, Mid, and Treble frequency bands with independent beat detection
+// Shows every analyzer frequency band with its independent beat detection
 // ============================================================================
 
 class BeatDebugView {
   constructor() {
     // Panel settings
-    this.panelHeight = 240;  // Taller to fit 3 graphs comfortably
+    this.graphHeight = 80;   // Panel height per band graph (3 bands = 240)
+    this.panelHeight = 240;  // Grows with the number of bands
     this.isOpen = false;
     this.animatedHeight = 0;
     this.animationSpeed = 0.15;
@@ -14,35 +15,22 @@ class BeatDebugView {
     // Rolling buffer settings (5 seconds at 60fps = 300 frames)
     this.bufferLength = 300;
 
-    // Buffers for each frequency band
-    this.bassBuffer = [];
-    this.midBuffer = [];
-    this.trebleBuffer = [];
-
-    // Threshold buffers for each band
-    this.bassThresholdBuffer = [];
-    this.midThresholdBuffer = [];
-    this.trebleThresholdBuffer = [];
-
-    // Beat markers for each band
-    this.bassBeatMarkers = [];
-    this.midBeatMarkers = [];
-    this.trebleBeatMarkers = [];
-
-    // Initialize buffers
-    for (let i = 0; i < this.bufferLength; i++) {
-      this.bassBuffer.push(0);
-      this.midBuffer.push(0);
-      this.trebleBuffer.push(0);
-      this.bassThresholdBuffer.push(0);
-      this.midThresholdBuffer.push(0);
-      this.trebleThresholdBuffer.push(0);
-    }
-
-    // Colors for each band (HSB)
-    this.bassColor = [200, 80, 100];      // Blue (Kick)
-    this.midColor = [60, 80, 100];        // Yellow (Snare/Vocal)
-    this.trebleColor = [320, 80, 100];    // Magenta (Hi-hat)
+    // Per-band graph state keyed by band id:
+    // { label, color, buffer, thresholdBuffer, beatMarkers, currentValue, threshold, isBeat, intensity }
+    this.bands = {};
+    this.bandOrder = [];
+
+    // Colors for the built-in bands (HSB)
+    this.bandColors = {
+      bass: [200, 80, 100],     // Blue (Kick)
+      mid: [60, 80, 100],       // Yellow (Snare/Vocal)
+      treble: [320, 80, 100],   // Magenta (Hi-hat)
+    };
+    this.bandLabels = {
+      bass: 'BASS (Kick)',
+      mid: 'MID (Snare)',
+      treble: 'TREBLE (Hi-hat)',
+    };
     this.thresholdColor = [0, 80, 100];   // Red
     this.beatMarkerColor = [120, 80, 100]; // Green
     this.backgroundColor = [0, 0, 10, 220];
@@ -54,100 +42,88 @@ class BeatDebugView {
     this.paddingBottom = 15;
     this.graphGap = 8;  // Gap between graphs
 
-    // Current values for display
-    this.currentBass = 0;
-    this.currentMid = 0;
-    this.currentTreble = 0;
-
-    // Current thresholds
-    this.currentBassThreshold = 0;
-    this.currentMidThreshold = 0;
-    this.currentTrebleThreshold = 0;
-
-    // Beat states
-    this.bassBeat = false;
-    this.midBeat = false;
-    this.trebleBeat = false;
-
-    // Intensity values
-    this.bassBeatIntensity = 0;
-    this.midBeatIntensity = 0;
-    this.trebleBeatIntensity = 0;
+    // Active onset detector name (shown in the corner)
+    this.onsetLabel = '';
   }
 
   toggle() {
     this.isOpen = !this.isOpen;
   }
 
-  update(analyzer) {
-    if (!analyzer) return;
-
-    const analysis = analyzer.getAnalysis();
-
-    // Store current values
-    this.currentBass = analysis.bass;
-    this.currentMid = analysis.mid;
-    this.currentTreble = analysis.treble;
-
-    // Store current thresholds
-    this.currentBassThreshold = analyzer.bassThreshold;
-    this.currentMidThreshold = analyzer.midThreshold;
-    this.currentTrebleThreshold = analyzer.trebleThreshold;
-
-    // Store beat states
-    this.bassBeat = analysis.bassBeat;
-    this.midBeat = analysis.midBeat;
-    this.trebleBeat = analysis.trebleBeat;
+  // Create graph state for a band the first time it is seen
+  getBandGraph(band) {
+    if (!this.bands[band.id]) {
+      const buffer = [];
+      const thresholdBuffer = [];
+      for (let i = 0; i < this.bufferLength; i++) {
+        buffer.push(0);
+        thresholdBuffer.push(0);
+      }
 
-    // Store intensities
-    this.bassBeatIntensity = analysis.bassBeatIntensity;
-    this.midBeatIntensity = analysis.midBeatIntensity;
-    this.trebleBeatIntensity = analysis.trebleBeatIntensity;
+      // Custom bands get a hue spread by golden angle so neighbours differ
+      const customIndex = this.bandOrder.filter(id => !this.bandColors[id]).length;
+      const color = this.bandColors[band.id] || [(30 + customIndex * 137.5) % 360, 70, 100];
+      const label = this.bandLabels[band.id] ||
+        `${band.label.toUpperCase()} (${band.lowHz}-${band.highHz}Hz)`;
+
+      this.bands[band.id] = {
+        label,
+        color,
+        buffer,
+        thresholdBuffer,
+        beatMarkers: [],
+        currentValue: 0,
+        threshold: 0,
+        isBeat: false,
+        intensity: 0
+      };
+    }
+    return this.bands[band.id];
+  }
 
-    // Calculate adaptive thresholds for visualization
-    const bassAvg = analyzer.bassHistory.reduce((a, b) => a + b, 0) / analyzer.bassHistory.length;
-    const midAvg = analyzer.midHistory.reduce((a, b) => a + b, 0) / analyzer.midHistory.length;
-    const trebleAvg = analyzer.trebleHistory.reduce((a, b) => a + b, 0) / analyzer.trebleHistory.length;
+  update(analyzer) {
+    if (!analyzer) return;
 
-    const bassAdaptive = min(bassAvg * map(bassAvg, 0, 1, analyzer.bassSensitivity, analyzer.bassSensitivity * 0.8), 0.98);
-    const midAdaptive = min(midAvg * map(midAvg, 0, 1, analyzer.midSensitivity, analyzer.midSensitivity * 0.8), 0.98);
-    const trebleAdaptive = min(trebleAvg * map(trebleAvg, 0, 1, analyzer.trebleSensitivity, analyzer.trebleSensitivity * 0.8), 0.98);
+    // A pre-analyzed timeline always picks its beats from spectral flux
+    if (analyzer.readingTimeline) {
+      this.onsetLabel = 'Onsets: Timeline (Flux)';
+    } else {
+      this.onsetLabel = analyzer.onsetMode === 'flux' ? 'Onsets: Spectral Flux' : 'Onsets: Energy';
+    }
 
-    // Update energy buffers
-    this.bassBuffer.push(this.currentBass);
-    this.bassBuffer.shift();
+    // In flux mode, graph the onset function instead of raw band energy
+    const useFlux = analyzer.readingTimeline || analyzer.onsetMode === 'flux';
 
-    this.midBuffer.push(this.currentMid);
-    this.midBuffer.shift();
+    // Follow the analyzer's band list (bands may be added or removed at runtime)
+    this.bandOrder = analyzer.getBandIds();
+    for (let id in this.bands) {
+      if (!analyzer.getBand(id)) delete this.bands[id];
+    }
+    this.panelHeight = this.graphHeight * max(this.bandOrder.length, 1);
 
-    this.trebleBuffer.push(this.currentTreble);
-    this.trebleBuffer.shift();
+    for (let id of this.bandOrder) {
+      const band = analyzer.getBand(id);
+      const graph = this.getBandGraph(band);
 
-    // Update threshold buffers (show adaptive threshold)
-    this.bassThresholdBuffer.push(bassAdaptive);
-    this.bassThresholdBuffer.shift();
+      graph.currentValue = useFlux ? band.flux : band.energy;
+      graph.threshold = useFlux ? band.adaptiveThreshold : band.threshold;
+      graph.isBeat = band.beat;
+      graph.intensity = band.beatIntensity;
 
-    this.midThresholdBuffer.push(midAdaptive);
-    this.midThresholdBuffer.shift();
+      // Update energy buffer
+      graph.buffer.push(graph.currentValue);
+      graph.buffer.shift();
 
-    this.trebleThresholdBuffer.push(trebleAdaptive);
-    this.trebleThresholdBuffer.shift();
+      // Update threshold buffer (show adaptive threshold)
+      graph.thresholdBuffer.push(band.adaptiveThreshold);
+      graph.thresholdBuffer.shift();
 
-    // Track beat markers for each band
-    if (this.bassBeat) {
-      this.bassBeatMarkers.push(this.bufferLength - 1);
-    }
-    if (this.midBeat) {
-      this.midBeatMarkers.push(this.bufferLength - 1);
-    }
-    if (this.trebleBeat) {
-      this.trebleBeatMarkers.push(this.bufferLength - 1);
+      // Track beat markers
+      if (graph.isBeat) {
+        graph.beatMarkers.push(this.bufferLength - 1);
+      }
+      this.updateBeatMarkers(graph.beatMarkers);
     }
-
-    // Update and clean beat markers
-    this.updateBeatMarkers(this.bassBeatMarkers);
-    this.updateBeatMarkers(this.midBeatMarkers);
-    this.updateBeatMarkers(this.trebleBeatMarkers);
   }
 
   updateBeatMarkers(markers) {
@@ -180,7 +156,7 @@ class BeatDebugView {
     line(0, panelY, width, panelY);
 
     if (this.animatedHeight > this.panelHeight * 0.5) {
-      this.drawThreeBandGraphs(panelY);
+      this.drawBandGraphs(panelY);
     }
 
     // Draw controls hint
@@ -188,51 +164,19 @@ class BeatDebugView {
     textSize(10);
     textAlign(RIGHT, TOP);
     text("D: Toggle Debug View", width - 10, panelY + 5);
+    text(this.onsetLabel, width - 10, panelY + 17);
 
     pop();
   }
 
-  drawThreeBandGraphs(panelY) {
+  drawBandGraphs(panelY) {
     const graphX = this.paddingLeft;
     const totalGraphWidth = width - this.paddingLeft - this.paddingRight;
-    const singleGraphHeight = (this.animatedHeight - this.paddingTop - this.paddingBottom - this.graphGap * 2) / 3;
-
-    // Band configurations
-    const bands = [
-      {
-        buffer: this.bassBuffer,
-        thresholdBuffer: this.bassThresholdBuffer,
-        beatMarkers: this.bassBeatMarkers,
-        color: this.bassColor,
-        label: 'BASS (Kick)',
-        currentValue: this.currentBass,
-        threshold: this.currentBassThreshold,
-        isBeat: this.bassBeat,
-        intensity: this.bassBeatIntensity
-      },
-      {
-        buffer: this.midBuffer,
-        thresholdBuffer: this.midThresholdBuffer,
-        beatMarkers: this.midBeatMarkers,
-        color: this.midColor,
-        label: 'MID (Snare)',
-        currentValue: this.currentMid,
-        threshold: this.currentMidThreshold,
-        isBeat: this.midBeat,
-        intensity: this.midBeatIntensity
-      },
-      {
-        buffer: this.trebleBuffer,
-        thresholdBuffer: this.trebleThresholdBuffer,
-        beatMarkers: this.trebleBeatMarkers,
-        color: this.trebleColor,
-        label: 'TREBLE (Hi-hat)',
-        currentValue: this.currentTreble,
-        threshold: this.currentTrebleThreshold,
-        isBeat: this.trebleBeat,
-        intensity: this.trebleBeatIntensity
-      },
-    ];
+    const bands = this.bandOrder.map(id => this.bands[id]).filter(b => b);
+    if (bands.length === 0) return;
+
+    const singleGraphHeight = (this.animatedHeight - this.paddingTop - this.paddingBottom -
+      this.graphGap * (bands.length - 1)) / bands.length;
 
     for (let i = 0; i < bands.length; i++) {
       const band = bands[i];
@@ -0,0 +1,102 @@
+// ============================================================================
+// CANVAS RECORDER - Realtime Canvas + Audio Capture to WebM
+// Records the main canvas with MediaRecorder, mixed with the audio playing
+// through p5.sound, so performances can be saved without screen recording
+// ============================================================================
+
+// Preferred container/codec combinations, best first
+const CANVAS_RECORDER_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+
+class CanvasRecorder {
+  constructor(fps = 60) {
+    this.fps = fps;
+    this.videoBitsPerSecond = 12000000;
+
+    this.isRecording = false;
+    this.mediaRecorder = null;
+    this.chunks = [];
+    this.startTime = 0;
+
+    // Audio tap: source node -> MediaStreamAudioDestinationNode
+    this.audioSource = null;
+    this.audioDestination = null;
+  }
+
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  static getMimeType() {
+    return CANVAS_RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  // Start capturing canvas, plus audioSource (an AudioNode) if given.
+  // The canvas is captured as drawn, so callers hide any overlays they
+  // don't want in the video.
+  start(canvas, audioSource = null) {
+    if (this.isRecording) return this;
+
+    const tracks = canvas.captureStream(this.fps).getVideoTracks();
+
+    if (audioSource) {
+      this.audioSource = audioSource;
+      this.audioDestination = getAudioContext().createMediaStreamDestination();
+      audioSource.connect(this.audioDestination);
+      tracks.push(...this.audioDestination.stream.getAudioTracks());
+    }
+
+    const mimeType = CanvasRecorder.getMimeType();
+    this.mediaRecorder = new MediaRecorder(new MediaStream(tracks), {
+      mimeType,
+      videoBitsPerSecond: this.videoBitsPerSecond,
+    });
+
+    this.chunks = [];
+    this.mediaRecorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+
+    // Timeslice keeps memory in small chunks on long takes
+    this.mediaRecorder.start(1000);
+    this.startTime = millis();
+    this.isRecording = true;
+    return this;
+  }
+
+  // Stop and resolve with the finished WebM blob
+  stop() {
+    if (!this.isRecording) return Promise.resolve(null);
+    this.isRecording = false;
+
+    return new Promise((resolve) => {
+      this.mediaRecorder.onstop = () => {
+        this.disconnectAudio();
+        for (let track of this.mediaRecorder.stream.getTracks()) {
+          track.stop();
+        }
+        const blob = new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'video/webm' });
+        this.chunks = [];
+        resolve(blob);
+      };
+      this.mediaRecorder.stop();
+    });
+  }
+
+  disconnectAudio() {
+    if (this.audioSource && this.audioDestination) {
+      this.audioSource.disconnect(this.audioDestination);
+    }
+    this.audioSource = null;
+    this.audioDestination = null;
+  }
+
+  // Seconds recorded so far
+  getDuration() {
+    return this.isRecording ? (millis() - this.startTime) / 1000 : 0;
+  }
+}
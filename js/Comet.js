@@ -87,11 +87,12 @@ class Comet {
     return this;
   }
 
-  update(intensity, isHighIntensity) {
+  // time: simulation time (ms) driving the wander noise
+  update(intensity, isHighIntensity, time = millis()) {
     if (this.usePhysics && this.gravityBody) {
       return this.updatePhysics();
     } else {
-      return this.updateLegacy(intensity, isHighIntensity);
+      return this.updateLegacy(intensity, isHighIntensity, time);
     }
   }
 
@@ -116,7 +117,7 @@ class Comet {
     return false;
   }
 
-  updateLegacy(intensity, isHighIntensity) {
+  updateLegacy(intensity, isHighIntensity, time) {
     // Store trail position
     this.trail.push({ x: this.x, y: this.y, life: this.life });
 
@@ -131,7 +132,7 @@ class Comet {
     if (isHighIntensity) {
       // Subtle wandering during high intensity
       let noiseScale = 0.005;
-      let noiseVal = noise(this.x * noiseScale, this.y * noiseScale, millis() * 0.0005);
+      let noiseVal = noise(this.x * noiseScale, this.y * noiseScale, time * 0.0005);
       let wanderAngle = noiseVal * TWO_PI;
 
       this.vx += cos(wanderAngle) * 0.2;
@@ -3,6 +3,48 @@
 // Implements real gravitational physics with F = GMm/r²
 // ============================================================================
 
+// Planet configurations based on relative solar system ratios
+// Using semi-major axis and calculating initial velocity for stable orbit
+// (Math.PI: p5's PI doesn't exist yet when this file loads)
+const GRAVITY_PLANET_CONFIGS = [
+  {
+    name: 'A', // Mercury-like (inner, fast)
+    mass: 50,
+    radius: 4,
+    semiMajorAxis: 0.2, // Fraction of screenScale
+    eccentricity: 0.1,
+    color: [200, 80, 100], // Blue
+    startAngle: 0,
+  },
+  {
+    name: 'B', // Venus-like
+    mass: 80,
+    radius: 6,
+    semiMajorAxis: 0.35,
+    eccentricity: 0.05,
+    color: [60, 80, 100], // Yellow
+    startAngle: Math.PI / 4,
+  },
+  {
+    name: 'C', // Earth-like
+    mass: 100,
+    radius: 7,
+    semiMajorAxis: 0.5,
+    eccentricity: 0.08,
+    color: [120, 70, 90], // Green
+    startAngle: Math.PI / 2,
+  },
+  {
+    name: 'D', // Mars-like (outer, slow)
+    mass: 60,
+    radius: 5,
+    semiMajorAxis: 0.7,
+    eccentricity: 0.12,
+    color: [320, 80, 100], // Magenta
+    startAngle: 3 * Math.PI / 4,
+  },
+];
+
 class GravitySystem {
   constructor() {
     // Gravitational constant (scaled for visual simulation)
@@ -10,7 +52,7 @@ class GravitySystem {
     this.G = 1000;
 
     // Time step for integration (smaller = more accurate but slower)
-    this.dt = 0.016; // ~60fps equivalent
+    this.dt = SIMULATION_STEP_MS / 1000; // one simulation clock step
 
     // Simulation speed multiplier
     this.timeScale = 1.0;
@@ -20,15 +62,18 @@ class GravitySystem {
     this.planets = [];
     this.comets = [];
 
+    // Planets to create (one per HarmonographSystem planet)
+    this.planetCount = GRAVITY_PLANET_CONFIGS.length;
+
     // Mode: 'scientific' or 'reactive'
     this.mode = 'scientific';
 
-    // Audio modulation values (for reactive mode)
+    // Audio modulation values (reactive mode), set each step from the
+    // owning system's modulation matrix
     this.audioModulation = {
-      bassMultiplier: 1.0,      // Affects sun's gravitational pull
-      midMultiplier: 1.0,       // Affects orbital energy
-      trebleMultiplier: 1.0,    // Affects comet spawning
-      beatPulse: 0,             // Gravitational pulse on beat
+      gravity: 1.0,             // Multiplies the sun's gravitational pull
+      timeScale: 1.0,           // Multiplies the simulation time scale
+      beatPulse: 0,             // Inward gravitational pulse
     };
 
     // Softening parameter to prevent singularities at close distances
@@ -69,53 +114,42 @@ class GravitySystem {
   }
 
   createPlanets() {
-    // Planet configurations based on relative solar system ratios
-    // Using semi-major axis and calculating initial velocity for stable orbit
-    const planetConfigs = [
-      {
-        name: 'A', // Mercury-like (inner, fast)
-        mass: 50,
-        radius: 4,
-        semiMajorAxis: 0.2, // Fraction of screenScale
-        eccentricity: 0.1,
-        color: [200, 80, 100], // Blue
-        startAngle: 0,
-      },
-      {
-        name: 'B', // Venus-like
-        mass: 80,
-        radius: 6,
-        semiMajorAxis: 0.35,
-        eccentricity: 0.05,
-        color: [60, 80, 100], // Yellow
-        startAngle: PI / 4,
-      },
-      {
-        name: 'C', // Earth-like
-        mass: 100,
-        radius: 7,
-        semiMajorAxis: 0.5,
-        eccentricity: 0.08,
-        color: [120, 70, 90], // Green
-        startAngle: PI / 2,
-      },
-      {
-        name: 'D', // Mars-like (outer, slow)
-        mass: 60,
-        radius: 5,
-        semiMajorAxis: 0.7,
-        eccentricity: 0.12,
-        color: [320, 80, 100], // Magenta
-        startAngle: 3 * PI / 4,
-      },
-    ];
-
-    for (let config of planetConfigs) {
-      const planet = this.createOrbitalBody(config);
+    for (let i = 0; i < this.planetCount; i++) {
+      const planet = this.createOrbitalBody(GravitySystem.getPlanetConfig(i));
       this.planets.push(planet);
     }
   }
 
+  // Orbit of the i-th planet: the four solar-system-like bodies, then
+  // further ones spaced outwards with golden-angle colors
+  static getPlanetConfig(i) {
+    if (i < GRAVITY_PLANET_CONFIGS.length) {
+      return GRAVITY_PLANET_CONFIGS[i];
+    }
+    const extra = i - GRAVITY_PLANET_CONFIGS.length + 1;
+    return {
+      name: PLANET_NAMES[i] || 'P' + i,
+      mass: 70,
+      radius: 5,
+      semiMajorAxis: 0.7 + extra * 0.05,
+      eccentricity: 0.08,
+      color: [(320 + extra * 137.5) % 360, 75, 95],
+      startAngle: i * PI / 4,
+    };
+  }
+
+  // Rebuild the planets with a different count (positions start over)
+  setPlanetCount(count) {
+    if (count === this.planetCount) return this;
+
+    this.planetCount = count;
+    if (this.sun) {
+      this.planets = [];
+      this.createPlanets();
+    }
+    return this;
+  }
+
   createOrbitalBody(config) {
     // Calculate initial position at perihelion (closest point)
     // r_perihelion = a(1 - e)
@@ -204,13 +238,9 @@ class GravitySystem {
   // PHYSICS UPDATE
   // ========================================
 
-  update(analysis = null) {
-    const dt = this.dt * this.timeScale;
-
-    // Apply audio modulation in reactive mode
-    if (this.mode === 'reactive' && analysis) {
-      this.applyAudioModulation(analysis);
-    }
+  update() {
+    const timeScale = this.mode === 'reactive' ? this.timeScale * this.audioModulation.timeScale : this.timeScale;
+    const dt = this.dt * timeScale;
 
     // Update planets using Velocity Verlet integration
     for (let planet of this.planets) {
@@ -303,7 +333,7 @@ class GravitySystem {
 
     // Apply audio modulation to sun's gravity in reactive mode
     if (this.mode === 'reactive' && attractor === this.sun) {
-      GM *= this.audioModulation.bassMultiplier;
+      GM *= this.audioModulation.gravity;
     }
 
     const aMag = GM / distSq;
@@ -319,20 +349,10 @@ class GravitySystem {
   // AUDIO MODULATION (Reactive Mode)
   // ========================================
 
-  applyAudioModulation(analysis) {
-    // Bass affects sun's gravitational pull
-    this.audioModulation.bassMultiplier = 1.0 + analysis.smoothedBass * 0.5;
-
-    // Mid affects orbital energy (time scale)
-    this.audioModulation.midMultiplier = 1.0 + analysis.mid * 0.3;
-    this.timeScale = this.audioModulation.midMultiplier;
-
-    // Beat creates a gravitational pulse
-    if (analysis.isBeat) {
-      this.audioModulation.beatPulse = analysis.beatIntensity;
-    } else {
-      this.audioModulation.beatPulse *= 0.9; // Decay
-    }
+  // Set any of { gravity, timeScale, beatPulse } (call before update)
+  setAudioModulation(values) {
+    Object.assign(this.audioModulation, values);
+    return this;
   }
 
   // ========================================
@@ -343,8 +363,8 @@ class GravitySystem {
     this.mode = mode;
     if (mode === 'scientific') {
       // Reset to pure physics
-      this.audioModulation.bassMultiplier = 1.0;
-      this.audioModulation.midMultiplier = 1.0;
+      this.audioModulation.gravity = 1.0;
+      this.audioModulation.timeScale = 1.0;
       this.audioModulation.beatPulse = 0;
       this.timeScale = 1.0;
     }
@@ -376,11 +396,14 @@ class GravitySystem {
 
   reset() {
     this.comets = [];
-    for (let planet of this.planets) {
-      planet.trail = [];
-    }
+
     // Reinitialize planets to original positions
+    this.planets = [];
     this.createPlanets();
+
+    this.audioModulation.gravity = 1.0;
+    this.audioModulation.timeScale = 1.0;
+    this.audioModulation.beatPulse = 0;
   }
 }
 
@@ -2,6 +2,9 @@
 // HARMONOGRAPH RENDERER - Rhythmically responsive line drawing
 // ============================================================================
 
+// Most rotated copies of each line (kaleidoscope symmetry)
+const SYMMETRY_MAX_ORDER = 24;
+
 class HarmonographRenderer {
   constructor(graphics) {
     this.graphics = graphics;
@@ -13,6 +16,215 @@ class HarmonographRenderer {
     // Line quality settings
     this.noiseScale = 0.02;          // Perlin noise scale for electricity
     this.noiseTime = 0;              // Time offset for noise animation
+
+    // ========================================
+    // VECTOR LOG (for SVG / plotter export)
+    // null = off. Entries: { type: 'path', points: [x0, y0, x1, y1, ...],
+    // color: [h, s, b, a], weight, pairHue } | { type: 'dot', x, y, d,
+    // color, pairHue } | { type: 'polygon', points, color, pairHue } (filled,
+    // no stroke) | { type: 'fade', alpha }, in HSB 360/100/100/100 like the
+    // buffer. pairHue is the pair's base hue (before beat shifts).
+    // ========================================
+    this.vectorLog = null;
+    this.pairHue = 0;
+    this.maxVectorEntries = 500000;
+
+    // Accumulated fade (-ln of remaining visibility); entries faded below
+    // 1/255 are dropped, so faded-out history doesn't grow the log
+    this.fadeDepth = 0;
+    this.invisibleDepth = Math.log(255);
+
+    // Kaleidoscope: every line is drawn `order` times, rotated around the
+    // center, and reflected too if `mirror` (order 1 without mirror = off)
+    this.symmetry = { order: 1, mirror: false, centerX: 0, centerY: 0, axis: 0 };
+  }
+
+  // ========================================
+  // VECTOR LOG
+  // ========================================
+
+  startVectorLog() {
+    if (!this.vectorLog) {
+      this.vectorLog = [];
+      this.fadeDepth = 0;
+    }
+    return this;
+  }
+
+  stopVectorLog() {
+    this.vectorLog = null;
+    return this;
+  }
+
+  clearVectorLog() {
+    if (this.vectorLog) {
+      this.vectorLog = [];
+      this.fadeDepth = 0;
+    }
+    return this;
+  }
+
+  isLoggingVectors() {
+    return this.vectorLog !== null;
+  }
+
+  // True once the log hit maxVectorEntries and stopped growing
+  isVectorLogFull() {
+    return this.vectorLog !== null && this.vectorLog.length >= this.maxVectorEntries;
+  }
+
+  getVectorLog() {
+    return this.vectorLog || [];
+  }
+
+  logVector(entry) {
+    if (!this.vectorLog || this.vectorLog.length >= this.maxVectorEntries) return;
+    entry.depth = this.fadeDepth;
+    if (entry.type !== 'fade') entry.pairHue = this.pairHue;
+    this.vectorLog.push(entry);
+  }
+
+  // Record a trail fade: a black rect of this alpha (0-100) over everything
+  logFade(alpha) {
+    if (!this.vectorLog || alpha <= 0) return;
+
+    this.logVector({ type: 'fade', alpha });
+    this.fadeDepth -= Math.log(1 - constrain(alpha, 0, 99.9) / 100);
+
+    // Drop the oldest entries once nothing of them remains visible
+    const log = this.vectorLog;
+    let visible = 0;
+    while (visible < log.length && this.fadeDepth - log[visible].depth > this.invisibleDepth) {
+      visible++;
+    }
+    if (visible > 0) {
+      log.splice(0, visible);
+    }
+  }
+
+  // Move every logged vector: points through mapPoint(x, y) -> [x, y],
+  // weights and dot sizes times `ratio` (see HarmonographSystem.setCamera)
+  transformVectorLog(mapPoint, ratio) {
+    for (let entry of this.vectorLog || []) {
+      if (entry.points) {
+        const points = [];
+        for (let i = 0; i < entry.points.length; i += 2) {
+          points.push(...mapPoint(entry.points[i], entry.points[i + 1]));
+        }
+        entry.points = points;
+      }
+      if (entry.type === 'dot') {
+        [entry.x, entry.y] = mapPoint(entry.x, entry.y);
+        entry.d *= ratio;
+      }
+      if (entry.weight !== undefined) {
+        entry.weight *= ratio;
+      }
+    }
+    return this;
+  }
+
+  // Back to the pair's base hues and the start of the noise animation
+  reset() {
+    this.beatHueShift = 0;
+    this.noiseTime = 0;
+    this.clearVectorLog();
+  }
+
+  // Rotational symmetry around (centerX, centerY) for what is drawn next
+  setSymmetry(order, mirror, centerX, centerY, axis = 0) {
+    this.symmetry = {
+      order: constrain(round(order), 1, SYMMETRY_MAX_ORDER),
+      mirror: !!mirror,
+      centerX,
+      centerY,
+      axis,
+    };
+    return this;
+  }
+
+  // ========================================
+  // SYMMETRY
+  // ========================================
+
+  // `points` ([x0, y0, x1, y1, ...]) for every symmetry copy, the original
+  // first: rotated in equal steps around the center, each followed by its
+  // reflection (across the line through the center at `axis` radians from
+  // the vertical) when mirrored
+  getSymmetryCopies(points) {
+    const { order, mirror, centerX, centerY, axis } = this.symmetry;
+    const copies = [];
+
+    for (let k = 0; k < order; k++) {
+      for (let flip of mirror ? [1, -1] : [1]) {
+        if (k === 0 && flip === 1) {
+          copies.push(points);
+          continue;
+        }
+
+        // A reflection across the tilted axis is a flip then a turn by 2 axis
+        const angle = k * TWO_PI / order + (flip < 0 ? 2 * axis : 0);
+        const c = cos(angle);
+        const s = sin(angle);
+        const copy = [];
+        for (let i = 0; i < points.length; i += 2) {
+          const dx = (points[i] - centerX) * flip;
+          const dy = points[i + 1] - centerY;
+          copy.push(centerX + dx * c - dy * s, centerY + dx * s + dy * c);
+        }
+        copies.push(copy);
+      }
+    }
+    return copies;
+  }
+
+  // Stroke a polyline (two points: a straight line) in every copy
+  strokePath(points, color, weight) {
+    const g = this.graphics;
+
+    for (let copy of this.getSymmetryCopies(points)) {
+      g.stroke(...color);
+      g.strokeWeight(weight);
+      if (copy.length === 4) {
+        g.line(copy[0], copy[1], copy[2], copy[3]);
+      } else {
+        g.noFill();
+        g.beginShape();
+        for (let i = 0; i < copy.length; i += 2) {
+          g.vertex(copy[i], copy[i + 1]);
+        }
+        g.endShape();
+      }
+      this.logVector({ type: 'path', points: copy, color, weight });
+    }
+  }
+
+  // Fill a closed polygon, without stroke, in every copy
+  fillPolygon(points, color) {
+    const g = this.graphics;
+
+    for (let copy of this.getSymmetryCopies(points)) {
+      g.noStroke();
+      g.fill(...color);
+      g.beginShape();
+      for (let i = 0; i < copy.length; i += 2) {
+        g.vertex(copy[i], copy[i + 1]);
+      }
+      g.endShape(CLOSE);
+      this.logVector({ type: 'polygon', points: copy, color });
+    }
+  }
+
+  // Filled dot of diameter d in every copy
+  fillDot(x, y, d, color) {
+    const g = this.graphics;
+
+    for (let [cx, cy] of this.getSymmetryCopies([x, y])) {
+      g.noStroke();
+      g.fill(...color);
+      g.ellipse(cx, cy, d, d);
+      this.logVector({ type: 'dot', x: cx, y: cy, d, color });
+    }
   }
 
   // Call this on each beat to shift the color offset
@@ -21,15 +233,11 @@ class HarmonographRenderer {
     this.beatHueShift = (this.beatHueShift + this.hueShiftAmount * intensity) % 360;
   }
 
-  // Draw a link line between two planets
-  // Now with volume-based line quality (thin/smooth vs thick/electric)
-  drawLinkLine(posA, posB, baseHue, analysis, settings) {
-    const g = this.graphics;
-
-    // Use the pair's BASE HUE + beat shift + centroid variation
+  // Color, weight and opacity of a link line for this frame's audio
+  getLineStyle(baseHue, analysis, settings) {
+    // Use the pair's BASE HUE + beat shift + modulated offset (settings.hueOffset)
     // Each pair keeps its own color identity
-    let centroidShift = map(analysis.smoothedCentroid, 0, 1, -15, 15);
-    let finalHue = (baseHue + this.beatHueShift + centroidShift + 360) % 360;
+    let finalHue = ((baseHue + this.beatHueShift + (settings.hueOffset || 0)) % 360 + 360) % 360;
 
     // If a beat just hit, use a brighter, more saturated color
     let saturation, brightness;
@@ -56,6 +264,17 @@ class HarmonographRenderer {
     // Opacity: slightly more opaque when loud
     let opacity = settings.lineOpacity * lerp(0.8, 1.2, volumeNormalized);
 
+    return { hue: finalHue, saturation, brightness, weight, opacity, volumeNormalized };
+  }
+
+  // Draw a link line between two planets
+  // Now with volume-based line quality (thin/smooth vs thick/electric)
+  drawLinkLine(posA, posB, baseHue, analysis, settings) {
+    this.pairHue = baseHue;
+
+    const { hue: finalHue, saturation, brightness, weight, opacity, volumeNormalized } =
+      this.getLineStyle(baseHue, analysis, settings);
+
     // ========================================
     // DRAW THE LINE
     // ========================================
@@ -68,9 +287,7 @@ class HarmonographRenderer {
       this.drawNoisyLine(posA, posB, finalHue, saturation, brightness, weight, opacity, analysis, settings);
     } else {
       // LOW ENERGY: Draw smooth, thin line
-      g.stroke(finalHue, saturation, brightness, opacity);
-      g.strokeWeight(weight);
-      g.line(posA.x, posA.y, posB.x, posB.y);
+      this.strokePath([posA.x, posA.y, posB.x, posB.y], [finalHue, saturation, brightness, opacity], weight);
     }
 
     // Update noise time for animation
@@ -79,8 +296,6 @@ class HarmonographRenderer {
 
   // Draw an electric/jagged line with vertex noise
   drawElectricLine(posA, posB, hue, saturation, brightness, weight, opacity, analysis, settings) {
-    const g = this.graphics;
-
     // Number of segments for the jagged line
     let segments = 12;
 
@@ -93,11 +308,7 @@ class HarmonographRenderer {
       let passWeight = weight * (1 - pass * 0.25);
       let passOpacity = opacity * (1 - pass * 0.3);
 
-      g.stroke(hue, saturation - pass * 10, brightness, passOpacity);
-      g.strokeWeight(passWeight);
-      g.noFill();
-      g.beginShape();
-
+      const points = [];
       for (let i = 0; i <= segments; i++) {
         let t = i / segments;
         let x = lerp(posA.x, posB.x, t);
@@ -113,31 +324,23 @@ class HarmonographRenderer {
           y += sin(angle) * displacement;
         }
 
-        g.vertex(x, y);
+        points.push(x, y);
       }
 
-      g.endShape();
+      this.strokePath(points, [hue, saturation - pass * 10, brightness, passOpacity], passWeight);
     }
 
     // Add bright core line
-    g.stroke(hue, saturation - 20, 100, opacity * 0.7);
-    g.strokeWeight(weight * 0.4);
-    g.line(posA.x, posA.y, posB.x, posB.y);
+    this.strokePath([posA.x, posA.y, posB.x, posB.y], [hue, saturation - 20, 100, opacity * 0.7], weight * 0.4);
   }
 
   // Draw a slightly noisy line (medium energy)
   drawNoisyLine(posA, posB, hue, saturation, brightness, weight, opacity, analysis, settings) {
-    const g = this.graphics;
-
     let segments = 6;
     let noiseAmount = settings.noiseAmount / 100;
     let jitterStrength = lerp(1, 8, noiseAmount) * analysis.smoothedVolume * 2;
 
-    g.stroke(hue, saturation, brightness, opacity);
-    g.strokeWeight(weight);
-    g.noFill();
-    g.beginShape();
-
+    const points = [];
     for (let i = 0; i <= segments; i++) {
       let t = i / segments;
       let x = lerp(posA.x, posB.x, t);
@@ -152,19 +355,85 @@ class HarmonographRenderer {
         y += sin(angle) * displacement;
       }
 
-      g.vertex(x, y);
+      points.push(x, y);
+    }
+
+    this.strokePath(points, [hue, saturation, brightness, opacity], weight);
+  }
+
+  // ========================================
+  // MULTI-PLANET LINKAGES
+  // ========================================
+
+  // Link lines along `positions` (A->B->C...), closing the loop if `closed`
+  drawLinkChain(positions, closed, baseHue, analysis, settings) {
+    const count = closed ? positions.length : positions.length - 1;
+    for (let i = 0; i < count; i++) {
+      this.drawLinkLine(positions[i], positions[(i + 1) % positions.length], baseHue, analysis, settings);
+    }
+  }
+
+  // Translucent filled polygon through `positions`
+  drawLinkPolygon(positions, baseHue, analysis, settings) {
+    this.pairHue = baseHue;
+
+    const style = this.getLineStyle(baseHue, analysis, settings);
+
+    // Fills stack up quickly on persistent trails, so they stay faint
+    const opacity = style.opacity * 0.15;
+
+    const points = [];
+    for (let pos of positions) {
+      points.push(pos.x, pos.y);
     }
+    this.fillPolygon(points, [style.hue, style.saturation, style.brightness, opacity]);
+  }
+
+  // Bezier curve from the first to the last position, the ones between
+  // acting as control points (one: quadratic, two: cubic...)
+  drawLinkCurve(positions, baseHue, analysis, settings) {
+    this.pairHue = baseHue;
+
+    const { hue, saturation, brightness, weight, opacity } = this.getLineStyle(baseHue, analysis, settings);
+    const segments = 24;
+
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const pos = HarmonographRenderer.getBezierPoint(positions, i / segments);
+      points.push(pos.x, pos.y);
+    }
+
+    this.strokePath(points, [hue, saturation, brightness, opacity], weight);
+  }
 
-    g.endShape();
+  // Point at t (0-1) on the Bezier curve with these control points (de Casteljau)
+  static getBezierPoint(positions, t) {
+    let points = positions.map(pos => ({ x: pos.x, y: pos.y }));
+    while (points.length > 1) {
+      const next = [];
+      for (let i = 0; i < points.length - 1; i++) {
+        next.push({
+          x: lerp(points[i].x, points[i + 1].x, t),
+          y: lerp(points[i].y, points[i + 1].y, t),
+        });
+      }
+      points = next;
+    }
+    return points[0];
   }
 
   // Draw midpoint with beat-reactive behavior
   drawMidpoint(posA, posB, baseHue, analysis, settings) {
-    const g = this.graphics;
+    this.drawCentroid([posA, posB], baseHue, analysis, settings);
+  }
+
+  // Dot at the center of a group of planets (the midpoint for two)
+  drawCentroid(positions, baseHue, analysis, settings) {
+    this.pairHue = baseHue;
 
-    // Calculate midpoint
-    let midX = (posA.x + posB.x) / 2;
-    let midY = (posA.y + posB.y) / 2;
+    // Calculate centroid
+    let midX = positions.reduce((sum, pos) => sum + pos.x, 0) / positions.length;
+    let midY = positions.reduce((sum, pos) => sum + pos.y, 0) / positions.length;
 
     // Add noise to midpoint if tense
     if (analysis.isTense && settings.noiseAmount > 0) {
@@ -175,9 +444,8 @@ class HarmonographRenderer {
       midY += randomGaussian(0, jitterAmount);
     }
 
-    // Use the pair's BASE HUE + beat shift + centroid variation
-    let centroidShift = map(analysis.smoothedCentroid, 0, 1, -15, 15);
-    let finalHue = (baseHue + this.beatHueShift + centroidShift + 360) % 360;
+    // Use the pair's BASE HUE + beat shift + modulated offset
+    let finalHue = ((baseHue + this.beatHueShift + (settings.hueOffset || 0)) % 360 + 360) % 360;
 
     // Point size based on volume and beat
     let baseSize = settings.baseLineWeight * 2;
@@ -191,13 +459,9 @@ class HarmonographRenderer {
 
     // Draw glow on beat
     if (analysis.isBeat) {
-      g.noStroke();
-      g.fill(finalHue, saturation - 20, brightness, settings.lineOpacity * 0.3);
-      g.ellipse(midX, midY, pointSize * 3, pointSize * 3);
+      this.fillDot(midX, midY, pointSize * 3, [finalHue, saturation - 20, brightness, settings.lineOpacity * 0.3]);
     }
 
-    g.noStroke();
-    g.fill(finalHue, saturation, brightness, settings.lineOpacity);
-    g.ellipse(midX, midY, pointSize, pointSize);
+    this.fillDot(midX, midY, pointSize, [finalHue, saturation, brightness, settings.lineOpacity]);
   }
 }
@@ -3,6 +3,28 @@
 // Supports auto-scaling to ensure patterns stay within viewport
 // ============================================================================
 
+// Hues of the first six pairs (AB, AC, BC, AD, BD, CD); later pairs step
+// round the color wheel by the golden angle
+const DEFAULT_PAIR_HUES = [200, 320, 60, 140, 280, 20];
+
+// Physics modes in the order G cycles through them
+const PHYSICS_MODES = ['legacy', 'reactive', 'pendulum'];
+
+// Linkages join three or more planets. Their ids are '<type>.<planets>',
+// e.g. 'polygon.ABC' or 'bezier.ACB'; the planets' order matters for all
+// but centroids. `min` is the fewest planets a type takes.
+const LINKAGE_TYPES = {
+  polygon: { label: 'Polygon', min: 3 },
+  fill: { label: 'Filled polygon', min: 3 },
+  chain: { label: 'Chain', min: 3 },
+  centroid: { label: 'Centroid', min: 3 },
+  bezier: { label: 'Bezier curve', min: 3 },
+};
+
+// Camera zoom limits (1 = the whole pattern fits the window)
+const CAMERA_MIN_ZOOM = 0.25;
+const CAMERA_MAX_ZOOM = 16;
+
 class HarmonographSystem {
   constructor(x, y, w, h, frequencyRange, id) {
     // Position and dimensions
@@ -12,13 +34,15 @@ class HarmonographSystem {
     this.height = h;
     this.id = id || 'system';
 
-    // Frequency range this system reacts to: 'bass', 'mid', 'treble', 'all'
+    // Frequency range this system reacts to: 'bass', 'mid', 'treble', 'all',
+    // or the id of any band defined on the AudioAnalyzer
     this.frequencyRange = frequencyRange || 'all';
 
+    // Buffer pixels per system unit (raised for poster renders)
+    this.resolutionScale = 1;
+
     // Create graphics buffer
-    this.pg = createGraphics(w, h);
-    this.pg.colorMode(HSB, 360, 100, 100, 100);
-    this.pg.background(0);
+    this.pg = this.createBuffer();
 
     // Create renderer for this system
     this.renderer = new HarmonographRenderer(this.pg);
@@ -26,18 +50,18 @@ class HarmonographSystem {
     // Drawing mode: 'lines', 'midpoints', 'both'
     this.drawMode = 'lines';
 
-    // Active pairs (array of pair IDs like ['AB', 'AC'])
+    // Active pairs (array of pair IDs like ['AB', 'AC']); requestedPairs
+    // keeps pairs whose planets are missing for when they come back
     this.activePairs = ['AB'];
+    this.requestedPairs = ['AB'];
 
-    // Planet pair definitions with hues
-    this.pairDefinitions = {
-      'AB': { p1: 0, p2: 1, hue: 200 },
-      'AC': { p1: 0, p2: 2, hue: 320 },
-      'BC': { p1: 1, p2: 2, hue: 60 },
-      'AD': { p1: 0, p2: 3, hue: 140 },
-      'BD': { p1: 1, p2: 3, hue: 280 },
-      'CD': { p1: 2, p2: 3, hue: 20 },
-    };
+    // Active linkages (parsed, see LINKAGE_TYPES), kept like the pairs
+    this.activeLinkages = [];
+    this.requestedLinkages = [];
+
+    // Planet pair definitions with hues (generated from the planets)
+    this.pairDefinitions = {};
+    this.pairHues = {};
 
     // Center point for this system (relative to buffer)
     this.centerX = w / 2;
@@ -50,29 +74,25 @@ class HarmonographSystem {
     this.viewportPadding = 20;  // Pixels of padding from edge
     this.maxSafeRadius = (min(w, h) / 2) - this.viewportPadding;
 
-    // Scale factor to apply to all positions
+    // Scale factor to apply to all positions (set with the planets)
     this.autoScale = 1.0;
-    this.calculateAutoScale();
 
     // Initialize gravity system (for physics modes)
     this.gravitySystem = new GravitySystem();
     this.gravitySystem.initialize(this.centerX, this.centerY, min(w, h) * 0.4);
 
-    // Initialize planets
-    this.planets = [
-      new Planet(0.75, 7, 0, 'A'),
-      new Planet(0.5, 11, PI / 4, 'B'),
-      new Planet(0.35, 13, PI / 2, 'C'),
-      new Planet(0.2, 17, 3 * PI / 4, 'D'),
-    ];
-
-    // Link planets to gravity bodies
-    this.linkPlanetsToGravity();
+    // Damped pendulums (pendulum mode)
+    this.pendulumSystem = new PendulumSystem();
 
-    // Physics mode: 'legacy', 'reactive'
+    // Physics mode: one of PHYSICS_MODES
     // NOTE: 'scientific' mode removed - now only audio-reactive
     this.physicsMode = 'legacy';
 
+    // Initialize planets (and their pairs), linked to gravity bodies
+    this.planets = [];
+    this.planetConfigs = [];
+    this.setPlanets(getDefaultPlanets());
+
     // Timing
     this.startTime = millis();
     this.cycleDuration = 240000;
@@ -87,8 +107,11 @@ class HarmonographSystem {
     this.targetPulseScale = 1.0;
     this.pulseDecay = 0.92;
 
-    // Jitter amount (for treble reactivity)
-    this.jitterAmount = 0;
+    // Audio features routed to parameters (routes come from window settings)
+    this.modulation = new ModulationMatrix();
+
+    // LFOs and envelopes, usable as modulation sources
+    this.modulators = new ModulatorBank();
 
     // Trail settings
     this.trailFadeAmount = 0;
@@ -100,6 +123,39 @@ class HarmonographSystem {
     this.noiseAmount = 60;
     this.drawInterval = 1;
 
+    // Kaleidoscope: rotated copies of every line (1 = off), optionally
+    // mirrored. The symmetryOrder modulation target adds folds.
+    this.symmetryOrder = 1;
+    this.symmetryMirror = false;
+
+    // Camera: pan (px) and zoom, applied to the drawing coordinates in
+    // scalePosition(), so zoomed-in detail is drawn at full resolution
+    this.camera = {
+      x: 0,
+      y: 0,
+      zoom: 1,
+    };
+
+    // Camera shown while a pan or zoom gesture is in progress (null = none):
+    // the buffer is displayed moved to it, and only reprojected once the
+    // gesture ends and setCamera() is given the final view
+    this.cameraPreview = null;
+
+    // Paper spin (degrees per second of simulation time): a drawing effect,
+    // not a camera move. The angle turned since reset (radians) rotates new
+    // lines only, and the simulation time it was last advanced to (ms).
+    this.paperSpin = 0;
+    this.paperAngle = 0;
+    this.paperTime = 0;
+
+    // Compositing over the systems below (see LAYER_BLEND_MODES); higher
+    // orders are drawn later
+    this.layer = {
+      blendMode: 'blend',
+      opacity: 100,
+      order: 0,
+    };
+
     // ========================================
     // SHOW OPTIONS
     // In reactive mode, we typically want ONLY lines/trails
@@ -108,6 +164,9 @@ class HarmonographSystem {
     this.showPlanets = false;   // Default: false (hide planet bodies)
     this.showSun = false;       // Default: false (hide sun)
     this.showBodies = false;    // Master toggle for all celestial bodies
+
+    // Record harmonograph lines as vectors for SVG export
+    this.vectorLogging = false;
   }
 
   // ========================================
@@ -115,9 +174,13 @@ class HarmonographSystem {
   // Ensures the pattern always stays within viewport
   // ========================================
   calculateAutoScale() {
-    // The outermost planet has baseRadius of 0.75
-    // Calculate maximum possible radius in pixels
-    const maxPlanetRadius = 0.75 * min(this.width, this.height) * 0.35;
+    // Calculate maximum possible radius in pixels from the outermost planet
+    // (epicycles and wider y pendulums reach further out)
+    const outerRadius = max(this.planets.map((p, i) => {
+      const config = this.planetConfigs[i] || {};
+      return max(p.baseRadius, config.yRadius || 0) + abs(p.epicycleRadius);
+    }).concat([0]));
+    const maxPlanetRadius = outerRadius * min(this.width, this.height) * 0.35;
 
     // Add some margin for audio modulation (can expand up to 10%)
     const maxPossibleRadius = maxPlanetRadius * 1.1;
@@ -144,8 +207,7 @@ class HarmonographSystem {
   // ========================================
 
   setPhysicsMode(mode) {
-    // Only allow 'legacy' and 'reactive' modes now
-    if (['legacy', 'reactive'].includes(mode)) {
+    if (PHYSICS_MODES.includes(mode)) {
       this.physicsMode = mode;
 
       const usePhysics = mode === 'reactive';
@@ -168,12 +230,127 @@ class HarmonographSystem {
   }
 
   setActivePairs(pairsArray) {
+    this.requestedPairs = pairsArray.slice();
     this.activePairs = pairsArray.filter(p => this.pairDefinitions[p]);
     return this;
   }
 
+  // Linkage ids like 'chain.ABCD', drawn after the pairs in this order.
+  // Ids with an unknown type, repeated planets or planets this system
+  // doesn't have are kept but not drawn.
+  setActiveLinkages(linkageIds) {
+    this.requestedLinkages = linkageIds.slice();
+    this.activeLinkages = linkageIds
+      .map(id => HarmonographSystem.parseLinkage(id, this.planets.length))
+      .filter(Boolean);
+    return this;
+  }
+
+  // { id, type, planets: [indices] } for a linkage id, or null if it can't
+  // be drawn with `planetCount` planets
+  static parseLinkage(id, planetCount) {
+    const [type, names] = id.split('.');
+    const def = LINKAGE_TYPES[type];
+    if (!def || !names) return null;
+
+    const planets = names.split('').map(name => PLANET_NAMES.indexOf(name));
+    if (planets.length < def.min || new Set(planets).size !== planets.length ||
+        planets.some(i => i < 0 || i >= planetCount)) {
+      return null;
+    }
+    return { id, type, planets };
+  }
+
+  // Pair definitions for `count` planets: every two planets, ordered AB, AC,
+  // BC, AD, BD, CD, AE... so the first six match the original four planets
+  static createPairDefinitions(count) {
+    const pairs = {};
+    let index = 0;
+    for (let j = 1; j < count; j++) {
+      for (let i = 0; i < j; i++) {
+        const hue = index < DEFAULT_PAIR_HUES.length
+          ? DEFAULT_PAIR_HUES[index]
+          : (DEFAULT_PAIR_HUES[DEFAULT_PAIR_HUES.length - 1] + (index - DEFAULT_PAIR_HUES.length + 1) * 137.5) % 360;
+        pairs[PLANET_NAMES[i] + PLANET_NAMES[j]] = { p1: i, p2: j, hue };
+        index++;
+      }
+    }
+    return pairs;
+  }
+
+  // Planets as [{ radius, speed, phase (degrees) }] (plus an optional orbit
+  // shape for legacy mode, see Planet.setOrbitShape(), and damping and the
+  // y swing for pendulum mode, see PendulumSystem.setPlanets()), named A,
+  // B, C... (up to PLANET_NAMES.length). Same count: updated in place, so
+  // orbits continue. New count: planets, gravity bodies and pairs are
+  // rebuilt.
+  setPlanets(configs) {
+    configs = configs.slice(0, PLANET_NAMES.length);
+    if (JSON.stringify(configs) === JSON.stringify(this.planetConfigs)) return this;
+    this.planetConfigs = JSON.parse(JSON.stringify(configs));
+    this.pendulumSystem.setPlanets(configs);
+
+    if (configs.length !== this.planets.length) {
+      this.planets = configs.map((config, i) =>
+        new Planet(config.radius, config.speed, radians(config.phase), PLANET_NAMES[i]).setOrbitShape(config));
+
+      this.gravitySystem.setPlanetCount(configs.length);
+      this.linkPlanetsToGravity();
+      for (let planet of this.planets) {
+        planet.setUsePhysics(this.physicsMode === 'reactive');
+      }
+
+      this.pairDefinitions = HarmonographSystem.createPairDefinitions(configs.length);
+      this.setPairHues(this.pairHues);
+      this.setActivePairs(this.requestedPairs);
+      this.setActiveLinkages(this.requestedLinkages);
+    } else {
+      configs.forEach((config, i) => {
+        const planet = this.planets[i];
+        planet.baseRadius = config.radius;
+        planet.baseSpeed = config.speed;
+        planet.phaseOffset = radians(config.phase);
+        planet.angle = planet.phaseOffset + planet.orbitAngle;
+        planet.setOrbitShape(config);
+      });
+    }
+
+    this.calculateAutoScale();
+    return this;
+  }
+
+  // Routes for this system's modulation matrix (see ModulationMatrix)
+  setModulationRoutes(routes) {
+    this.modulation.setRoutes(routes);
+    return this;
+  }
+
+  // LFO / envelope definitions (see ModulatorBank)
+  setModulators(definitions) {
+    this.modulators.setModulators(definitions);
+    return this;
+  }
+
+  // Manual BPM for tempo-synced LFOs, used while no reliable tempo is detected
+  setModulatorTempo(bpm, autoTempo, minTempoConfidence) {
+    this.modulators.setTempo(bpm, autoTempo, minTempoConfidence);
+    return this;
+  }
+
+  // Line hues by pair ID, e.g. { AB: 200 }; kept for pairs that don't
+  // exist yet. Pairs without one keep their default hue.
+  setPairHues(hues) {
+    this.pairHues = Object.assign({}, this.pairHues, hues);
+    for (let pairId in hues) {
+      if (this.pairDefinitions[pairId]) {
+        this.pairDefinitions[pairId].hue = hues[pairId];
+      }
+    }
+    return this;
+  }
+
   setFrequencyRange(range) {
-    if (['bass', 'mid', 'treble', 'all'].includes(range)) {
+    if (typeof range === 'string' && range.length > 0) {
       this.frequencyRange = range;
     }
     return this;
@@ -193,13 +370,99 @@ class HarmonographSystem {
     return this;
   }
 
-  setPlanetPhaseOffsets(offsets) {
-    offsets.forEach((offset, i) => {
-      if (this.planets[i]) {
-        this.planets[i].phaseOffset = offset;
-        this.planets[i].angle = offset;
-      }
-    });
+  // N-fold rotational symmetry around the center, mirrored if `mirror`
+  setSymmetry(order, mirror = false) {
+    this.symmetryOrder = max(1, order);
+    this.symmetryMirror = mirror;
+    return this;
+  }
+
+  // Paper spin in degrees per second: like the turning table of a rotary
+  // harmonograph, it rotates the lines drawn from then on; what is already
+  // drawn stays put
+  setPaperSpin(degreesPerSecond) {
+    this.paperSpin = degreesPerSecond;
+    return this;
+  }
+
+  // Pan (px) and zoom. A new pan or zoom moves what is already drawn with
+  // it (see reprojectDrawing).
+  setCamera(x, y, zoom = 1) {
+    this.cameraPreview = null;
+    const from = { x: this.camera.x, y: this.camera.y, zoom: this.camera.zoom };
+    this.camera.x = x;
+    this.camera.y = y;
+    this.camera.zoom = constrain(zoom, CAMERA_MIN_ZOOM, CAMERA_MAX_ZOOM);
+
+    if (from.x !== this.camera.x || from.y !== this.camera.y || from.zoom !== this.camera.zoom) {
+      this.reprojectDrawing(from, this.camera);
+    }
+    return this;
+  }
+
+  // Move the buffer and the vector log from camera `from` to `to`. The
+  // buffer is resampled (whole-pixel pans are exact); lines drawn
+  // afterwards are sharp at the new zoom.
+  reprojectDrawing(from, to) {
+    const ratio = to.zoom / from.zoom;
+    const fromX = this.centerX + from.x;
+    const fromY = this.centerY + from.y;
+    const toX = this.centerX + to.x;
+    const toY = this.centerY + to.y;
+
+    const copy = createGraphics(this.pg.width, this.pg.height);
+    copy.image(this.pg, 0, 0);
+
+    this.pg.background(0);
+    this.pg.push();
+    this.pg.translate(toX, toY);
+    this.pg.scale(ratio);
+    this.pg.translate(-fromX, -fromY);
+    this.pg.image(copy, 0, 0, this.width, this.height);
+    this.pg.pop();
+    copy.remove();
+
+    this.renderer.transformVectorLog((x, y) => [toX + (x - fromX) * ratio, toY + (y - fromY) * ratio], ratio);
+  }
+
+  // Show the drawing as if the camera were at (x, y, zoom), without
+  // touching the buffer (see getCameraPreviewRect)
+  previewCamera(x, y, zoom = 1) {
+    this.cameraPreview = { x, y, zoom: constrain(zoom, CAMERA_MIN_ZOOM, CAMERA_MAX_ZOOM) };
+    return this;
+  }
+
+  // The camera being shown: the preview during a gesture, else the camera
+  getViewCamera() {
+    return this.cameraPreview || this.camera;
+  }
+
+  // Where the buffer goes while previewing: the source rectangle of the
+  // buffer still inside the window and its destination in window pixels,
+  // { sx, sy, sw, sh, dx, dy, dw, dh } (empty sizes when none of it is).
+  // null when not previewing.
+  getCameraPreviewRect() {
+    if (!this.cameraPreview) return null;
+
+    const ratio = this.cameraPreview.zoom / this.camera.zoom;
+    const span = (center, from, to, size) => {
+      const fromC = center + from;
+      const toC = center + to;
+      const start = max(0, fromC - toC / ratio);
+      const end = min(size, fromC + (size - toC) / ratio);
+      const length = max(0, end - start);
+      return { start, length, to: toC + (start - fromC) * ratio, toLength: length * ratio };
+    };
+    const h = span(this.centerX, this.camera.x, this.cameraPreview.x, this.width);
+    const v = span(this.centerY, this.camera.y, this.cameraPreview.y, this.height);
+    return { sx: h.start, sy: v.start, sw: h.length, sh: v.length, dx: h.to, dy: v.to, dw: h.toLength, dh: v.toLength };
+  }
+
+  // Blend mode id, opacity (0-100) and stacking order of the system's buffer
+  setLayer(blendMode, opacity = 100, order = 0) {
+    this.layer.blendMode = LAYER_BLEND_MODES[blendMode] ? blendMode : 'blend';
+    this.layer.opacity = constrain(opacity, 0, 100);
+    this.layer.order = order;
     return this;
   }
 
@@ -219,6 +482,17 @@ class HarmonographSystem {
     return this;
   }
 
+  // Log every line/midpoint drawn (see HarmonographRenderer.vectorLog)
+  setVectorLogging(enabled) {
+    this.vectorLogging = enabled;
+    if (enabled) {
+      this.renderer.startVectorLog();
+    } else {
+      this.renderer.stopVectorLog();
+    }
+    return this;
+  }
+
   setGravityStrength(G) {
     this.gravitySystem.G = G;
     return this;
@@ -229,10 +503,40 @@ class HarmonographSystem {
     return this;
   }
 
+  // Energy the pendulums lose per minute (pendulum mode)
+  setPendulumDamping(damping) {
+    this.pendulumSystem.setDamping(damping);
+    return this;
+  }
+
+  // Draw at `scale` buffer pixels per unit. Positions, physics and line
+  // weights stay in system units, so the pattern is identical, only sharper.
+  // Replaces the buffer: call before drawing.
+  setResolutionScale(scale) {
+    if (scale === this.resolutionScale) return this;
+
+    this.resolutionScale = scale;
+    this.pg.remove();
+    this.pg = this.createBuffer();
+    this.renderer = new HarmonographRenderer(this.pg);
+    this.setVectorLogging(this.vectorLogging);
+    return this;
+  }
+
   // ========================================
   // RESIZE HANDLING
   // ========================================
 
+  // Black HSB buffer, pre-scaled so drawing code works in system units
+  createBuffer() {
+    const scale = this.resolutionScale;
+    const pg = createGraphics(this.width * scale, this.height * scale);
+    pg.colorMode(HSB, 360, 100, 100, 100);
+    pg.background(0);
+    pg.scale(scale);
+    return pg;
+  }
+
   resize(x, y, w, h) {
     this.x = x;
     this.y = y;
@@ -249,11 +553,12 @@ class HarmonographSystem {
       this.maxSafeRadius = (min(w, h) / 2) - this.viewportPadding;
       this.calculateAutoScale();
 
-      this.pg = createGraphics(w, h);
-      this.pg.colorMode(HSB, 360, 100, 100, 100);
+      this.pg = this.createBuffer();
       this.pg.image(oldPg, 0, 0, w, h);
+      oldPg.remove();
 
       this.renderer = new HarmonographRenderer(this.pg);
+      this.setVectorLogging(this.vectorLogging);
 
       // Reinitialize gravity system with new dimensions
       this.gravitySystem.initialize(this.centerX, this.centerY, min(w, h) * 0.4);
@@ -265,9 +570,19 @@ class HarmonographSystem {
   // UPDATE METHOD
   // ========================================
 
-  update(analyzer) {
+  // Called once per simulation step. elapsedTime (ms since reset) comes
+  // from the simulation clock; it defaults to wall-clock time
+  update(analyzer, elapsedTime = millis() - this.startTime) {
     const analysis = analyzer ? analyzer.getAnalysis() : null;
-    const elapsedTime = millis() - this.startTime;
+
+    if (analysis) {
+      this.modulators.update(analysis, elapsedTime);
+      this.modulation.process(analysis, this.modulators);
+    }
+
+    // Paper spin, integrated so speed changes don't jump
+    this.paperAngle += radians(this.paperSpin) * max(0, elapsedTime - this.paperTime) / 1000;
+    this.paperTime = elapsedTime;
 
     // ========================================
     // UPDATE PHYSICS OR LEGACY
@@ -275,12 +590,21 @@ class HarmonographSystem {
 
     if (this.physicsMode === 'reactive') {
       // Reactive mode: update gravity system with audio
-      this.gravitySystem.update(analysis);
+      if (analysis) {
+        this.gravitySystem.setAudioModulation({
+          gravity: 1 + this.modulation.get('gravity'),
+          timeScale: 1 + this.modulation.get('timeScale'),
+          beatPulse: this.modulation.get('gravityPulse'),
+        });
+      }
+      this.gravitySystem.update();
 
       // Sync planet positions from gravity bodies
       for (let planet of this.planets) {
-        planet.update(this.centerX, this.centerY, elapsedTime, this.cycleDuration, 0);
+        planet.update(this.centerX, this.centerY, elapsedTime, this.cycleDuration);
       }
+    } else if (this.physicsMode === 'pendulum') {
+      this.updatePendulum(analyzer, elapsedTime);
     } else {
       // Legacy mode: circular orbits with audio reactivity
       this.updateLegacy(analyzer, elapsedTime);
@@ -298,47 +622,45 @@ class HarmonographSystem {
   updateLegacy(analyzer, elapsedTime) {
     if (!analyzer) return;
 
-    const analysis = analyzer.getAnalysis();
-    let volumeModulation = analysis.smoothedVolume;
-    let shouldApplyOrbitModulation = false;
-
-    switch (this.frequencyRange) {
-      case 'bass':
-        volumeModulation = analysis.smoothedBass;
-        break;
-      case 'mid':
-        shouldApplyOrbitModulation = true;
-        volumeModulation = analysis.mid;
-        break;
-      case 'treble':
-        volumeModulation = analysis.treble;
-        break;
-      case 'all':
-      default:
-        shouldApplyOrbitModulation = true;
-        break;
-    }
-
-    // Update orbit radii based on pitch (legacy mode only)
-    if (shouldApplyOrbitModulation) {
-      let pitchRadius = map(analysis.smoothedCentroid, 0, 1, 0.7, 0.3);
-      this.planets[1].setTargetRadius(pitchRadius);
-      let secondaryRadius = lerp(0.35, pitchRadius * 0.7, 0.5);
-      this.planets[2].setTargetRadius(secondaryRadius);
-    }
+    const mod = this.modulation;
+    const orbitScale = 1 + mod.get('orbitScale');
 
-    // Update planet positions
+    // Radii, speeds and eccentricities from the modulation matrix
     for (let planet of this.planets) {
+      planet.setTargetRadius(planet.baseRadius + mod.get('radius.' + planet.name));
       planet.update(
         this.centerX,
         this.centerY,
         elapsedTime,
         this.cycleDuration,
-        volumeModulation
+        orbitScale,
+        1 + mod.get('speed.' + planet.name),
+        mod.get('eccentricity.' + planet.name)
       );
     }
   }
 
+  // Pendulum mode: planets follow their damped swings. Radius and speed
+  // routes change the amplitudes and frequencies like the legacy orbits.
+  updatePendulum(analyzer, elapsedTime) {
+    if (!analyzer) return;
+
+    const mod = this.modulation;
+    this.pendulumSystem.setAudioModulation({
+      detune: mod.get('pendulumDetune'),
+      excite: mod.get('pendulumExcite'),
+    });
+    this.pendulumSystem.update(elapsedTime, this.cycleDuration,
+      this.planets.map(planet => 1 + mod.get('speed.' + planet.name)));
+
+    // Same pixel scale as the legacy orbits
+    const scale = min(width, height) * 0.35 * (1 + mod.get('orbitScale'));
+    this.planets.forEach((planet, i) => {
+      const offset = this.pendulumSystem.getOffset(i, mod.get('radius.' + planet.name));
+      planet.moveTo(this.centerX + offset.x * scale, this.centerY + offset.y * scale);
+    });
+  }
+
   updateVisualEffects(analysis, analyzer) {
     // Get the appropriate beat state for this system's frequency range
     let bandBeat = { isBeat: false, intensity: 0 };
@@ -362,7 +684,6 @@ class HarmonographSystem {
 
       case 'treble':
         bandBeat = { isBeat: analysis.trebleBeat, intensity: analysis.trebleBeatIntensity };
-        this.jitterAmount = analysis.treble * 100;
         if (bandBeat.isBeat) {
           this.targetPulseScale = 1.0 + (bandBeat.intensity * 0.05);
           this.renderer.onBeat(bandBeat.intensity * 0.5);
@@ -370,15 +691,32 @@ class HarmonographSystem {
         break;
 
       case 'all':
-      default:
         // Use bass beat as primary for combined mode
         bandBeat = { isBeat: analysis.isBeat, intensity: analysis.beatIntensity };
         if (bandBeat.isBeat) {
           this.targetPulseScale = 1.0 + (bandBeat.intensity * 0.08);
           this.renderer.onBeat(bandBeat.intensity);
         }
-        this.jitterAmount = analysis.treble * 60;
         break;
+
+      default: {
+        // Custom band: mid-strength pulse; unknown ids behave like 'all'
+        const band = analysis.bands ? analysis.bands[this.frequencyRange] : null;
+        if (band) {
+          bandBeat = { isBeat: band.beat, intensity: band.intensity };
+          if (bandBeat.isBeat) {
+            this.targetPulseScale = 1.0 + (bandBeat.intensity * 0.08);
+            this.renderer.onBeat(bandBeat.intensity * 0.7);
+          }
+        } else {
+          bandBeat = { isBeat: analysis.isBeat, intensity: analysis.beatIntensity };
+          if (bandBeat.isBeat) {
+            this.targetPulseScale = 1.0 + (bandBeat.intensity * 0.08);
+            this.renderer.onBeat(bandBeat.intensity);
+          }
+        }
+        break;
+      }
     }
 
     // Decay pulse scale
@@ -413,9 +751,18 @@ class HarmonographSystem {
         bandBeat = analysis.trebleBeat;
         bandIntensity = analysis.trebleBeatIntensity;
         break;
-      default:
+      case 'all':
         bandBeat = analysis.isBeat;
         bandIntensity = analysis.beatIntensity;
+        break;
+      default:
+        if (analysis.bands && analysis.bands[this.frequencyRange]) {
+          bandBeat = analysis.bands[this.frequencyRange].beat;
+          bandIntensity = analysis.bands[this.frequencyRange].intensity;
+        } else {
+          bandBeat = analysis.isBeat;
+          bandIntensity = analysis.beatIntensity;
+        }
     }
 
     // ========================================
@@ -430,6 +777,7 @@ class HarmonographSystem {
     }
 
     if (fadeAmount > 0) {
+      this.renderer.logFade(fadeAmount);
       this.pg.push();
       this.pg.noStroke();
       this.pg.fill(0, 0, 0, fadeAmount);
@@ -476,12 +824,19 @@ class HarmonographSystem {
     // Apply auto-scaling to positions
     // ========================================
 
+    const mod = this.modulation;
     const drawSettings = {
-      lineOpacity: this.lineOpacity,
-      baseLineWeight: this.baseLineWeight,
-      noiseAmount: this.frequencyRange === 'treble' ? this.jitterAmount : this.noiseAmount,
+      lineOpacity: max(0, this.lineOpacity * (1 + mod.get('opacity'))),
+      baseLineWeight: max(0, this.baseLineWeight * (1 + mod.get('lineWeight'))),
+      noiseAmount: constrain(this.noiseAmount + mod.get('noise'), 0, 100),
+      hueOffset: mod.get('hueOffset'),
     };
 
+    // The kaleidoscope turns with the paper and follows the camera
+    const center = this.scalePosition({ x: this.centerX, y: this.centerY });
+    this.renderer.setSymmetry(this.symmetryOrder + mod.get('symmetryOrder'), this.symmetryMirror,
+      center.x, center.y, this.paperAngle);
+
     for (let pairId of this.activePairs) {
       const pair = this.pairDefinitions[pairId];
       if (!pair) continue;
@@ -503,14 +858,50 @@ class HarmonographSystem {
       }
     }
 
+    for (let linkage of this.activeLinkages) {
+      this.drawLinkage(linkage, analysis, drawSettings);
+    }
+
     return this.pg;
   }
 
-  // Scale a position relative to center using autoScale
+  // A linkage takes the hue of the pair of its first two planets
+  drawLinkage(linkage, analysis, drawSettings) {
+    const positions = linkage.planets.map(i => this.scalePosition(this.planets[i].getPosition()));
+    const [first, second] = linkage.planets;
+    const pairId = PLANET_NAMES[min(first, second)] + PLANET_NAMES[max(first, second)];
+    const hue = this.pairDefinitions[pairId].hue;
+
+    switch (linkage.type) {
+      case 'polygon':
+        this.renderer.drawLinkChain(positions, true, hue, analysis, drawSettings);
+        break;
+      case 'chain':
+        this.renderer.drawLinkChain(positions, false, hue, analysis, drawSettings);
+        break;
+      case 'fill':
+        this.renderer.drawLinkPolygon(positions, hue, analysis, drawSettings);
+        break;
+      case 'centroid':
+        this.renderer.drawCentroid(positions, hue, analysis, drawSettings);
+        break;
+      case 'bezier':
+        this.renderer.drawLinkCurve(positions, hue, analysis, drawSettings);
+        break;
+    }
+  }
+
+  // Scale a position relative to center using autoScale, turn it with the
+  // paper, then view it through the camera (zoom, pan)
   scalePosition(pos) {
+    const scale = this.autoScale * this.camera.zoom;
+    const dx = (pos.x - this.centerX) * scale;
+    const dy = (pos.y - this.centerY) * scale;
+    const c = cos(this.paperAngle);
+    const s = sin(this.paperAngle);
     return {
-      x: this.centerX + (pos.x - this.centerX) * this.autoScale,
-      y: this.centerY + (pos.y - this.centerY) * this.autoScale
+      x: this.centerX + this.camera.x + dx * c - dy * s,
+      y: this.centerY + this.camera.y + dx * s + dy * c
     };
   }
 
@@ -598,6 +989,10 @@ class HarmonographSystem {
     return this.gravitySystem;
   }
 
+  getRenderer() {
+    return this.renderer;
+  }
+
   getPlanets() {
     return this.planets;
   }
@@ -606,25 +1001,36 @@ class HarmonographSystem {
     return this.autoScale;
   }
 
+  // Free the graphics buffer (the system can't draw afterwards)
+  remove() {
+    this.pg.remove();
+  }
+
   // ========================================
   // RESET
   // ========================================
 
   reset() {
     this.pg.background(0);
+    this.renderer.reset();
     this.startTime = millis();
     this.frameCounter = 0;
     this.pulseScale = 1.0;
     this.targetPulseScale = 1.0;
-    this.jitterAmount = 0;
+    this.modulation.reset();
+    this.modulators.reset();
+    this.paperAngle = 0;
+    this.paperTime = 0;
 
     // Reset gravity system
     this.gravitySystem.reset();
     this.linkPlanetsToGravity();
+    this.pendulumSystem.reset();
 
     // Reset planet radii (legacy mode)
     for (let planet of this.planets) {
       planet.resetRadius();
+      planet.resetOrbit();
       planet.trail = [];
     }
   }
@@ -0,0 +1,224 @@
+// ============================================================================
+// LAYOUTS - Declarative Window Arrangements
+// A layout lists its windows, each with the id of its window settings, a
+// label and the frequency range it listens to. Windows either fill a grid
+// (left to right, top to bottom) or are rectangles in fractions of the
+// canvas; later windows are drawn over earlier ones (or in the order of
+// their layerOrder settings), composited with each window's blend mode and
+// layer opacity. One HarmonographSystem is built per window.
+// ============================================================================
+
+// Most windows in one layout (each is a full system with its own buffer)
+const LAYOUT_MAX_WINDOWS = 9;
+
+// How a window is composited over the ones below it: the p5 blend mode
+// and the SVG mix-blend-mode. Windows are painted on black, so add, screen
+// and difference let lower windows through, multiply keeps only what both
+// have drawn and normal covers them unless its layer opacity is lowered.
+const LAYER_BLEND_MODES = {
+  blend: { label: 'Normal', canvas: () => BLEND, svg: 'normal' },
+  add: { label: 'Add', canvas: () => ADD, svg: 'plus-lighter' },
+  screen: { label: 'Screen', canvas: () => SCREEN, svg: 'screen' },
+  multiply: { label: 'Multiply', canvas: () => MULTIPLY, svg: 'multiply' },
+  difference: { label: 'Difference', canvas: () => DIFFERENCE, svg: 'difference' },
+};
+
+// Bands of the quad and inset windows, defined on the analyzer while one of
+// those layouts is shown
+const LAYOUT_QUAD_BANDS = [
+  { id: 'sub', label: 'Sub', lowHz: 20, highHz: 60, cooldown: 200, decay: 0.95, pulseDecay: 0.92, pulseStrength: 0.08 },
+  { id: 'lowMid', label: 'Low-Mid', lowHz: 250, highHz: 800 },
+  { id: 'highMid', label: 'High-Mid', lowHz: 1500, highHz: 4000 },
+  { id: 'air', label: 'Air', lowHz: 10000, highHz: 16000, threshold: 0.3, cooldown: 100 },
+];
+
+// Layout description:
+//   label     name in the panel
+//   grid      { columns, rows }; without it each window sets x, y, w, h (0-1)
+//   windows   [{ id, label, range, x, y, w, h }]; custom layouts may add
+//             `settings`, the window's settings when the layout is loaded
+//   bands     analyzer bands the windows listen to ({ id, lowHz, highHz, ... })
+//   pulse     'window' (each zooms on its own range's beats) or 'shared'
+//   divider   [h, s, b, a] of the grid lines or window outlines (none if unset)
+//   labels    show each window's label on the canvas
+const LAYOUTS = {
+  single: {
+    label: 'Single',
+    grid: { columns: 1, rows: 1 },
+    windows: [{ id: 'main', label: 'Main', range: 'all' }],
+    pulse: 'shared',
+  },
+  dual: {
+    label: 'Dual',
+    grid: { columns: 2, rows: 1 },
+    windows: [
+      { id: 'left', label: 'Left', range: 'all' },
+      { id: 'right', label: 'Right', range: 'all' },
+    ],
+    pulse: 'shared',
+    divider: [0, 0, 100, 30],
+  },
+  triple: {
+    label: 'Triple',
+    grid: { columns: 3, rows: 1 },
+    windows: [
+      { id: 'bass', label: 'Bass', range: 'bass' },
+      { id: 'mid', label: 'Mid', range: 'mid' },
+      { id: 'treble', label: 'Treble', range: 'treble' },
+    ],
+    pulse: 'window',
+    divider: [0, 0, 30, 50],
+    labels: true,
+  },
+  quad: {
+    label: 'Quad',
+    grid: { columns: 2, rows: 2 },
+    windows: [
+      { id: 'sub', label: 'Sub', range: 'sub' },
+      { id: 'lowMid', label: 'Low-Mid', range: 'lowMid' },
+      { id: 'highMid', label: 'High-Mid', range: 'highMid' },
+      { id: 'air', label: 'Air', range: 'air' },
+    ],
+    bands: LAYOUT_QUAD_BANDS,
+    pulse: 'window',
+    divider: [0, 0, 30, 50],
+    labels: true,
+  },
+  inset: {
+    label: 'Inset',
+    windows: [
+      { id: 'main', label: 'Main', range: 'all', x: 0, y: 0, w: 1, h: 1 },
+      { id: 'sub', label: 'Sub', range: 'sub', x: 0.02, y: 0.03, w: 0.18, h: 0.24 },
+      { id: 'lowMid', label: 'Low-Mid', range: 'lowMid', x: 0.8, y: 0.03, w: 0.18, h: 0.24 },
+      { id: 'highMid', label: 'High-Mid', range: 'highMid', x: 0.02, y: 0.73, w: 0.18, h: 0.24 },
+      { id: 'air', label: 'Air', range: 'air', x: 0.8, y: 0.73, w: 0.18, h: 0.24 },
+    ],
+    bands: LAYOUT_QUAD_BANDS,
+    pulse: 'window',
+    divider: [0, 0, 100, 30],
+  },
+  layered: {
+    label: 'Layered',
+    windows: [
+      { id: 'bassLayer', label: 'Bass Layer', range: 'bass', x: 0, y: 0, w: 1, h: 1 },
+      { id: 'midLayer', label: 'Mid Layer', range: 'mid', x: 0, y: 0, w: 1, h: 1 },
+      { id: 'trebleLayer', label: 'Treble Layer', range: 'treble', x: 0, y: 0, w: 1, h: 1 },
+    ],
+    pulse: 'window',
+  },
+};
+
+// The layout for a layoutMode: a LAYOUTS entry, or `customLayout` for
+// 'custom'. Anything unusable falls back to the single layout.
+function getLayout(layoutMode, customLayout = null) {
+  if (layoutMode === 'custom' && isLayout(customLayout)) {
+    return customLayout;
+  }
+  return LAYOUTS[layoutMode] || LAYOUTS.single;
+}
+
+// Pixel rectangles of a layout's windows on a canvasWidth x canvasHeight
+// canvas: [{ id, label, range, x, y, width, height }]. Grid cells are
+// whole pixels wide, so the last column or row may leave a sliver.
+function getLayoutWindows(layout, canvasWidth, canvasHeight) {
+  const grid = layout.grid;
+
+  return layout.windows.map((win, i) => {
+    const placed = { id: win.id, label: win.label || win.id, range: win.range || 'all' };
+
+    if (grid) {
+      const cellWidth = floor(canvasWidth / grid.columns);
+      const cellHeight = floor(canvasHeight / grid.rows);
+      placed.x = (i % grid.columns) * cellWidth;
+      placed.y = floor(i / grid.columns) * cellHeight;
+      placed.width = cellWidth;
+      placed.height = cellHeight;
+    } else {
+      placed.x = floor(win.x * canvasWidth);
+      placed.y = floor(win.y * canvasHeight);
+      placed.width = max(1, floor(win.w * canvasWidth));
+      placed.height = max(1, floor(win.h * canvasHeight));
+    }
+    return placed;
+  });
+}
+
+// ========================================
+// VALIDATION (custom layouts)
+// ========================================
+
+// Throws an Error saying what is wrong with a layout description
+function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.windows)) {
+    throw new Error('Not a layout (it needs a "windows" list)');
+  }
+
+  const windows = layout.windows;
+  if (windows.length === 0 || windows.length > LAYOUT_MAX_WINDOWS) {
+    throw new Error('A layout needs 1 to ' + LAYOUT_MAX_WINDOWS + ' windows');
+  }
+
+  const isCount = n => Number.isInteger(n) && n > 0;
+  const isFraction = n => typeof n === 'number' && n >= 0 && n <= 1;
+  const grid = layout.grid;
+  if (grid !== undefined) {
+    if (!grid || !isCount(grid.columns) || !isCount(grid.rows)) {
+      throw new Error('"grid" needs whole numbers of columns and rows');
+    }
+    if (windows.length > grid.columns * grid.rows) {
+      throw new Error('More windows than grid cells');
+    }
+  }
+
+  const ids = [];
+  windows.forEach((win, i) => {
+    const name = 'Window ' + (i + 1);
+    // Ids become panel options and SVG group ids
+    if (!win || typeof win.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(win.id) || win.id === 'all') {
+      throw new Error(name + ' needs an id of letters, digits, - or _ (not "all")');
+    }
+    if (ids.includes(win.id)) {
+      throw new Error('Window id "' + win.id + '" is used twice');
+    }
+    ids.push(win.id);
+
+    if (win.range !== undefined && typeof win.range !== 'string') {
+      throw new Error(name + ': "range" must be a band id like "bass" or "all"');
+    }
+    if (win.label !== undefined && typeof win.label !== 'string') {
+      throw new Error(name + ': "label" must be text');
+    }
+    if (win.settings !== undefined && (!win.settings || typeof win.settings !== 'object')) {
+      throw new Error(name + ': "settings" must be an object');
+    }
+    if (!grid) {
+      if (![win.x, win.y, win.w, win.h].every(isFraction) || win.w === 0 || win.h === 0 ||
+          win.x + win.w > 1.001 || win.y + win.h > 1.001) {
+        throw new Error(name + ' needs x, y, w and h as fractions of the canvas (0-1), inside it');
+      }
+    }
+  });
+
+  if (layout.bands !== undefined && !Array.isArray(layout.bands)) {
+    throw new Error('"bands" must be a list');
+  }
+  for (let band of layout.bands || []) {
+    if (!band || typeof band.id !== 'string' || typeof band.lowHz !== 'number' ||
+        typeof band.highHz !== 'number' || !(band.lowHz >= 0 && band.lowHz < band.highHz)) {
+      throw new Error('Each band needs an id and lowHz below highHz');
+    }
+  }
+  if (layout.divider !== undefined && !(Array.isArray(layout.divider) && layout.divider.length === 4)) {
+    throw new Error('"divider" must be an [h, s, b, a] color');
+  }
+  return layout;
+}
+
+function isLayout(layout) {
+  try {
+    validateLayout(layout);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,198 @@
+// ============================================================================
+// MODULATION MATRIX - Audio Features Routed to System Parameters
+// Each route reads one analysis feature, smooths it, shapes it with a
+// curve and adds amount x value to a target parameter. Routes live in each
+// window's settings, so they are edited per window and saved with presets.
+// ============================================================================
+
+// Analysis features. Beat sources are impulses: smoothing sets their decay.
+// 'section' counts the song sections found by the pre-analysis (0, 1, 2...).
+// Analyzer bands add 'band.<id>' (level) and 'beat.<id>' (beat intensity);
+// LFOs and envelopes (see Modulators) add 'mod.<id>'.
+const MODULATION_SOURCES = {
+  bass: { label: 'Bass', read: a => a.smoothedBass },
+  mid: { label: 'Mid', read: a => a.mid },
+  treble: { label: 'Treble', read: a => a.treble },
+  centroid: { label: 'Centroid (pitch)', read: a => a.smoothedCentroid },
+  volume: { label: 'Volume', read: a => a.smoothedVolume },
+  beat: { label: 'Beat', read: a => (a.isBeat ? a.beatIntensity : 0), impulse: true },
+  beatPhase: { label: 'Tempo phase', read: a => a.beatPhase },
+  section: { label: 'Section number', read: a => a.section },
+};
+
+// How each target combines with its base value is noted in the label.
+// Every possible planet has radius, speed and eccentricity targets; routes
+// to planets a window doesn't have do nothing.
+const MODULATION_TARGETS = {};
+for (let name of PLANET_NAMES) {
+  MODULATION_TARGETS['radius.' + name] = { label: 'Planet ' + name + ' radius (+)' };
+}
+for (let name of PLANET_NAMES) {
+  MODULATION_TARGETS['speed.' + name] = { label: 'Planet ' + name + ' speed (x)' };
+}
+for (let name of PLANET_NAMES) {
+  MODULATION_TARGETS['eccentricity.' + name] = { label: 'Planet ' + name + ' eccentricity (+)' };
+}
+Object.assign(MODULATION_TARGETS, {
+  orbitScale: { label: 'Orbit size (x)' },
+  lineWeight: { label: 'Line weight (x)' },
+  opacity: { label: 'Opacity (x)' },
+  hueOffset: { label: 'Hue offset (deg)' },
+  noise: { label: 'Noise (+)' },
+  gravity: { label: 'Gravity G (x)' },
+  gravityPulse: { label: 'Gravity pulse' },
+  timeScale: { label: 'Time scale (x)' },
+  symmetryOrder: { label: 'Symmetry folds (+)' },
+  pendulumDetune: { label: 'Pendulum detune (x up, y down)' },
+  pendulumExcite: { label: 'Pendulum excite (0-1)' },
+});
+
+// Shapes applied to the (smoothed) source value
+const MODULATION_CURVES = {
+  linear: x => x,
+  inverse: x => 1 - x,
+  bipolar: x => x * 2 - 1,
+  square: x => x * x,
+  sqrt: x => sqrt(max(0, x)),
+};
+
+class ModulationMatrix {
+  constructor(routes = []) {
+    this.routes = [];
+
+    // Smoothed source value per route
+    this.states = [];
+
+    // Summed modulation per target from the last process()
+    this.values = {};
+
+    this.setRoutes(routes);
+  }
+
+  // ========================================
+  // SOURCES
+  // ========================================
+
+  static readSource(source, analysis, modulators = null) {
+    const def = MODULATION_SOURCES[source];
+    if (def) {
+      return def.read(analysis) || 0;
+    }
+
+    const dot = source.indexOf('.');
+    if (source.slice(0, dot) === 'mod') {
+      return modulators ? modulators.get(source.slice(dot + 1)) : 0;
+    }
+
+    const band = analysis.bands ? analysis.bands[source.slice(dot + 1)] : null;
+    if (!band) return 0;
+
+    switch (source.slice(0, dot)) {
+      case 'band':
+        return band.smoothed || 0;
+      case 'beat':
+        return band.beat ? band.intensity : 0;
+      default:
+        return 0;
+    }
+  }
+
+  static isImpulse(source) {
+    const def = MODULATION_SOURCES[source];
+    return def ? !!def.impulse : source.startsWith('beat.');
+  }
+
+  // Source ids for the editor: the built-ins, level/beat per band and the
+  // modulator definitions' ids
+  static getSourceIds(bandIds = [], modulators = []) {
+    const ids = Object.keys(MODULATION_SOURCES);
+    for (let id of bandIds) {
+      ids.push('band.' + id, 'beat.' + id);
+    }
+    for (let modulator of modulators) {
+      ids.push('mod.' + modulator.id);
+    }
+    return ids;
+  }
+
+  static getSourceLabel(source, modulators = []) {
+    const def = MODULATION_SOURCES[source];
+    if (def) return def.label;
+    const dot = source.indexOf('.');
+    const id = source.slice(dot + 1);
+    switch (source.slice(0, dot)) {
+      case 'mod': {
+        const modulator = modulators.find(m => m.id === id);
+        return modulator ? ModulatorBank.getLabel(modulator) : 'Modulator: ' + id;
+      }
+      case 'beat':
+        return 'Beat: ' + id;
+      default:
+        return 'Band: ' + id;
+    }
+  }
+
+  static createRoute(source = 'bass', target = 'lineWeight', amount = 0.5, curve = 'linear', smoothing = 0) {
+    return { source, target, amount, curve, smoothing };
+  }
+
+  // ========================================
+  // ROUTES
+  // ========================================
+
+  // Replace the routes; routes that didn't change keep their smoothing state
+  setRoutes(routes) {
+    const previous = this.routes;
+    const states = this.states;
+
+    this.routes = JSON.parse(JSON.stringify(routes || []));
+    this.states = this.routes.map((route, i) =>
+      (previous[i] && JSON.stringify(previous[i]) === JSON.stringify(route) ? states[i] : 0));
+    return this;
+  }
+
+  getRoutes() {
+    return this.routes;
+  }
+
+  reset() {
+    this.states = this.routes.map(() => 0);
+    this.values = {};
+    return this;
+  }
+
+  // ========================================
+  // EVALUATION
+  // ========================================
+
+  // Evaluate every route for one simulation step; `modulators` (a
+  // ModulatorBank, already updated) feeds the 'mod.<id>' sources
+  process(analysis, modulators = null) {
+    const values = {};
+
+    this.routes.forEach((route, i) => {
+      const input = ModulationMatrix.readSource(route.source, analysis, modulators);
+      const smoothing = constrain(route.smoothing || 0, 0, 0.999);
+
+      let state = this.states[i];
+      if (ModulationMatrix.isImpulse(route.source)) {
+        // Jump to each hit, then decay
+        state = input > 0 ? input : state * smoothing;
+      } else {
+        state = lerp(input, state, smoothing);
+      }
+      this.states[i] = state;
+
+      const curve = MODULATION_CURVES[route.curve] || MODULATION_CURVES.linear;
+      values[route.target] = (values[route.target] || 0) + route.amount * curve(state);
+    });
+
+    this.values = values;
+    return this;
+  }
+
+  // Summed modulation for a target (0 when nothing routes to it)
+  get(target) {
+    return this.values[target] || 0;
+  }
+}
@@ -0,0 +1,307 @@
+// ============================================================================
+// MODULATORS - LFOs and ADSR Envelopes for the Modulation Matrix
+// Internal signals (0-1) that keep the drawing moving when the input is
+// quiet. They run on simulation time, so replays and posters match, and
+// are routed like audio features through the 'mod.<id>' sources.
+// ============================================================================
+
+// LFO waveforms over one cycle (0-1 in, 0-1 out); 'random' is stateful
+const LFO_SHAPES = {
+  sine: { label: 'Sine', wave: f => 0.5 - 0.5 * cos(f * TWO_PI) },
+  triangle: { label: 'Triangle', wave: f => 1 - abs(f * 2 - 1) },
+  saw: { label: 'Saw (ramp)', wave: f => f },
+  random: { label: 'Random walk', wave: null },
+};
+
+// Largest move of a random walk per cycle
+const RANDOM_WALK_STEP = 0.5;
+
+// ========================================
+// LFO
+// ========================================
+
+class LFO {
+  // definition: { id, type: 'lfo', shape, rate (Hz), sync, beats, phase }
+  constructor(definition) {
+    this.definition = definition;
+    this.seed = LFO.hashString(definition.id);
+    this.reset();
+  }
+
+  // Stable number per id, so every system walks the same way
+  static hashString(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) % 65521;
+    }
+    return hash;
+  }
+
+  // Deterministic 0-1 value for step n (no p5 random: drawing seeds stay put)
+  static hash(seed, n) {
+    const x = sin(n * 12.9898 + seed * 78.233) * 43758.5453;
+    return x - floor(x);
+  }
+
+  reset() {
+    // Cycles run since reset
+    this.cycles = 0;
+
+    // Synced LFOs locked to the detected beat: beats counted since locking
+    // on, and the last beat phase seen (null while not locked)
+    this.beatCount = 0;
+    this.lastBeatPhase = null;
+
+    // Random walk: the points glided between during the current cycle
+    this.walkIndex = 0;
+    this.walkFrom = 0.5;
+    this.walkTo = this.getWalkPoint(0.5, 0);
+    return this;
+  }
+
+  getWalkPoint(from, index) {
+    let value = from + (LFO.hash(this.seed, index) - 0.5) * RANDOM_WALK_STEP * 2;
+    // Reflect off the edges to stay in 0-1
+    if (value < 0) value = -value;
+    if (value > 1) value = 2 - value;
+    return value;
+  }
+
+  // Cycles per second: the rate, or one cycle per `beats` beats at `bpm`
+  getFrequency(bpm) {
+    const def = this.definition;
+    if (def.sync) {
+      return bpm / 60 / max(def.beats || 1, 0.0625);
+    }
+    return max(def.rate || 0, 0);
+  }
+
+  // beatPhase is the detected beat phase, or null when the tempo isn't
+  // reliable. Synced LFOs then take their position from the beat grid, so
+  // they stay on the beat through tempo changes; otherwise they run at
+  // their rate from where they are.
+  update(deltaMs, bpm, beatPhase = null) {
+    const def = this.definition;
+    if (def.sync && beatPhase !== null && beatPhase !== undefined) {
+      const beats = max(def.beats || 1, 0.0625);
+      if (this.lastBeatPhase === null) {
+        // Lock on at the beat the cycles run so far have reached
+        this.beatCount = floor(this.cycles * beats);
+      } else if (beatPhase < this.lastBeatPhase - 0.5) {
+        // The phase wrapped (small backward nudges from the tracker don't count)
+        this.beatCount++;
+      }
+      this.lastBeatPhase = beatPhase;
+      this.cycles = (this.beatCount + beatPhase) / beats;
+    } else {
+      this.lastBeatPhase = null;
+      this.cycles += this.getFrequency(bpm) * deltaMs / 1000;
+    }
+    return this.getValue();
+  }
+
+  getValue() {
+    const position = this.cycles + (this.definition.phase || 0);
+    const f = position - floor(position);
+    const shape = LFO_SHAPES[this.definition.shape] || LFO_SHAPES.sine;
+
+    if (shape.wave) {
+      return shape.wave(f);
+    }
+
+    // Random walk: new target each cycle, eased glide towards it
+    const index = floor(position);
+    while (this.walkIndex < index) {
+      this.walkIndex++;
+      this.walkFrom = this.walkTo;
+      this.walkTo = this.getWalkPoint(this.walkFrom, this.walkIndex);
+    }
+    return lerp(this.walkFrom, this.walkTo, f * f * (3 - 2 * f));
+  }
+}
+
+// ========================================
+// ENVELOPE
+// ========================================
+
+class Envelope {
+  // definition: { id, type: 'envelope', trigger, attack, decay, sustain,
+  // hold, release } - times in ms, sustain 0-1. trigger is 'beat' (the
+  // main beat) or a band id ('bass', 'mid', 'treble', custom bands).
+  constructor(definition) {
+    this.definition = definition;
+    this.reset();
+  }
+
+  // Whether the trigger fired in this analysis frame
+  static isTriggered(trigger, analysis) {
+    if (trigger === 'beat') {
+      return !!analysis.isBeat;
+    }
+    const band = analysis.bands ? analysis.bands[trigger] : null;
+    return !!(band && band.beat);
+  }
+
+  reset() {
+    this.stage = 'idle';
+    this.level = 0;
+    this.stageTime = 0;
+
+    // Level the attack starts from (retriggers rise from where they are)
+    this.attackFrom = 0;
+    return this;
+  }
+
+  trigger() {
+    this.stage = 'attack';
+    this.stageTime = 0;
+    this.attackFrom = this.level;
+    return this;
+  }
+
+  update(deltaMs, analysis) {
+    if (analysis && Envelope.isTriggered(this.definition.trigger, analysis)) {
+      this.trigger();
+    }
+    this.advance(deltaMs);
+    return this.level;
+  }
+
+  // Move through attack -> decay -> hold (at sustain) -> release -> idle
+  advance(deltaMs) {
+    const def = this.definition;
+    const sustain = constrain(def.sustain || 0, 0, 1);
+    const stages = {
+      attack: { length: def.attack, next: 'decay', from: this.attackFrom, to: 1 },
+      decay: { length: def.decay, next: 'hold', from: 1, to: sustain },
+      hold: { length: def.hold, next: 'release', from: sustain, to: sustain },
+      release: { length: def.release, next: 'idle', from: sustain, to: 0 },
+    };
+
+    this.stageTime += deltaMs;
+    while (stages[this.stage]) {
+      const stage = stages[this.stage];
+      const length = max(stage.length || 0, 0);
+      if (this.stageTime < length) {
+        this.level = lerp(stage.from, stage.to, this.stageTime / length);
+        return;
+      }
+      this.stageTime -= length;
+      this.level = stage.to;
+      this.stage = stage.next;
+    }
+    this.stageTime = 0;
+  }
+}
+
+// ========================================
+// MODULATOR BANK
+// ========================================
+
+// The modulators of one system, evaluated once per simulation step
+class ModulatorBank {
+  constructor(definitions = []) {
+    this.modulators = [];
+
+    // Latest value per modulator id
+    this.values = {};
+
+    // Simulation time of the last update (ms)
+    this.lastElapsedTime = 0;
+
+    // Tempo for synced LFOs: detected when reliable, else the manual BPM
+    this.bpm = 120;
+    this.autoTempo = true;
+    this.minTempoConfidence = 0.3;
+
+    this.setModulators(definitions);
+  }
+
+  static createLFO(id, shape = 'sine', rate = 0.1) {
+    return { id, type: 'lfo', shape, rate, sync: false, beats: 4, phase: 0 };
+  }
+
+  static createEnvelope(id, trigger = 'bass') {
+    return { id, type: 'envelope', trigger, attack: 20, decay: 200, sustain: 0.5, hold: 100, release: 600 };
+  }
+
+  // First unused id like 'lfo2' among `definitions`
+  static getFreeId(definitions, prefix) {
+    let n = 1;
+    while (definitions.some(def => def.id === prefix + n)) n++;
+    return prefix + n;
+  }
+
+  static getLabel(definition) {
+    if (definition.type === 'envelope') {
+      return definition.id + ' (' + definition.trigger + ' beats)';
+    }
+    const shape = LFO_SHAPES[definition.shape] || LFO_SHAPES.sine;
+    return definition.id + ' (' + shape.label.toLowerCase() + ')';
+  }
+
+  // Replace the definitions. Modulators keep running through edits (an
+  // LFO's new rate continues from its current phase); new ones start fresh.
+  setModulators(definitions) {
+    const previous = this.modulators;
+
+    this.modulators = (definitions || []).map((def) => {
+      const copy = JSON.parse(JSON.stringify(def));
+      const Type = copy.type === 'envelope' ? Envelope : LFO;
+      const existing = previous.find(m => m.definition.id === copy.id && m instanceof Type);
+      if (existing) {
+        existing.definition = copy;
+        return existing;
+      }
+      return new Type(copy);
+    });
+    return this;
+  }
+
+  setTempo(bpm, autoTempo = true, minTempoConfidence = 0.3) {
+    this.bpm = bpm;
+    this.autoTempo = autoTempo;
+    this.minTempoConfidence = minTempoConfidence;
+    return this;
+  }
+
+  // Same rule as Settings.hasReliableTempo()
+  hasReliableTempo(analysis) {
+    return this.autoTempo && analysis && analysis.tempo > 0 &&
+      analysis.tempoConfidence >= this.minTempoConfidence;
+  }
+
+  getBpm(analysis) {
+    return this.hasReliableTempo(analysis) ? analysis.tempo : this.bpm;
+  }
+
+  reset() {
+    for (let modulator of this.modulators) {
+      modulator.reset();
+    }
+    this.values = {};
+    this.lastElapsedTime = 0;
+    return this;
+  }
+
+  // Advance every modulator to `elapsedTime` (simulation ms)
+  update(analysis, elapsedTime) {
+    const deltaMs = max(0, elapsedTime - this.lastElapsedTime);
+    this.lastElapsedTime = elapsedTime;
+
+    const bpm = this.getBpm(analysis);
+    const beatPhase = this.hasReliableTempo(analysis) ? analysis.beatPhase : null;
+    const values = {};
+    for (let modulator of this.modulators) {
+      values[modulator.definition.id] = modulator instanceof Envelope
+        ? modulator.update(deltaMs, analysis)
+        : modulator.update(deltaMs, bpm, beatPhase);
+    }
+    this.values = values;
+    return this;
+  }
+
+  get(id) {
+    return this.values[id] || 0;
+  }
+}
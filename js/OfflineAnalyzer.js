@@ -0,0 +1,550 @@
+// ============================================================================
+// OFFLINE ANALYZER - Whole-Track Pre-Analysis for Uploaded Files
+// Decodes the full buffer ahead of playback into a frame timeline
+// (band energies, onsets, tempo, beat grid, sections) that the
+// AudioAnalyzer reads in sync with audioFile.currentTime()
+// ============================================================================
+
+class OfflineAnalyzer {
+  constructor() {
+    // Mirror p5.FFT(0.8, 512) on a Web Audio AnalyserNode
+    this.fftSize = 1024;
+    this.smoothing = 0.8;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+
+    // p5.Amplitude measures RMS over its processor buffer
+    this.amplitudeWindow = 2048;
+
+    // Timeline resolution (frames per second)
+    this.frameRate = 60;
+
+    // Frames processed between yields to the browser
+    this.chunkSize = 400;
+
+    // Onset peak picking (centered: look-ahead is free offline)
+    this.peakRadius = 2;            // Frames either side a peak must dominate
+
+    // Beat grid: penalty for deviating from the global beat period
+    this.beatTightness = 100;
+
+    // Section detection
+    this.sectionWindow = 4;         // Seconds compared either side of a boundary
+    this.minSectionLength = 8;      // Seconds between boundaries
+
+    this.precomputeTables();
+  }
+
+  // ========================================
+  // SETUP
+  // ========================================
+
+  precomputeTables() {
+    const n = this.fftSize;
+
+    // Blackman window (what AnalyserNode applies)
+    this.window = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const t = i / n;
+      this.window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t);
+    }
+
+    // Bit-reversal permutation
+    const bits = Math.log2(n);
+    this.bitReverse = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed = (reversed << 1) | ((i >> b) & 1);
+      }
+      this.bitReverse[i] = reversed;
+    }
+
+    // Twiddle factors
+    this.cosTable = new Float32Array(n / 2);
+    this.sinTable = new Float32Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      this.cosTable[i] = Math.cos(2 * Math.PI * i / n);
+      this.sinTable[i] = -Math.sin(2 * Math.PI * i / n);
+    }
+  }
+
+  // ========================================
+  // PUBLIC API
+  // ========================================
+
+  // Analyze a decoded AudioBuffer using the analyzer's band definitions
+  // and detector parameters. Resolves with a timeline object.
+  // onProgress (optional) receives 0-1 while the spectrum pass runs.
+  analyze(audioBuffer, analyzer, onProgress) {
+    const samples = this.mixToMono(audioBuffer);
+    const sampleRate = audioBuffer.sampleRate;
+    const hop = sampleRate / this.frameRate;
+    const frameCount = Math.floor(samples.length / hop);
+    const bins = this.fftSize / 2;
+    const nyquist = sampleRate / 2;
+
+    const timeline = {
+      frameRate: this.frameRate,
+      frameCount,
+      duration: frameCount * 1000 / this.frameRate,
+      volume: new Float32Array(frameCount),
+      centroid: new Float32Array(frameCount),
+      lowMid: new Float32Array(frameCount),
+      highMid: new Float32Array(frameCount),
+      onsetStrength: new Float32Array(frameCount),
+      bands: {},
+      tempo: 0,
+      tempoConfidence: 0,
+      beatTimes: [],
+      sections: []
+    };
+
+    const bandIds = analyzer.getBandIds();
+    const binRanges = {};
+    for (let id of bandIds) {
+      const band = analyzer.getBand(id);
+      binRanges[id] = this.energyBins(band.lowHz, band.highHz, nyquist, bins);
+      timeline.bands[id] = {
+        lowHz: band.lowHz,
+        highHz: band.highHz,
+        cooldown: band.cooldown,
+        energy: new Float32Array(frameCount),
+        flux: new Float32Array(frameCount),
+        threshold: new Float32Array(frameCount),
+        beats: new Uint8Array(frameCount),
+        intensity: new Float32Array(frameCount)
+      };
+    }
+    const lowMidBins = this.energyBins(140, 400, nyquist, bins);
+    const highMidBins = this.energyBins(2600, 5200, nyquist, bins);
+
+    const state = {
+      frame: 0,
+      smoothedMagnitude: new Float32Array(bins),
+      previousSpectrum: null,
+      spectrum: new Float32Array(bins),
+      real: new Float32Array(this.fftSize),
+      imag: new Float32Array(this.fftSize)
+    };
+
+    // Spectrum pass in chunks so the page stays responsive
+    const processChunk = () => new Promise(resolve => {
+      const end = Math.min(state.frame + this.chunkSize, frameCount);
+      for (; state.frame < end; state.frame++) {
+        const f = state.frame;
+        // AnalyserNode looks at the most recent fftSize samples
+        const position = Math.round((f + 1) * hop);
+        this.computeSpectrum(samples, position, state);
+        const spectrum = state.spectrum;
+
+        for (let id of bandIds) {
+          const range = binRanges[id];
+          timeline.bands[id].energy[f] = this.averageBins(spectrum, range) / 255;
+          if (state.previousSpectrum) {
+            timeline.bands[id].flux[f] = this.bandFlux(spectrum, state.previousSpectrum, range);
+          }
+        }
+        timeline.lowMid[f] = this.averageBins(spectrum, lowMidBins) / 255;
+        timeline.highMid[f] = this.averageBins(spectrum, highMidBins) / 255;
+        timeline.volume[f] = this.rms(samples, position);
+        timeline.centroid[f] = this.normalizedCentroid(spectrum, nyquist);
+
+        if (!state.previousSpectrum) state.previousSpectrum = new Float32Array(bins);
+        state.previousSpectrum.set(spectrum);
+      }
+
+      if (onProgress) onProgress(frameCount > 0 ? state.frame / frameCount : 1);
+      setTimeout(resolve, 0);
+    }).then(() => (state.frame < frameCount ? processChunk() : timeline));
+
+    return processChunk().then(() => {
+      this.detectOnsets(timeline, analyzer);
+      this.computeOnsetStrength(timeline);
+      this.estimateTempo(timeline, analyzer);
+      this.trackBeats(timeline);
+      this.detectSections(timeline);
+      return timeline;
+    });
+  }
+
+  // ========================================
+  // SPECTRUM (AnalyserNode emulation)
+  // ========================================
+
+  mixToMono(audioBuffer) {
+    const length = audioBuffer.length;
+    const channels = audioBuffer.numberOfChannels;
+    const mono = new Float32Array(length);
+    for (let c = 0; c < channels; c++) {
+      const data = audioBuffer.getChannelData(c);
+      for (let i = 0; i < length; i++) {
+        mono[i] += data[i] / channels;
+      }
+    }
+    return mono;
+  }
+
+  // Byte spectrum (0-255) of the fftSize samples ending at `position`,
+  // with the same smoothing and dB scaling as getByteFrequencyData()
+  computeSpectrum(samples, position, state) {
+    const n = this.fftSize;
+    const real = state.real;
+    const imag = state.imag;
+    const start = position - n;
+
+    imag.fill(0);
+    for (let i = 0; i < n; i++) {
+      const index = start + i;
+      const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+      real[this.bitReverse[i]] = sample * this.window[i];
+    }
+
+    this.fft(real, imag);
+
+    const range = this.maxDecibels - this.minDecibels;
+    for (let k = 0; k < n / 2; k++) {
+      const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / n;
+      const smoothed = this.smoothing * state.smoothedMagnitude[k] + (1 - this.smoothing) * magnitude;
+      state.smoothedMagnitude[k] = smoothed;
+
+      const db = 20 * Math.log10(smoothed || 1e-12);
+      state.spectrum[k] = Math.max(0, Math.min(255, Math.floor(255 * (db - this.minDecibels) / range)));
+    }
+  }
+
+  // In-place iterative radix-2 FFT (input already bit-reversed)
+  fft(real, imag) {
+    const n = real.length;
+    for (let size = 2; size <= n; size *= 2) {
+      const half = size / 2;
+      const step = n / size;
+      for (let i = 0; i < n; i += size) {
+        for (let j = 0; j < half; j++) {
+          const cos = this.cosTable[j * step];
+          const sin = this.sinTable[j * step];
+          const a = i + j;
+          const b = a + half;
+          const tr = real[b] * cos - imag[b] * sin;
+          const ti = real[b] * sin + imag[b] * cos;
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+  }
+
+  // Same Hz-to-bin rounding as p5.FFT.getEnergy()
+  energyBins(lowHz, highHz, nyquist, bins) {
+    const low = Math.min(Math.max(Math.round(lowHz / nyquist * bins), 0), bins - 1);
+    const high = Math.min(Math.max(Math.round(highHz / nyquist * bins), low), bins - 1);
+    return [low, high];
+  }
+
+  averageBins(spectrum, range) {
+    let total = 0;
+    for (let i = range[0]; i <= range[1]; i++) {
+      total += spectrum[i];
+    }
+    return total / (range[1] - range[0] + 1);
+  }
+
+  // Matches AudioAnalyzer.bandFlux() on 0-255 input
+  bandFlux(spectrum, previous, range) {
+    let flux = 0;
+    for (let i = range[0]; i <= range[1]; i++) {
+      flux += Math.max(0, spectrum[i] - previous[i]) / 255;
+    }
+    return flux / (range[1] - range[0] + 1);
+  }
+
+  rms(samples, position) {
+    const start = Math.max(0, position - this.amplitudeWindow);
+    const end = Math.min(position, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return end > start ? Math.sqrt(sum / (end - start)) : 0;
+  }
+
+  // p5.FFT.getCentroid(), then the AudioAnalyzer's log mapping to 0-1
+  normalizedCentroid(spectrum, nyquist) {
+    let weighted = 0;
+    let total = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+      weighted += i * spectrum[i];
+      total += spectrum[i];
+    }
+    const centroidHz = total > 0 ? (weighted / total) * (nyquist / spectrum.length) : 0;
+    return constrain(map(Math.log(centroidHz + 1), Math.log(100), Math.log(8000), 0, 1), 0, 1);
+  }
+
+  // ========================================
+  // ONSETS
+  // Centered peak picking on each band's flux, using the live
+  // detector's multiplier/delta/cooldown so results look the same
+  // ========================================
+
+  detectOnsets(timeline, analyzer) {
+    const halfWindow = Math.floor(analyzer.historyLength / 2);
+    const frameMs = 1000 / timeline.frameRate;
+
+    for (let id in timeline.bands) {
+      const band = timeline.bands[id];
+      // Bands the analyzer no longer has (e.g. after leaving the Quad layout)
+      // keep the cooldown they were analyzed with
+      const liveBand = analyzer.getBand(id);
+      const cooldown = liveBand ? liveBand.cooldown : band.cooldown;
+      const flux = band.flux;
+      const n = flux.length;
+      let lastOnset = -Infinity;
+
+      // Re-detection (sensitivity changes, preset loads) starts clean
+      band.beats.fill(0);
+      band.intensity.fill(0);
+
+      // Running sum for the centered mean
+      let sum = 0;
+      let count = 0;
+      for (let i = 0; i < Math.min(halfWindow, n); i++) {
+        sum += flux[i];
+        count++;
+      }
+
+      for (let i = 0; i < n; i++) {
+        const enter = i + halfWindow;
+        const leave = i - halfWindow - 1;
+        if (enter < n) { sum += flux[enter]; count++; }
+        if (leave >= 0) { sum -= flux[leave]; count--; }
+
+        const threshold = (sum / count) * analyzer.fluxMultiplier + analyzer.fluxDelta;
+        band.threshold[i] = threshold;
+
+        if (flux[i] <= threshold || i * frameMs - lastOnset <= cooldown) continue;
+
+        let isPeak = true;
+        for (let j = Math.max(0, i - this.peakRadius); j <= Math.min(n - 1, i + this.peakRadius); j++) {
+          if (flux[j] > flux[i] || (j < i && flux[j] === flux[i])) {
+            isPeak = false;
+            break;
+          }
+        }
+
+        if (isPeak) {
+          band.beats[i] = 1;
+          band.intensity[i] = constrain(map(flux[i], threshold, threshold * 3, 0.5, 1), 0.5, 1);
+          lastOnset = i * frameMs;
+        }
+      }
+    }
+  }
+
+  // Same weighting as the live tempo tracker
+  computeOnsetStrength(timeline) {
+    const zero = new Float32Array(timeline.frameCount);
+    const bass = timeline.bands.bass ? timeline.bands.bass.flux : zero;
+    const mid = timeline.bands.mid ? timeline.bands.mid.flux : zero;
+    const treble = timeline.bands.treble ? timeline.bands.treble.flux : zero;
+
+    for (let i = 0; i < timeline.frameCount; i++) {
+      timeline.onsetStrength[i] = bass[i] + mid[i] * 0.5 + treble[i] * 0.25;
+    }
+  }
+
+  // ========================================
+  // TEMPO
+  // Autocorrelation of the whole track's onset envelope with the
+  // same log-Gaussian prior as AudioAnalyzer.estimateTempo()
+  // ========================================
+
+  estimateTempo(timeline, analyzer) {
+    const envelope = timeline.onsetStrength;
+    const n = envelope.length;
+    const fps = timeline.frameRate;
+    if (n < fps * 4) return;
+
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += envelope[i];
+    mean /= n;
+    const centered = new Float32Array(n);
+    for (let i = 0; i < n; i++) centered[i] = envelope[i] - mean;
+
+    const minLag = Math.floor(60 * fps / analyzer.maxTempo);
+    const maxLag = Math.ceil(60 * fps / analyzer.minTempo);
+
+    const acf = (lag) => {
+      let sum = 0;
+      for (let i = lag; i < n; i++) sum += centered[i] * centered[i - lag];
+      return sum / (n - lag);
+    };
+
+    const energy = acf(0);
+    if (energy <= 0) return;
+
+    const scores = [];
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      const value = acf(lag);
+      const bpm = 60 * fps / lag;
+      const octaves = Math.log2(bpm / analyzer.preferredTempo);
+      const score = value * Math.exp(-0.5 * octaves * octaves);
+      scores[lag] = score;
+      if (lag >= minLag && lag <= maxLag && score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag < 0) return;
+
+    // Parabolic interpolation for sub-frame lag
+    const a = scores[bestLag - 1];
+    const b = scores[bestLag];
+    const c = scores[bestLag + 1];
+    const denominator = a - 2 * b + c;
+    const offset = denominator !== 0 ? constrain(0.5 * (a - c) / denominator, -0.5, 0.5) : 0;
+
+    timeline.tempo = 60 * fps / (bestLag + offset);
+    timeline.tempoConfidence = constrain(acf(bestLag) / energy, 0, 1);
+  }
+
+  // ========================================
+  // BEAT GRID
+  // Dynamic programming beat tracker: each beat is placed on strong
+  // onsets while keeping spacing close to the global period, so the
+  // grid follows small tempo drifts across the track
+  // ========================================
+
+  trackBeats(timeline) {
+    if (timeline.tempo <= 0) return;
+
+    const envelope = timeline.onsetStrength;
+    const n = envelope.length;
+    const period = 60 * timeline.frameRate / timeline.tempo;
+
+    // Normalize so the tightness penalty is scale-independent
+    let sumSquares = 0;
+    for (let i = 0; i < n; i++) sumSquares += envelope[i] * envelope[i];
+    const scale = sumSquares > 0 ? 1 / Math.sqrt(sumSquares / n) : 0;
+
+    const score = new Float32Array(n);
+    const previous = new Int32Array(n).fill(-1);
+    const minStep = Math.round(period / 2);
+    const maxStep = Math.round(period * 2);
+
+    for (let t = 0; t < n; t++) {
+      let best = 0;
+      let bestPrevious = -1;
+      for (let step = minStep; step <= maxStep; step++) {
+        const p = t - step;
+        if (p < 0) break;
+        const deviation = Math.log(step / period);
+        const candidate = score[p] - this.beatTightness * deviation * deviation;
+        if (bestPrevious < 0 || candidate > best) {
+          best = candidate;
+          bestPrevious = p;
+        }
+      }
+      score[t] = envelope[t] * scale + (bestPrevious >= 0 ? best : 0);
+      previous[t] = bestPrevious;
+    }
+
+    // Start from the best-scoring frame within the final beat period
+    let last = n - 1;
+    for (let t = Math.max(0, n - Math.ceil(period)); t < n; t++) {
+      if (score[t] > score[last]) last = t;
+    }
+
+    const frames = [];
+    for (let t = last; t >= 0; t = previous[t]) {
+      frames.push(t);
+    }
+    frames.reverse();
+
+    timeline.beatTimes = frames.map(f => f * 1000 / timeline.frameRate);
+  }
+
+  // ========================================
+  // SECTIONS
+  // Novelty between feature averages before and after each second;
+  // peaks mark boundaries (intro/verse/drop...)
+  // ========================================
+
+  detectSections(timeline) {
+    const fps = timeline.frameRate;
+    const seconds = Math.floor(timeline.frameCount / fps);
+    if (seconds < this.sectionWindow * 2) {
+      timeline.sections = [{ start: 0, end: timeline.duration }];
+      return;
+    }
+
+    // One feature vector per second: band energies, volume, centroid
+    const bandIds = Object.keys(timeline.bands);
+    const features = [];
+    for (let s = 0; s < seconds; s++) {
+      const vector = [];
+      const from = s * fps;
+      const to = from + fps;
+      const average = (array) => {
+        let sum = 0;
+        for (let i = from; i < to; i++) sum += array[i];
+        return sum / fps;
+      };
+      for (let id of bandIds) vector.push(average(timeline.bands[id].energy));
+      vector.push(average(timeline.volume) * 4);
+      vector.push(average(timeline.centroid));
+      features.push(vector);
+    }
+
+    const w = this.sectionWindow;
+    const novelty = new Float32Array(seconds);
+    for (let s = w; s <= seconds - w; s++) {
+      let distance = 0;
+      for (let k = 0; k < features[0].length; k++) {
+        let before = 0;
+        let after = 0;
+        for (let j = 0; j < w; j++) {
+          before += features[s - 1 - j][k];
+          after += features[s + j][k];
+        }
+        const diff = (after - before) / w;
+        distance += diff * diff;
+      }
+      novelty[s] = Math.sqrt(distance);
+    }
+
+    let mean = 0;
+    for (let s = 0; s < seconds; s++) mean += novelty[s];
+    mean /= seconds;
+    let variance = 0;
+    for (let s = 0; s < seconds; s++) variance += (novelty[s] - mean) * (novelty[s] - mean);
+    const threshold = mean + Math.sqrt(variance / seconds) * 0.5;
+
+    // Strongest peaks first, enforcing the minimum spacing
+    const candidates = [];
+    for (let s = w; s <= seconds - w; s++) {
+      if (novelty[s] > threshold && novelty[s] >= novelty[s - 1] && novelty[s] >= (novelty[s + 1] || 0)) {
+        candidates.push(s);
+      }
+    }
+    candidates.sort((a, b) => novelty[b] - novelty[a]);
+
+    const boundaries = [];
+    for (let s of candidates) {
+      if (s < this.minSectionLength || seconds - s < this.minSectionLength) continue;
+      if (boundaries.every(b => Math.abs(b - s) >= this.minSectionLength)) {
+        boundaries.push(s);
+      }
+    }
+    boundaries.sort((a, b) => a - b);
+
+    const edges = [0, ...boundaries.map(s => s * 1000), timeline.duration];
+    timeline.sections = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+      timeline.sections.push({ start: edges[i], end: edges[i + 1] });
+    }
+  }
+}
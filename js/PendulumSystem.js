@@ -0,0 +1,164 @@
+// ============================================================================
+// PENDULUM SYSTEM - The Classic Damped Harmonograph
+// Each planet hangs from two pendulums, one swinging along x and one along
+// y (x = A e^(-dt) cos(2πft + p)), each with its own frequency, phase,
+// amplitude and damping. By default y copies x a quarter turn behind:
+// undamped they trace the legacy circle, damping spirals them inwards,
+// beats put energy back and detuning pulls x and y apart into Lissajous
+// figures. A planet's y values give the classic ratio figures directly.
+// A pair's midpoint is the sum of both planets' swings on each axis.
+// ============================================================================
+
+// Energy lost per minute when a planet sets no damping (e^-0.3: 74% left)
+const PENDULUM_DEFAULT_DAMPING = 0.3;
+
+// ========================================
+// PENDULUM
+// ========================================
+
+class Pendulum {
+  // axis 'x' or 'y'; frequency in swings per cycle (like a planet's speed),
+  // phase in radians, amplitude as a fraction of the orbit area, damping
+  // per minute (null = the system's)
+  constructor(axis, frequency, phase, amplitude, damping = null) {
+    this.axis = axis;
+    this.frequency = frequency;
+    this.phase = phase;
+    this.amplitude = amplitude;
+    this.damping = damping;
+    this.reset();
+  }
+
+  reset() {
+    // Angle swung since reset, integrated so frequency changes don't jump
+    this.travel = 0;
+
+    // Remaining share of the starting swing
+    this.energy = 1;
+    return this;
+  }
+
+  update(deltaMs, cycleDuration, frequencyScale, damping, excite) {
+    this.travel += this.frequency * frequencyScale * (deltaMs / cycleDuration) * TWO_PI;
+    this.energy *= exp(-damping * deltaMs / 60000);
+
+    // Re-excite towards the full swing
+    if (excite > 0) {
+      this.energy += (1 - this.energy) * min(excite, 1);
+    }
+  }
+
+  // Displacement along the axis, for an amplitude changed by `offset`
+  getValue(offset = 0) {
+    return (this.amplitude + offset) * this.energy * cos(this.phase + this.travel);
+  }
+}
+
+// ========================================
+// PENDULUM SYSTEM
+// ========================================
+
+class PendulumSystem {
+  constructor() {
+    // Per planet: its pendulums (an x and a y swing)
+    this.pendulums = [];
+
+    // Damping for planets that don't set their own (per minute)
+    this.damping = PENDULUM_DEFAULT_DAMPING;
+
+    // From the modulation matrix: detune spreads x (up) and y (down)
+    // frequencies, excite (0-1) restores energy
+    this.audioModulation = {
+      detune: 0,
+      excite: 0,
+    };
+
+    // Simulation time of the last update (ms)
+    this.lastElapsedTime = 0;
+  }
+
+  // Planets as [{ radius, speed, phase (degrees), damping }] for the x
+  // swing, plus ySpeed, yRadius, yPhase (degrees) and yDamping for the y
+  // swing; all but radius, speed and phase are optional (see getSwings).
+  // Same count: swings carry on with the new values; new count: rebuilt.
+  setPlanets(configs) {
+    const rebuild = configs.length !== this.pendulums.length;
+    this.pendulums = configs.map((config, i) => {
+      const swings = PendulumSystem.getSwings(config);
+      if (rebuild) {
+        return swings.map(s => new Pendulum(s.axis, s.frequency, s.phase, s.amplitude, s.damping));
+      }
+
+      const pair = this.pendulums[i];
+      swings.forEach((swing, j) => Object.assign(pair[j], swing));
+      return pair;
+    });
+    return this;
+  }
+
+  // A planet's x and y swings. Missing y values follow x, a quarter turn
+  // behind; missing damping is the system's (null).
+  static getSwings(config) {
+    const value = (key, fallback) => config[key] !== undefined ? config[key] : fallback;
+    const damping = value('damping', null);
+    return [
+      { axis: 'x', frequency: config.speed, phase: radians(config.phase), amplitude: config.radius, damping },
+      {
+        axis: 'y',
+        frequency: value('ySpeed', config.speed),
+        phase: config.yPhase !== undefined ? radians(config.yPhase) : radians(config.phase) - HALF_PI,
+        amplitude: value('yRadius', config.radius),
+        damping: value('yDamping', damping),
+      },
+    ];
+  }
+
+  setDamping(damping) {
+    this.damping = max(0, damping);
+    return this;
+  }
+
+  setAudioModulation(values) {
+    Object.assign(this.audioModulation, values);
+    return this;
+  }
+
+  reset() {
+    for (let pair of this.pendulums) {
+      for (let pendulum of pair) {
+        pendulum.reset();
+      }
+    }
+    this.audioModulation.detune = 0;
+    this.audioModulation.excite = 0;
+    this.lastElapsedTime = 0;
+    return this;
+  }
+
+  // Advance every pendulum to `elapsedTime` (simulation ms); speedScales[i]
+  // multiplies planet i's frequencies
+  update(elapsedTime, cycleDuration, speedScales = []) {
+    const deltaMs = max(0, elapsedTime - this.lastElapsedTime);
+    this.lastElapsedTime = elapsedTime;
+
+    const { detune, excite } = this.audioModulation;
+    this.pendulums.forEach((pair, i) => {
+      const speedScale = speedScales[i] !== undefined ? speedScales[i] : 1;
+      for (let pendulum of pair) {
+        const damping = pendulum.damping !== null ? pendulum.damping : this.damping;
+        const axisDetune = pendulum.axis === 'x' ? 1 + detune : 1 - detune;
+        pendulum.update(deltaMs, cycleDuration, speedScale * axisDetune, damping, excite);
+      }
+    });
+  }
+
+  // Planet i's offset from the center as fractions of the orbit area (the
+  // sum of its swings on each axis), amplitudes changed by `offset`
+  getOffset(i, offset = 0) {
+    const position = { x: 0, y: 0 };
+    for (let pendulum of this.pendulums[i] || []) {
+      position[pendulum.axis] += pendulum.getValue(offset);
+    }
+    return position;
+  }
+}
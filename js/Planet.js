@@ -2,6 +2,9 @@
 // PLANET CLASS - Supports both legacy circular orbits and Newtonian physics
 // ============================================================================
 
+// Names of a system's planets in order (also the most planets it can have)
+const PLANET_NAMES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
 class Planet {
   constructor(baseRadius, baseSpeed, phaseOffset, name) {
     this.name = name;
@@ -13,6 +16,24 @@ class Planet {
     this.phaseOffset = phaseOffset;   // Starting angle offset
     this.angle = phaseOffset;
 
+    // Angle travelled since reset, integrated step by step so the speed
+    // can be modulated (legacy mode)
+    this.orbitAngle = 0;
+    this.lastElapsedTime = 0;
+
+    // Orbit shape (legacy mode): eccentricity 0-0.95 (0 = circle), the
+    // ellipse's rotation in turns per cycle, and an epicycle - a circle of
+    // epicycleRadius (fraction of screen) the planet rides at epicycleSpeed
+    // turns per cycle around its point on the ellipse
+    this.eccentricity = 0;
+    this.precession = 0;
+    this.epicycleRadius = 0;
+    this.epicycleSpeed = 0;
+
+    // Ellipse rotation and epicycle angle, integrated like orbitAngle
+    this.precessionAngle = 0;
+    this.epicycleAngle = 0;
+
     // Position (used by both modes)
     this.x = 0;
     this.y = 0;
@@ -57,6 +78,15 @@ class Planet {
     return this;
   }
 
+  // { eccentricity, precession, epicycleRadius, epicycleSpeed }; missing = 0
+  setOrbitShape(shape) {
+    this.eccentricity = shape.eccentricity || 0;
+    this.precession = shape.precession || 0;
+    this.epicycleRadius = shape.epicycleRadius || 0;
+    this.epicycleSpeed = shape.epicycleSpeed || 0;
+    return this;
+  }
+
   setUsePhysics(usePhysics) {
     this.usePhysics = usePhysics;
     return this;
@@ -70,13 +100,25 @@ class Planet {
   // Reset radius to base - legacy mode
   resetRadius() {
     this.targetRadius = this.baseRadius;
+    this.currentRadius = this.baseRadius;
+  }
+
+  // Back to the starting angle - legacy mode
+  resetOrbit() {
+    this.orbitAngle = 0;
+    this.precessionAngle = 0;
+    this.epicycleAngle = 0;
+    this.lastElapsedTime = 0;
+    this.angle = this.phaseOffset;
   }
 
   // ========================================
   // UPDATE
   // ========================================
 
-  update(centerX, centerY, elapsedTime, cycleDuration, audioModulation = 0) {
+  // orbitScale and speedScale multiply the legacy orbit's radius and speed;
+  // eccentricityOffset is added to its eccentricity
+  update(centerX, centerY, elapsedTime, cycleDuration, orbitScale = 1, speedScale = 1, eccentricityOffset = 0) {
     if (this.usePhysics && this.gravityBody) {
       // Physics mode: position comes from gravity body
       this.x = this.gravityBody.x;
@@ -87,29 +129,59 @@ class Planet {
       // Update trail
       this.trail = this.gravityBody.trail;
     } else {
-      // Legacy circular orbit mode
-      this.updateCircularOrbit(centerX, centerY, elapsedTime, cycleDuration, audioModulation);
+      // Legacy orbit mode
+      this.updateOrbit(centerX, centerY, elapsedTime, cycleDuration, orbitScale, speedScale, eccentricityOffset);
     }
   }
 
-  updateCircularOrbit(centerX, centerY, elapsedTime, cycleDuration, audioModulation) {
+  // Ellipse centered on (centerX, centerY), rotated by the precession, plus
+  // the epicycle. With the shape at 0 this is the original circular orbit.
+  updateOrbit(centerX, centerY, elapsedTime, cycleDuration, orbitScale, speedScale, eccentricityOffset) {
     // Smoothly interpolate to target radius
     this.currentRadius = lerp(this.currentRadius, this.targetRadius, this.radiusLerp);
 
     // Calculate actual pixel radius based on screen size
     let dynamicRadius = this.currentRadius * min(width, height) * 0.35;
 
-    // Subtle breathing effect from volume (reduced from before)
-    dynamicRadius *= (1 + audioModulation * 0.03);
-
-    // Calculate angle based on elapsed time
-    this.angle = this.phaseOffset + this.baseSpeed * (elapsedTime / cycleDuration) * TWO_PI;
+    // Breathing from the modulation matrix
+    dynamicRadius *= orbitScale;
+
+    // Advance the angles by the time since the last update
+    const delta = max(0, elapsedTime - this.lastElapsedTime);
+    this.lastElapsedTime = elapsedTime;
+    const turns = (delta / cycleDuration) * TWO_PI;
+    this.orbitAngle += this.baseSpeed * speedScale * turns;
+    this.precessionAngle += this.precession * turns;
+    this.epicycleAngle += this.epicycleSpeed * speedScale * turns;
+    this.angle = this.phaseOffset + this.orbitAngle;
+
+    // Ellipse: semi-minor axis b = a * sqrt(1 - e^2)
+    const eccentricity = constrain(this.eccentricity + eccentricityOffset, 0, 0.95);
+    const ex = dynamicRadius * cos(this.angle);
+    const ey = dynamicRadius * sqrt(1 - eccentricity * eccentricity) * sin(this.angle);
+
+    // Precession turns the whole ellipse
+    const rotation = this.precessionAngle;
+    let x = ex * cos(rotation) - ey * sin(rotation);
+    let y = ex * sin(rotation) + ey * cos(rotation);
+
+    // Epicycle around the point on the ellipse
+    if (this.epicycleRadius !== 0) {
+      const epicycleRadius = this.epicycleRadius * min(width, height) * 0.35 * orbitScale;
+      const epicycleAngle = this.phaseOffset + this.epicycleAngle;
+      x += epicycleRadius * cos(epicycleAngle);
+      y += epicycleRadius * sin(epicycleAngle);
+    }
 
     // Update position
-    this.x = centerX + dynamicRadius * cos(this.angle);
-    this.y = centerY + dynamicRadius * sin(this.angle);
+    this.moveTo(centerX + x, centerY + y);
+  }
+
+  // Place the planet (legacy and pendulum modes), extending its trail
+  moveTo(x, y) {
+    this.x = x;
+    this.y = y;
 
-    // Update trail for legacy mode too
     this.trail.push({ x: this.x, y: this.y });
     while (this.trail.length > this.maxTrailLength) {
       this.trail.shift();
@@ -0,0 +1,439 @@
+// ============================================================================
+// PLOTTER EXPORTER - HPGL / G-code Export for Pen Plotters
+// Converts the renderers' vector logs into pen paths, orders and joins them
+// to cut pen-up travel, maps pair hues to a limited pen set and scales the
+// result onto a sheet of paper
+// ============================================================================
+
+// Paper sizes in mm, portrait
+const PLOTTER_PAPER_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  Letter: { width: 215.9, height: 279.4 },
+};
+
+// Default pens, matched to the pair hues (AB blue, AC magenta, BC yellow...)
+const PLOTTER_PENS = [
+  { name: 'Blue', hue: 200 },
+  { name: 'Magenta', hue: 320 },
+  { name: 'Yellow', hue: 60 },
+  { name: 'Green', hue: 140 },
+  { name: 'Violet', hue: 280 },
+  { name: 'Orange', hue: 20 },
+];
+
+const HPGL_UNITS_PER_MM = 40;
+
+class PlotterExporter {
+  constructor(options = {}) {
+    this.format = options.format || 'hpgl';       // 'hpgl' or 'gcode'
+    this.paper = options.paper || 'A4';
+    this.margin = options.margin !== undefined ? options.margin : 10;   // mm
+    this.penCount = options.penCount !== undefined ? options.penCount : 3;
+    this.pens = options.pens || PLOTTER_PENS;
+
+    // Midpoints are plotted as small polygons
+    this.includeDots = options.includeDots !== undefined ? options.includeDots : true;
+    this.dotSegments = 8;
+
+    // Path cleanup (mm): drop shorter steps, join across smaller gaps
+    this.minSegment = 0.1;
+    this.joinTolerance = 0.2;
+
+    // G-code pen handling (Z axis) and feeds (mm/min)
+    this.penUpZ = 5;
+    this.penDownZ = 0;
+    this.drawFeed = 3000;
+    this.penFeed = 1000;
+  }
+
+  // ========================================
+  // EXPORT
+  // ========================================
+
+  // One system on its own sheet. Returns { text, extension, stats }.
+  exportSystem(system) {
+    return this.plot([{ system, x: 0, y: 0 }], system.width, system.height);
+  }
+
+  // Every system at its position within a layoutWidth x layoutHeight canvas
+  exportLayout(systemList, layoutWidth, layoutHeight) {
+    const sources = systemList.map(system => ({ system, x: system.x, y: system.y }));
+    return this.plot(sources, layoutWidth, layoutHeight);
+  }
+
+  plot(sources, layoutWidth, layoutHeight) {
+    const paths = [];
+    for (let source of sources) {
+      this.collectPaths(source.system, source.x, source.y, paths);
+    }
+
+    const sheet = this.getSheet(layoutWidth, layoutHeight);
+    for (let path of paths) {
+      path.points = this.toSheet(path.points, sheet);
+    }
+
+    const pens = this.getPenSet();
+    const stats = {
+      paths: paths.length,
+      pens: 0,
+      travelBefore: this.getTravel(paths),
+      travelAfter: 0,
+    };
+
+    // Plot pen by pen, each pen's paths ordered and joined
+    const byPen = pens.map(() => []);
+    for (let path of paths) {
+      byPen[path.pen].push(path);
+    }
+
+    const plan = [];
+    byPen.forEach((penPaths, pen) => {
+      if (penPaths.length === 0) return;
+      const ordered = this.joinPaths(this.orderPaths(penPaths));
+      stats.travelAfter += this.getTravel(ordered);
+      stats.pens++;
+      plan.push({ pen, paths: ordered });
+    });
+
+    const text = this.format === 'gcode' ?
+      this.toGCode(plan, pens, sheet) :
+      this.toHPGL(plan, sheet);
+
+    return { text, extension: this.format === 'gcode' ? 'gcode' : 'hpgl', stats };
+  }
+
+  save(result, filename) {
+    saveStrings(result.text.split('\n'), filename, result.extension);
+  }
+
+  // ========================================
+  // PATH COLLECTION
+  // ========================================
+
+  // Append a system's logged lines, polygon outlines (and dots) as
+  // { points, pen } in canvas pixels, clipped to the system's buffer like
+  // the raster is
+  collectPaths(system, offsetX, offsetY, out) {
+    const w = system.width;
+    const h = system.height;
+
+    for (let entry of system.getRenderer().getVectorLog()) {
+      let points;
+      if (entry.type === 'path') {
+        points = entry.points;
+      } else if (entry.type === 'polygon') {
+        // A pen can't fill: the outline, closed
+        points = entry.points.concat(entry.points.slice(0, 2));
+      } else if (entry.type === 'dot' && this.includeDots) {
+        points = this.getDotPolygon(entry.x, entry.y, entry.d / 2);
+      } else {
+        continue;
+      }
+
+      const pen = this.getPen(entry.pairHue);
+      for (let clipped of this.clipPolyline(points, w, h)) {
+        for (let i = 0; i < clipped.length; i += 2) {
+          clipped[i] += offsetX;
+          clipped[i + 1] += offsetY;
+        }
+        out.push({ points: clipped, pen });
+      }
+    }
+    return out;
+  }
+
+  getDotPolygon(x, y, r) {
+    const points = [];
+    for (let i = 0; i <= this.dotSegments; i++) {
+      const a = (i / this.dotSegments) * TWO_PI;
+      points.push(x + cos(a) * r, y + sin(a) * r);
+    }
+    return points;
+  }
+
+  // Split a polyline into the pieces inside 0..w x 0..h (Liang-Barsky per segment)
+  clipPolyline(points, w, h) {
+    const pieces = [];
+    let current = null;
+
+    for (let i = 0; i < points.length - 2; i += 2) {
+      const x0 = points[i], y0 = points[i + 1];
+      const dx = points[i + 2] - x0, dy = points[i + 3] - y0;
+
+      let t0 = 0, t1 = 1;
+      const edges = [[-dx, x0], [dx, w - x0], [-dy, y0], [dy, h - y0]];
+      let inside = true;
+      for (let [p, q] of edges) {
+        if (p === 0) {
+          if (q < 0) { inside = false; break; }
+        } else {
+          const r = q / p;
+          if (p < 0) {
+            if (r > t1) { inside = false; break; }
+            if (r > t0) t0 = r;
+          } else {
+            if (r < t0) { inside = false; break; }
+            if (r < t1) t1 = r;
+          }
+        }
+      }
+
+      if (!inside) {
+        current = null;
+        continue;
+      }
+
+      // A clipped start breaks the polyline
+      if (!current || t0 > 0) {
+        current = [x0 + dx * t0, y0 + dy * t0];
+        pieces.push(current);
+      }
+      current.push(x0 + dx * t1, y0 + dy * t1);
+      if (t1 < 1) current = null;
+    }
+    return pieces;
+  }
+
+  // ========================================
+  // PENS
+  // ========================================
+
+  getPenSet() {
+    return this.pens.slice(0, constrain(this.penCount, 1, this.pens.length));
+  }
+
+  // Nearest pen (around the hue circle) to a pair's hue
+  getPen(hue) {
+    const pens = this.getPenSet();
+    let best = 0;
+    let bestDistance = Infinity;
+    pens.forEach((pen, i) => {
+      const d = abs(((hue - pen.hue) % 360 + 540) % 360 - 180);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = i;
+      }
+    });
+    return best;
+  }
+
+  // ========================================
+  // PAPER
+  // ========================================
+
+  // Uniform fit of the canvas into the paper's printable area, turned to
+  // landscape for wide layouts and centred
+  getSheet(canvasWidth, canvasHeight) {
+    const size = PLOTTER_PAPER_SIZES[this.paper] || PLOTTER_PAPER_SIZES.A4;
+    const landscape = canvasWidth > canvasHeight;
+    const paperWidth = landscape ? size.height : size.width;
+    const paperHeight = landscape ? size.width : size.height;
+
+    const scale = min(
+      (paperWidth - this.margin * 2) / canvasWidth,
+      (paperHeight - this.margin * 2) / canvasHeight
+    );
+
+    return {
+      width: paperWidth,
+      height: paperHeight,
+      scale,
+      offsetX: (paperWidth - canvasWidth * scale) / 2,
+      offsetY: (paperHeight - canvasHeight * scale) / 2,
+    };
+  }
+
+  // Canvas pixels to mm, dropping steps shorter than minSegment
+  toSheet(points, sheet) {
+    const out = [];
+    let lastX = Infinity, lastY = Infinity;
+    for (let i = 0; i < points.length; i += 2) {
+      const x = sheet.offsetX + points[i] * sheet.scale;
+      const y = sheet.offsetY + points[i + 1] * sheet.scale;
+      const last = i === points.length - 2;
+      if (dist(x, y, lastX, lastY) >= this.minSegment || (last && out.length === 2)) {
+        out.push(x, y);
+        lastX = x;
+        lastY = y;
+      }
+    }
+    return out;
+  }
+
+  // ========================================
+  // PATH OPTIMIZATION
+  // ========================================
+
+  // Greedy nearest-neighbour order: from the pen's position, plot the path
+  // with the closest start or end next (reversing it if the end is closer).
+  // Endpoints are bucketed in a grid so the search stays local.
+  orderPaths(paths) {
+    if (paths.length < 2) return paths;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let path of paths) {
+      const p = path.points;
+      for (let i of [0, p.length - 2]) {
+        minX = min(minX, p[i]); maxX = max(maxX, p[i]);
+        minY = min(minY, p[i + 1]); maxY = max(maxY, p[i + 1]);
+      }
+    }
+
+    const cellSize = max(max(maxX - minX, maxY - minY) / sqrt(paths.length), 1);
+    const cols = floor((maxX - minX) / cellSize) + 1;
+    const rows = floor((maxY - minY) / cellSize) + 1;
+    const grid = new Map();
+    const cellOf = (x, y) => [floor((x - minX) / cellSize), floor((y - minY) / cellSize)];
+
+    paths.forEach((path, index) => {
+      const p = path.points;
+      for (let end of [0, 1]) {
+        const i = end ? p.length - 2 : 0;
+        const [cx, cy] = cellOf(p[i], p[i + 1]);
+        const key = cy * cols + cx;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push({ index, end, x: p[i], y: p[i + 1] });
+      }
+    });
+
+    const used = new Uint8Array(paths.length);
+    const ordered = [];
+    let x = minX, y = minY;
+
+    for (let n = 0; n < paths.length; n++) {
+      const [cx, cy] = cellOf(x, y);
+      let best = null;
+      let bestDistance = Infinity;
+
+      // Search rings of cells outwards until no closer endpoint is possible
+      for (let ring = 0; ring <= max(cols, rows); ring++) {
+        if (best && (ring - 1) * cellSize > bestDistance) break;
+
+        for (let gy = cy - ring; gy <= cy + ring; gy++) {
+          for (let gx = cx - ring; gx <= cx + ring; gx++) {
+            if (max(abs(gx - cx), abs(gy - cy)) !== ring) continue;
+            if (gx < 0 || gy < 0 || gx >= cols || gy >= rows) continue;
+
+            const cell = grid.get(gy * cols + gx);
+            if (!cell) continue;
+            for (let candidate of cell) {
+              if (used[candidate.index]) continue;
+              const d = dist(x, y, candidate.x, candidate.y);
+              if (d < bestDistance) {
+                bestDistance = d;
+                best = candidate;
+              }
+            }
+          }
+        }
+      }
+
+      used[best.index] = 1;
+      const path = paths[best.index];
+      const points = best.end ? this.reversePoints(path.points) : path.points;
+      ordered.push({ points, pen: path.pen });
+      x = points[points.length - 2];
+      y = points[points.length - 1];
+    }
+    return ordered;
+  }
+
+  reversePoints(points) {
+    const reversed = [];
+    for (let i = points.length - 2; i >= 0; i -= 2) {
+      reversed.push(points[i], points[i + 1]);
+    }
+    return reversed;
+  }
+
+  // Join consecutive paths whose gap is within joinTolerance into one
+  // pen-down stroke
+  joinPaths(paths) {
+    const joined = [];
+    for (let path of paths) {
+      const last = joined[joined.length - 1];
+      if (last) {
+        const p = last.points;
+        const gap = dist(p[p.length - 2], p[p.length - 1], path.points[0], path.points[1]);
+        if (gap <= this.joinTolerance) {
+          for (let i = 2; i < path.points.length; i++) {
+            p.push(path.points[i]);
+          }
+          continue;
+        }
+      }
+      joined.push({ points: path.points.slice(), pen: path.pen });
+    }
+    return joined;
+  }
+
+  // Total pen-up distance (mm) plotting paths in this order from the origin
+  getTravel(paths) {
+    let travel = 0;
+    let x = 0, y = 0;
+    for (let path of paths) {
+      const p = path.points;
+      travel += dist(x, y, p[0], p[1]);
+      x = p[p.length - 2];
+      y = p[p.length - 1];
+    }
+    return travel;
+  }
+
+  // ========================================
+  // FILE FORMATS
+  // ========================================
+
+  // HPGL: 40 units/mm, origin bottom-left, one SP per pen
+  toHPGL(plan, sheet) {
+    const u = (v) => round(v * HPGL_UNITS_PER_MM);
+    const lines = ['IN;'];
+
+    for (let step of plan) {
+      lines.push(`SP${step.pen + 1};`);
+      for (let path of step.paths) {
+        const p = path.points;
+        lines.push(`PU${u(p[0])},${u(sheet.height - p[1])};`);
+        const coords = [];
+        for (let i = 2; i < p.length; i += 2) {
+          coords.push(u(p[i]) + ',' + u(sheet.height - p[i + 1]));
+        }
+        lines.push('PD' + coords.join(',') + ';');
+      }
+    }
+
+    lines.push('PU;', 'SP0;');
+    return lines.join('\n');
+  }
+
+  // G-code: mm, absolute, pen on Z, pauses (M0) for pen changes.
+  // Origin top-left of the sheet, Y down like the canvas.
+  toGCode(plan, pens, sheet) {
+    const n = (v) => +v.toFixed(3);
+    const lines = [
+      `; Celestial Harmonograph plot, ${this.paper} ${n(sheet.width)}x${n(sheet.height)}mm`,
+      'G21',
+      'G90',
+      `G0 Z${this.penUpZ}`,
+    ];
+
+    plan.forEach((step, i) => {
+      if (i > 0 || plan.length > 1) {
+        lines.push(`G0 X0 Y0`, `M0 ; Load pen ${step.pen + 1}: ${pens[step.pen].name}`);
+      }
+      for (let path of step.paths) {
+        const p = path.points;
+        lines.push(`G0 X${n(p[0])} Y${n(p[1])}`);
+        lines.push(`G1 Z${this.penDownZ} F${this.penFeed}`);
+        for (let j = 2; j < p.length; j += 2) {
+          lines.push(`G1 X${n(p[j])} Y${n(p[j + 1])} F${this.drawFeed}`);
+        }
+        lines.push(`G0 Z${this.penUpZ}`);
+      }
+    });
+
+    lines.push('G0 X0 Y0', 'M2');
+    return lines.join('\n');
+  }
+}
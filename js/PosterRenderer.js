@@ -0,0 +1,115 @@
+// ============================================================================
+// POSTER RENDERER - High-Resolution Stills of the Current Pattern
+// Re-simulates a recorded session into systems drawing at N times the
+// window's resolution, then saves the composite as one large PNG
+// ============================================================================
+
+// Session length kept for poster renders (15 minutes at 60 fps)
+const POSTER_SESSION_MAX_FRAMES = 60 * 60 * 15;
+
+// Browser canvas limits (per side and total pixels)
+const POSTER_MAX_SIDE = 16384;
+const POSTER_MAX_PIXELS = 268435456;
+
+// Time spent simulating before yielding to the page (ms)
+const POSTER_BATCH_MS = 50;
+
+class PosterRenderer {
+  constructor() {
+    this.isRendering = false;
+    this.cancelled = false;
+
+    this.frame = 0;
+    this.frameTotal = 0;
+  }
+
+  // Largest whole scale the browser can allocate for a w x h canvas
+  static getMaxScale(w, h) {
+    const scale = min(POSTER_MAX_SIDE / w, POSTER_MAX_SIDE / h, sqrt(POSTER_MAX_PIXELS / (w * h)));
+    return max(1, floor(scale));
+  }
+
+  // ========================================
+  // RENDER LOOP
+  // ========================================
+
+  // Run renderFrame(index) for frameTotal frames in time-sliced batches so
+  // the page stays responsive. Resolves { frames, cancelled }.
+  render(frameTotal, renderFrame, onProgress) {
+    this.isRendering = true;
+    this.cancelled = false;
+    this.frame = 0;
+    this.frameTotal = frameTotal;
+
+    return new Promise((resolve, reject) => {
+      const renderBatch = () => {
+        try {
+          const batchEnd = millis() + POSTER_BATCH_MS;
+          while (!this.cancelled && this.frame < this.frameTotal && millis() < batchEnd) {
+            renderFrame(this.frame);
+            this.frame++;
+          }
+        } catch (err) {
+          this.isRendering = false;
+          reject(err);
+          return;
+        }
+
+        if (onProgress) onProgress(this.frame / this.frameTotal);
+
+        if (this.cancelled || this.frame >= this.frameTotal) {
+          this.isRendering = false;
+          resolve({ frames: this.frame, cancelled: this.cancelled });
+        } else {
+          setTimeout(renderBatch, 0);
+        }
+      };
+      renderBatch();
+    });
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  // ========================================
+  // OUTPUT
+  // ========================================
+
+  // Systems' buffers placed and layered as on the canvas (pass them in layer
+  // order), without pulse zoom, labels or dividers. A single full-canvas
+  // system with a plain layer is used as-is.
+  composite(systemList, layoutWidth, layoutHeight, scale) {
+    const plain = (sys) => sys.layer.blendMode === 'blend' && sys.layer.opacity >= 100;
+    if (systemList.length === 1 && plain(systemList[0])) {
+      return systemList[0].getGraphics();
+    }
+
+    const pg = createGraphics(layoutWidth * scale, layoutHeight * scale);
+    pg.colorMode(HSB, 360, 100, 100, 100);
+    pg.background(0);
+    for (let sys of systemList) {
+      const blend = sys.layer.blendMode !== 'blend';
+      if (blend) pg.blendMode(LAYER_BLEND_MODES[sys.layer.blendMode].canvas());
+      if (sys.layer.opacity < 100) pg.tint(0, 0, 100, sys.layer.opacity);
+      pg.image(sys.getGraphics(), sys.x * scale, sys.y * scale);
+      if (blend) pg.blendMode(BLEND);
+      pg.noTint();
+    }
+    return pg;
+  }
+
+  // Encode as PNG and download. toBlob keeps huge images out of a data URL.
+  save(pg, filename) {
+    return new Promise((resolve, reject) => {
+      pg.elt.toBlob((blob) => {
+        if (blob) {
+          downloadBlob(blob, filename + '.png');
+          resolve(blob);
+        } else {
+          reject(new Error('Could not encode the poster (too large for this browser?)'));
+        }
+      }, 'image/png');
+    });
+  }
+}
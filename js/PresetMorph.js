@@ -0,0 +1,121 @@
+// ============================================================================
+// PRESET MORPH - Timed Crossfade Between Two Settings Snapshots
+// Glides the numeric look (opacity, weight, noise, trail fade, pulse
+// strength, layer opacity, pair hues, gravity, time scale, pendulum
+// damping) from one preset to another
+// instead of jumping, for live transitions
+// ============================================================================
+
+// Per-window fields that are interpolated
+const MORPH_WINDOW_FIELDS = ['lineOpacity', 'baseLineWeight', 'noiseAmount', 'trailFadeAmount', 'pulseStrength', 'layerOpacity'];
+
+// Global fields that are interpolated (the window fields' global copies too)
+const MORPH_GLOBAL_FIELDS = MORPH_WINDOW_FIELDS.concat(['gravityStrength', 'timeScale', 'pendulumDamping']);
+
+class PresetMorph {
+  constructor() {
+    this.isMorphing = false;
+
+    // Snapshots being morphed between
+    this.from = null;
+    this.to = null;
+
+    // Simulated time (ms) into the morph, and its length
+    this.elapsed = 0;
+    this.duration = 0;
+  }
+
+  // Eased 0-1 (slow start and finish)
+  static smoothstep(t) {
+    t = constrain(t, 0, 1);
+    return t * t * (3 - 2 * t);
+  }
+
+  // Length of `bars` 4/4 bars at `bpm` (ms)
+  static barsToMs(bars, bpm) {
+    return bars * 4 * 60000 / bpm;
+  }
+
+  // Hues go the short way round the color wheel
+  static lerpHue(a, b, t) {
+    const delta = ((b - a) % 360 + 540) % 360 - 180;
+    return (a + delta * t + 360) % 360;
+  }
+
+  // ========================================
+  // CONTROL
+  // ========================================
+
+  // Morph from one snapshot to another over `duration` ms of simulated time
+  start(from, to, duration) {
+    this.from = JSON.parse(JSON.stringify(from));
+    this.to = JSON.parse(JSON.stringify(to));
+    this.elapsed = 0;
+    this.duration = max(0, duration);
+    this.isMorphing = true;
+    return this;
+  }
+
+  cancel() {
+    this.isMorphing = false;
+    return this;
+  }
+
+  getProgress() {
+    return this.duration > 0 ? min(this.elapsed / this.duration, 1) : 1;
+  }
+
+  // ========================================
+  // BLENDING
+  // ========================================
+
+  // Advance by `deltaMs` and write the blend into `settings` (the Settings
+  // object). Returns true on the update that finishes the morph; the
+  // caller then applies `to` in full, which switches the non-numeric
+  // settings (modes, pairs, layout).
+  update(deltaMs, settings) {
+    if (!this.isMorphing) return false;
+
+    this.elapsed += deltaMs;
+    const t = PresetMorph.smoothstep(this.getProgress());
+    this.blendInto(settings, t);
+
+    if (this.getProgress() >= 1) {
+      this.isMorphing = false;
+      return true;
+    }
+    return false;
+  }
+
+  blendInto(settings, t) {
+    const from = this.from;
+    const to = this.to;
+
+    for (let key of MORPH_GLOBAL_FIELDS) {
+      if (typeof from[key] === 'number' && typeof to[key] === 'number') {
+        settings[key] = lerp(from[key], to[key], t);
+      }
+    }
+
+    for (let windowId in settings.windowSettings) {
+      const a = from.windowSettings && from.windowSettings[windowId];
+      const b = to.windowSettings && to.windowSettings[windowId];
+      if (!a || !b) continue;
+
+      const ws = settings.windowSettings[windowId];
+      for (let key of MORPH_WINDOW_FIELDS) {
+        if (typeof a[key] === 'number' && typeof b[key] === 'number') {
+          ws[key] = lerp(a[key], b[key], t);
+        }
+      }
+    }
+
+    if (from.pairHues && to.pairHues) {
+      for (let pairId in settings.pairHues) {
+        if (typeof from.pairHues[pairId] === 'number' && typeof to.pairHues[pairId] === 'number') {
+          settings.pairHues[pairId] = PresetMorph.lerpHue(from.pairHues[pairId], to.pairHues[pairId], t);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,271 @@
+// ============================================================================
+// SEQUENCE RENDERER - Frame-Exact Offline Video Rendering
+// Steps the simulation frame by frame at a fixed fps against a pre-analyzed
+// file and writes a numbered PNG sequence, independent of realtime speed
+// ============================================================================
+
+// Frames per zip part when no folder can be written (keeps memory bounded)
+const ZIP_FRAMES_PER_PART = 300;
+
+// Fixed seed so every render of the same file and settings is identical
+const SEQUENCE_RENDER_SEED = 1;
+
+class SequenceRenderer {
+  constructor() {
+    this.isRendering = false;
+    this.cancelled = false;
+
+    this.frame = 0;
+    this.frameTotal = 0;
+
+    // Output sink: 'folder' (File System Access API) or 'zip' (downloads)
+    this.output = null;
+    this.directory = null;
+    this.zip = null;
+    this.zipPart = 0;
+    this.name = 'harmonograph';
+  }
+
+  static supportsFolderOutput() {
+    return typeof window.showDirectoryPicker === 'function';
+  }
+
+  // Frames needed to cover durationMs at fps
+  static getFrameCount(durationMs, fps) {
+    return ceil(durationMs / 1000 * fps);
+  }
+
+  // ========================================
+  // OUTPUT
+  // ========================================
+
+  // Prepare the output. Must be called from a user gesture: the folder
+  // picker is refused otherwise. Resolves false if the user cancels.
+  open(output, name) {
+    this.name = name;
+    this.zip = null;
+    this.zipPart = 0;
+    this.directory = null;
+
+    if (output === 'folder' && SequenceRenderer.supportsFolderOutput()) {
+      this.output = 'folder';
+      return window.showDirectoryPicker({ mode: 'readwrite' })
+        .then((directory) => {
+          this.directory = directory;
+          return true;
+        })
+        .catch((err) => {
+          if (err.name === 'AbortError') return false;
+          throw err;
+        });
+    }
+
+    this.output = 'zip';
+    this.zip = new ZipWriter();
+    return Promise.resolve(true);
+  }
+
+  // ========================================
+  // RENDER LOOP
+  // ========================================
+
+  // Render frameTotal frames. renderFrame(index, timeMs) draws one frame
+  // onto the canvas; the canvas is then encoded before the next frame.
+  render(frameTotal, fps, renderFrame, onProgress) {
+    this.isRendering = true;
+    this.cancelled = false;
+    this.frame = 0;
+    this.frameTotal = frameTotal;
+
+    const canvas = drawingContext.canvas;
+
+    const renderNext = () => {
+      if (this.cancelled || this.frame >= this.frameTotal) {
+        return this.flush();
+      }
+
+      renderFrame(this.frame, this.frame * 1000 / fps);
+
+      return this.encode(canvas)
+        .then((blob) => this.writeFrame(this.getFrameName(this.frame), blob))
+        .then(() => {
+          this.frame++;
+          if (onProgress) onProgress(this.frame / this.frameTotal);
+          return renderNext();
+        });
+    };
+
+    return renderNext()
+      .then(() => {
+        this.isRendering = false;
+        return { frames: this.frame, cancelled: this.cancelled };
+      })
+      .catch((err) => {
+        this.isRendering = false;
+        throw err;
+      });
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  getFrameName(index) {
+    return this.name + '_' + nf(index, 6) + '.png';
+  }
+
+  encode(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not encode frame'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  writeFrame(filename, blob) {
+    if (this.output === 'folder') {
+      return this.directory.getFileHandle(filename, { create: true })
+        .then((handle) => handle.createWritable())
+        .then((writable) => writable.write(blob).then(() => writable.close()));
+    }
+
+    return this.zip.add(filename, blob).then(() => {
+      if (this.zip.getFileCount() >= ZIP_FRAMES_PER_PART) {
+        this.saveZipPart();
+      }
+    });
+  }
+
+  // Download any frames still buffered in the current zip part
+  flush() {
+    if (this.output === 'zip' && this.zip.getFileCount() > 0) {
+      this.saveZipPart();
+    }
+    return Promise.resolve();
+  }
+
+  saveZipPart() {
+    this.zipPart++;
+    const filename = this.name + '_part' + nf(this.zipPart, 3) + '.zip';
+    downloadBlob(this.zip.toBlob(), filename);
+    this.zip = new ZipWriter();
+  }
+}
+
+// ============================================================================
+// ZIP WRITER - Minimal store-only (uncompressed) zip archive
+// PNG data is already compressed, so frames are stored as-is
+// ============================================================================
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+class ZipWriter {
+  constructor() {
+    this.parts = [];      // Local headers and file data, in order
+    this.entries = [];    // Central directory records
+    this.offset = 0;
+  }
+
+  getFileCount() {
+    return this.entries.length;
+  }
+
+  add(filename, blob) {
+    return blob.arrayBuffer().then((buffer) => {
+      const data = new Uint8Array(buffer);
+      const name = new TextEncoder().encode(filename);
+      const crc = crc32(data);
+
+      // Local file header (30 bytes + name)
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);             // Version needed
+      header.setUint16(6, 0x0800, true);         // UTF-8 names
+      header.setUint16(8, 0, true);              // Stored
+      header.setUint16(10, 0, true);             // Time (fixed for reproducible archives)
+      header.setUint16(12, 0x21, true);          // Date: 1980-01-01
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      header.setUint16(28, 0, true);
+
+      this.parts.push(header, name, data);
+      this.entries.push({ name, crc, size: data.length, offset: this.offset });
+      this.offset += 30 + name.length + data.length;
+    });
+  }
+
+  toBlob() {
+    const directory = [];
+    let directorySize = 0;
+
+    for (let entry of this.entries) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true);
+      record.setUint16(4, 20, true);             // Version made by
+      record.setUint16(6, 20, true);             // Version needed
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, 0, true);
+      record.setUint16(14, 0x21, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.name.length, true);
+      record.setUint16(30, 0, true);             // Extra length
+      record.setUint16(32, 0, true);             // Comment length
+      record.setUint16(34, 0, true);             // Disk number
+      record.setUint16(36, 0, true);             // Internal attributes
+      record.setUint32(38, 0, true);             // External attributes
+      record.setUint32(42, entry.offset, true);
+
+      directory.push(record, entry.name);
+      directorySize += 46 + entry.name.length;
+    }
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, this.offset, true);
+
+    return new Blob(this.parts.concat(directory, [end]), { type: 'application/zip' });
+  }
+}
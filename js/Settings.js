@@ -2,6 +2,158 @@
 // SETTINGS - Global settings management with per-window support
 // ============================================================================
 
+const PRESET_FORMAT = 'celestial-harmonograph-preset';
+
+// Shape of a settings snapshot. Bump when it changes and add a migration.
+const SETTINGS_VERSION = 4;
+
+// localStorage key for the auto-saved settings
+const SETTINGS_STORAGE_KEY = 'celestial-harmonograph-settings';
+
+// URL hash prefix for shared settings (#s=...)
+const SETTINGS_HASH_PREFIX = '#s=';
+
+// SETTINGS_MIGRATIONS[n] upgrades a version n snapshot to version n + 1
+const SETTINGS_MIGRATIONS = [
+  // 0: unversioned snapshots, from before 'scientific' physics was removed
+  (snapshot) => {
+    const toReactive = (mode) => (mode === 'scientific' ? 'reactive' : mode);
+    if (snapshot.physicsMode !== undefined) {
+      snapshot.physicsMode = toReactive(snapshot.physicsMode);
+    }
+    for (let windowId in snapshot.windowSettings || {}) {
+      const ws = snapshot.windowSettings[windowId];
+      if (ws && ws.physicsMode !== undefined) {
+        ws.physicsMode = toReactive(ws.physicsMode);
+      }
+    }
+    return snapshot;
+  },
+
+  // 1: the treble window's noise was replaced by treble jitter; it now adds
+  // to the treble -> noise route, so the old default of 80 becomes 0 to keep
+  // the old look (tuned values are the user's and are kept)
+  (snapshot) => {
+    const treble = snapshot.windowSettings && snapshot.windowSettings.treble;
+    if (treble && treble.noiseAmount === 80) {
+      treble.noiseAmount = 0;
+    }
+    return snapshot;
+  },
+
+  // 2: pair checkboxes are built from each window's planets and activePairs
+  (snapshot) => {
+    delete snapshot.planetPairsLeft;
+    delete snapshot.planetPairsRight;
+    return snapshot;
+  },
+
+  // 3: pendulum mode's audio reactions are default routes too. Targets
+  // already routed are left alone: recordings made before they stored a
+  // schema version get every migration.
+  (snapshot) => {
+    for (let windowId in snapshot.windowSettings || {}) {
+      const ws = snapshot.windowSettings[windowId];
+      if (ws && Array.isArray(ws.modulationRoutes)) {
+        const missing = getDefaultPendulumRoutes()
+          .filter(route => !ws.modulationRoutes.some(r => r.target === route.target));
+        ws.modulationRoutes.push(...missing);
+      }
+    }
+    return snapshot;
+  },
+];
+
+// A window's planets: radius (fraction of the view), speed (revolutions
+// per 4-minute cycle) and starting phase (degrees). They are named A, B, C...
+// in order, and every two of them make a pair.
+function getDefaultPlanets(phases = [0, 45, 90, 135]) {
+  return [
+    { radius: 0.75, speed: 7, phase: phases[0] },
+    { radius: 0.5, speed: 11, phase: phases[1] },
+    { radius: 0.35, speed: 13, phase: phases[2] },
+    { radius: 0.2, speed: 17, phase: phases[3] },
+  ];
+}
+
+// Speed ratios offered in the panel (outermost planet first)
+const PLANET_RATIO_PRESETS = {
+  primes: { label: 'Primes 7:11:13:17', speeds: [7, 11, 13, 17], radii: [0.75, 0.5, 0.35, 0.2] },
+  fifth: { label: '3:5', speeds: [6, 10], radii: [0.75, 0.45] },
+  golden: { label: 'Golden ratio 1:φ:φ²:φ³', speeds: [5, 8.09017, 13.09017, 21.18034], radii: [0.75, 0.55, 0.38, 0.22] },
+  fibonacci: { label: 'Fibonacci 3:5:8:13:21', speeds: [3, 5, 8, 13, 21], radii: [0.75, 0.6, 0.45, 0.32, 0.2] },
+  harmonic: { label: 'Harmonics 4:5:6:7', speeds: [8, 10, 12, 14], radii: [0.75, 0.55, 0.4, 0.25] },
+  octaves: { label: 'Octaves 1:2:4:8', speeds: [3, 6, 12, 24], radii: [0.75, 0.5, 0.35, 0.2] },
+};
+
+// Default modulation routes (see ModulationMatrix) for a window listening
+// to `range`: 'bass', 'mid', 'treble', 'all' or any band id
+function getDefaultModulationRoutes(range) {
+  const route = (source, target, amount, curve = 'linear', smoothing = 0) =>
+    ({ source, target, amount, curve, smoothing });
+  const level = { bass: 'bass', mid: 'mid', treble: 'treble', all: 'volume' }[range] || 'band.' + range;
+
+  const routes = [
+    // Orbits breathe with the window's band; pitch tints the pairs +-15 degrees
+    route(level, 'orbitScale', 0.03),
+    route('centroid', 'hueOffset', 15, 'bipolar'),
+  ];
+
+  if (range === 'mid' || range === 'all') {
+    // Low pitch = wide orbits for B and C, high pitch = tight
+    routes.push(
+      route('centroid', 'radius.B', -0.2, 'bipolar'),
+      route('centroid', 'radius.C', -0.07, 'bipolar'));
+  }
+  if (range === 'treble') {
+    routes.push(route('treble', 'noise', 100));
+  }
+
+  // Reactive physics: bass strengthens the sun, mid speeds time, beats pulse
+  routes.push(
+    route('bass', 'gravity', 0.5),
+    route('mid', 'timeScale', 0.3),
+    route('beat', 'gravityPulse', 1, 'linear', 0.9));
+  return routes.concat(getDefaultPendulumRoutes());
+}
+
+// Pendulum physics: beats restore a third of the lost swing, pitch detunes
+// the x and y pendulums by up to 2%
+function getDefaultPendulumRoutes() {
+  return [
+    { source: 'beat', target: 'pendulumExcite', amount: 0.3, curve: 'linear', smoothing: 0 },
+    { source: 'centroid', target: 'pendulumDetune', amount: 0.02, curve: 'bipolar', smoothing: 0 },
+  ];
+}
+
+// A window's settings when it listens to `range`, with `overrides` on top
+function createWindowSettings(range = 'all', overrides = {}) {
+  return Object.assign({
+    drawMode: 'lines',
+    lineOpacity: 30,
+    baseLineWeight: 0.8,
+    noiseAmount: 60,
+    persistentTrails: true,
+    trailFadeAmount: 0,
+    pulseStrength: 8,
+    activePairs: ['AB'],
+    activeLinkages: [],
+    symmetryOrder: 1,
+    symmetryMirror: false,
+    blendMode: 'blend',
+    layerOpacity: 100,
+    layerOrder: 0,
+    cameraX: 0,
+    cameraY: 0,
+    cameraZoom: 1,
+    paperSpin: 0,
+    physicsMode: 'legacy',
+    showBodies: false,
+    planets: getDefaultPlanets(),
+    modulationRoutes: getDefaultModulationRoutes(range),
+  }, overrides);
+}
+
 const Settings = {
   // Visual settings (global defaults)
   lineOpacity: 30,
@@ -9,6 +161,21 @@ const Settings = {
   drawInterval: 1,
   noiseAmount: 60,  // 0-100, controls vertex noise/electricity intensity
 
+  // Kaleidoscope: rotated copies of every line (1 = off), mirrored or not
+  symmetryOrder: 1,
+  symmetryMirror: false,
+
+  // Compositing over the windows below: a LAYER_BLEND_MODES id, opacity
+  // (0-100) and stacking order (higher is drawn on top)
+  blendMode: 'blend',
+  layerOpacity: 100,
+  layerOrder: 0,
+
+  // Paper spin in degrees per second: turns the drawing under the pen, so
+  // only lines drawn from then on rotate (the camera's pan and zoom are per
+  // window only: cameraX, cameraY, cameraZoom, set with the mouse)
+  paperSpin: 0,
+
   // Trail persistence
   persistentTrails: true,  // true = accumulate lines forever, false = fade quickly
   trailFadeAmount: 0,      // Fade amount when persistent (0 = no fade, permanent)
@@ -23,18 +190,44 @@ const Settings = {
   beatSensitivity: 0.5,   // 0-1, how sensitive beat detection is
   pulseStrength: 8,       // Percentage to scale on beat (e.g., 8 = 8%)
   pulseFadeBackground: true, // Extra background fade on beat
+  onsetMode: 'energy',    // 'energy' (threshold on band energy) or 'flux' (spectral flux)
+  offlineAnalysis: true,  // Pre-analyze uploaded files (beats/tempo/sections known ahead of playback)
+
+  // Extra (or overriding) frequency bands for the analyzer.
+  // Each entry: { id, label, lowHz, highHz } plus optional detector params.
+  // Any band id can be used as a window's frequencyRange.
+  frequencyBands: [],
 
   // BPM settings (for manual override)
   bpm: 120,
   useBpmSync: false,
   lastBeatTime: 0,
 
+  // Automatic tempo: lock BPM sync to the analyzer's detected tempo and beat phase
+  autoTempo: true,
+  minTempoConfidence: 0.3,  // Below this, fall back to the manual BPM
+  lastBeatSubdivision: -1,
+  lastBeatPhase: 0,
+
   // Drawing modes
   drawMode: 'lines',  // 'lines', 'midpoints', 'both'
   splitScreen: false,
 
-  // Layout mode: 'single', 'dual', 'triple'
+  // Line hue of each planet pair (all windows)
+  pairHues: { AB: 200, AC: 320, BC: 60, AD: 140, BD: 280, CD: 20 },
+
+  // LFOs and envelopes shared by all windows, routed as 'mod.<id>' sources
+  // in each window's modulationRoutes (see ModulatorBank)
+  modulators: [
+    { id: 'lfo1', type: 'lfo', shape: 'sine', rate: 0.05, sync: false, beats: 4, phase: 0 },
+    { id: 'env1', type: 'envelope', trigger: 'bass', attack: 20, decay: 200, sustain: 0.5, hold: 100, release: 600 },
+  ],
+
+  // Layout mode: a LAYOUTS id ('single', 'dual', 'triple', 'quad',
+  // 'inset') or 'custom' for customLayout (a layout description, see
+  // Layouts.js)
   layoutMode: 'single',
+  customLayout: null,
 
   // Comet settings
   maxComets: 25,
@@ -46,90 +239,94 @@ const Settings = {
   gravityStrength: 1000,
   timeScale: 1.0,
 
+  // Pendulum mode: share of the swing lost per minute (e^-damping left)
+  pendulumDamping: 0.3,
+
+  // Simulation clock speed (0 = frozen, 1 = real time)
+  simulationSpeed: 1.0,
+
   // Celestial body visibility
   showBodies: false,
 
+  // Log harmonograph lines as vectors for SVG / plotter export
+  vectorLogging: false,
+
+  // Pen plotter export (PlotterExporter)
+  plotterFormat: 'hpgl',        // 'hpgl' or 'gcode'
+  plotterPaper: 'A4',           // 'A4', 'A3', 'Letter'
+  plotterPenCount: 3,
+
+  // Video capture (CanvasRecorder): what to keep in the recorded canvas
+  videoIncludeComets: true,
+  videoIncludeLabels: true,
+
   // ========================================
-  // PER-WINDOW SETTINGS (for triple mode)
+  // PER-WINDOW SETTINGS (by layout window id)
   // ========================================
   windowSettings: {
-    bass: {
-      drawMode: 'lines',
-      lineOpacity: 30,
-      baseLineWeight: 0.8,
-      noiseAmount: 60,
-      persistentTrails: true,
-      trailFadeAmount: 0,
+    bass: createWindowSettings('bass', {
       pulseStrength: 12,  // Bass gets stronger pulse
-      activePairs: ['AB'],
-      physicsMode: 'legacy',
-      showBodies: false,
-    },
-    mid: {
-      drawMode: 'lines',
-      lineOpacity: 30,
-      baseLineWeight: 0.8,
+    }),
+    mid: createWindowSettings('mid', {
       noiseAmount: 40,
-      persistentTrails: true,
-      trailFadeAmount: 0,
-      pulseStrength: 8,
-      activePairs: ['AB'],
-      physicsMode: 'legacy',
-      showBodies: false,
-    },
-    treble: {
-      drawMode: 'lines',
-      lineOpacity: 30,
+      planets: getDefaultPlanets([30, 60, 120, 150]),
+    }),
+    treble: createWindowSettings('treble', {
       baseLineWeight: 0.6,  // Thinner for treble
-      noiseAmount: 80,  // More jittery for treble
-      persistentTrails: true,
-      trailFadeAmount: 0,
+      noiseAmount: 0,  // Treble jitter comes from its treble -> noise route
       pulseStrength: 5,
-      activePairs: ['AB'],
-      physicsMode: 'legacy',
-      showBodies: false,
-    },
+      planets: getDefaultPlanets([22.5, 67.5, 112.5, 157.5]),
+    }),
     // For single/dual modes
-    left: {
-      drawMode: 'lines',
-      lineOpacity: 30,
-      baseLineWeight: 0.8,
-      noiseAmount: 60,
-      persistentTrails: true,
-      trailFadeAmount: 0,
-      pulseStrength: 8,
-      activePairs: ['AB'],
-      physicsMode: 'legacy',
-      showBodies: false,
-    },
-    right: {
-      drawMode: 'lines',
-      lineOpacity: 30,
-      baseLineWeight: 0.8,
-      noiseAmount: 60,
-      persistentTrails: true,
-      trailFadeAmount: 0,
-      pulseStrength: 8,
+    left: createWindowSettings('all'),
+    right: createWindowSettings('all', {
       activePairs: ['AC'],
-      physicsMode: 'legacy',
-      showBodies: false,
-    },
-    main: {
-      drawMode: 'lines',
-      lineOpacity: 30,
-      baseLineWeight: 0.8,
-      noiseAmount: 60,
-      persistentTrails: true,
-      trailFadeAmount: 0,
-      pulseStrength: 8,
-      activePairs: ['AB'],
-      physicsMode: 'legacy',
-      showBodies: false,
-    },
+      planets: getDefaultPlanets([30, 60, 120, 150]),
+    }),
+    main: createWindowSettings('all'),
+    // For the quad and inset layouts
+    sub: createWindowSettings('sub', {
+      pulseStrength: 12,
+    }),
+    lowMid: createWindowSettings('lowMid', {
+      planets: getDefaultPlanets([30, 60, 120, 150]),
+    }),
+    highMid: createWindowSettings('highMid', {
+      noiseAmount: 40,
+      planets: getDefaultPlanets([22.5, 67.5, 112.5, 157.5]),
+    }),
+    air: createWindowSettings('air', {
+      baseLineWeight: 0.6,
+      noiseAmount: 30,
+      pulseStrength: 5,
+      planets: getDefaultPlanets([15, 60, 105, 150]),
+    }),
+    // For the layered layout: one view, each band in its own pair color
+    bassLayer: createWindowSettings('bass', {
+      pulseStrength: 12,
+    }),
+    midLayer: createWindowSettings('mid', {
+      noiseAmount: 40,
+      pulseStrength: 6,
+      activePairs: ['AC'],
+      planets: getDefaultPlanets([30, 60, 120, 150]),
+      blendMode: 'screen',
+      layerOrder: 1,
+    }),
+    trebleLayer: createWindowSettings('treble', {
+      baseLineWeight: 0.6,
+      noiseAmount: 0,
+      pulseStrength: 4,
+      activePairs: ['BC'],
+      planets: getDefaultPlanets([22.5, 67.5, 112.5, 157.5]),
+      blendMode: 'add',
+      layerOpacity: 80,
+      layerOrder: 2,
+    }),
   },
 
   // Currently selected window for editing
-  selectedWindow: 'all',  // 'all', 'bass', 'mid', 'treble', 'left', 'right', 'main'
+  selectedWindow: 'all',  // 'all' or the id of a window in the layout
 
   // Get settings for a specific window
   getWindowSettings(windowId) {
@@ -150,37 +347,228 @@ const Settings = {
     }
   },
 
-  // Planet pairs for left side (or full screen)
-  planetPairsLeft: [
-    { p1: 0, p2: 1, hue: 200, enabled: true, id: 'pairAB' },
-    { p1: 0, p2: 2, hue: 320, enabled: false, id: 'pairAC' },
-    { p1: 1, p2: 2, hue: 60, enabled: false, id: 'pairBC' },
-    { p1: 0, p2: 3, hue: 140, enabled: false, id: 'pairAD' },
-    { p1: 1, p2: 3, hue: 280, enabled: false, id: 'pairBD' },
-    { p1: 2, p2: 3, hue: 20, enabled: false, id: 'pairCD' },
-  ],
+  // Runtime state that is not part of a snapshot
+  transientKeys: ['lastBeatTime', 'lastBeatSubdivision', 'lastBeatPhase', 'selectedWindow', 'transientKeys'],
 
-  // Planet pairs for right side (split screen mode)
-  planetPairsRight: [
-    { p1: 0, p2: 1, hue: 200, enabled: false, id: 'pairAB_R' },
-    { p1: 0, p2: 2, hue: 320, enabled: true, id: 'pairAC_R' },
-    { p1: 1, p2: 2, hue: 60, enabled: false, id: 'pairBC_R' },
-    { p1: 0, p2: 3, hue: 140, enabled: false, id: 'pairAD_R' },
-    { p1: 1, p2: 3, hue: 280, enabled: false, id: 'pairBD_R' },
-    { p1: 2, p2: 3, hue: 20, enabled: false, id: 'pairCD_R' },
-  ],
+  // Deep copy of all setting values (no methods or runtime state)
+  getSnapshot() {
+    const snapshot = {};
+    for (let key in this) {
+      if (typeof this[key] === 'function' || this.transientKeys.includes(key)) continue;
+      snapshot[key] = JSON.parse(JSON.stringify(this[key]));
+    }
+    return snapshot;
+  },
+
+  // Apply a (full or partial) snapshot; unknown keys are ignored
+  applySnapshot(snapshot) {
+    for (let key in snapshot) {
+      if (!(key in this) || typeof this[key] === 'function' || this.transientKeys.includes(key)) continue;
+      this[key] = JSON.parse(JSON.stringify(snapshot[key]));
+    }
+  },
+
+  // ========================================
+  // PRESETS
+  // ========================================
+
+  // The full snapshot wrapped in a versioned preset (saved as JSON)
+  toPreset(name = '') {
+    return {
+      format: PRESET_FORMAT,
+      version: SETTINGS_VERSION,
+      name,
+      createdAt: new Date().toISOString(),
+      settings: this.getSnapshot(),
+    };
+  },
+
+  isPreset(preset) {
+    return preset !== null && typeof preset === 'object' &&
+      preset.format === PRESET_FORMAT &&
+      typeof preset.version === 'number' &&
+      preset.settings !== null && typeof preset.settings === 'object';
+  },
+
+  // Load a preset made by toPreset(). Throws if it isn't one or comes from
+  // a newer version. Callers then push Settings onto systems, analyzer and UI.
+  fromPreset(preset) {
+    if (!this.isPreset(preset)) {
+      throw new Error('Not a harmonograph preset');
+    }
+    if (preset.version > SETTINGS_VERSION) {
+      throw new Error('Preset was saved by a newer version (' + preset.version + ')');
+    }
+    this.applySnapshot(this.migrate(preset.settings, preset.version));
+    return this;
+  },
+
+  // ========================================
+  // PERSISTENCE & MIGRATION
+  // ========================================
+
+  // Upgrade a snapshot saved at `version` to the current shape. Windows
+  // missing from it (or missing keys) keep their defaults; windows of
+  // custom layouts are kept.
+  migrate(snapshot, version = 0) {
+    let migrated = JSON.parse(JSON.stringify(snapshot));
+    for (let v = version; v < SETTINGS_VERSION; v++) {
+      migrated = SETTINGS_MIGRATIONS[v](migrated);
+    }
+
+    if (migrated.windowSettings) {
+      const windowSettings = {};
+      for (let windowId in SETTINGS_DEFAULTS.windowSettings) {
+        windowSettings[windowId] = Object.assign({}, SETTINGS_DEFAULTS.windowSettings[windowId],
+          migrated.windowSettings[windowId]);
+      }
+      for (let windowId in migrated.windowSettings) {
+        if (!windowSettings[windowId]) {
+          windowSettings[windowId] = Object.assign(createWindowSettings(), migrated.windowSettings[windowId]);
+        }
+      }
+      migrated.windowSettings = windowSettings;
+    }
+    return migrated;
+  },
+
+  // Write the current snapshot to localStorage. Returns false if storage
+  // is unavailable (private browsing, quota).
+  save() {
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+        version: SETTINGS_VERSION,
+        settings: this.getSnapshot(),
+      }));
+      return true;
+    } catch (err) {
+      console.warn('Could not save settings:', err);
+      return false;
+    }
+  },
+
+  // Apply the settings saved by save(). Returns true if any were applied.
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+      if (!stored || typeof stored.settings !== 'object' || stored.version > SETTINGS_VERSION) {
+        return false;
+      }
+      this.applySnapshot(this.migrate(stored.settings, stored.version || 0));
+      return true;
+    } catch (err) {
+      console.warn('Could not load saved settings:', err);
+      return false;
+    }
+  },
+
+  // ========================================
+  // SHAREABLE LINKS
+  // ========================================
+
+  // Settings that differ from the defaults; window settings per key
+  getChanges() {
+    const snapshot = this.getSnapshot();
+    const changes = {};
+    for (let key in snapshot) {
+      if (key === 'windowSettings') continue;
+      if (JSON.stringify(snapshot[key]) !== JSON.stringify(SETTINGS_DEFAULTS[key])) {
+        changes[key] = snapshot[key];
+      }
+    }
+
+    for (let windowId in snapshot.windowSettings) {
+      const ws = snapshot.windowSettings[windowId];
+      const defaults = SETTINGS_DEFAULTS.windowSettings[windowId] || {};
+      for (let key in ws) {
+        if (JSON.stringify(ws[key]) !== JSON.stringify(defaults[key])) {
+          changes.windowSettings = changes.windowSettings || {};
+          changes.windowSettings[windowId] = changes.windowSettings[windowId] || {};
+          changes.windowSettings[windowId][key] = ws[key];
+        }
+      }
+    }
+    return changes;
+  },
+
+  // URL hash holding the changes from the defaults, base64url-encoded JSON
+  toHash() {
+    const json = JSON.stringify({ v: SETTINGS_VERSION, s: this.getChanges() });
+    return SETTINGS_HASH_PREFIX + encodeBase64Url(json);
+  },
+
+  isHash(hash) {
+    return typeof hash === 'string' && hash.startsWith(SETTINGS_HASH_PREFIX);
+  },
+
+  // Apply a hash made by toHash(): the defaults plus the shared changes.
+  // Throws if it can't be read or comes from a newer version.
+  fromHash(hash) {
+    if (!this.isHash(hash)) {
+      throw new Error('Not a settings link');
+    }
+    let data;
+    try {
+      data = JSON.parse(decodeBase64Url(hash.slice(SETTINGS_HASH_PREFIX.length)));
+    } catch (err) {
+      throw new Error('Link is incomplete or damaged');
+    }
+    if (!data || typeof data.s !== 'object' || typeof data.v !== 'number') {
+      throw new Error('Not a settings link');
+    }
+    if (data.v > SETTINGS_VERSION) {
+      throw new Error('Link was made by a newer version (' + data.v + ')');
+    }
+
+    const changes = this.migrate(data.s, data.v);
+    this.applySnapshot(Object.assign({}, SETTINGS_DEFAULTS, changes));
+    return this;
+  },
+
+  // Back to the built-in defaults; the saved copy is removed too
+  restoreDefaults() {
+    this.applySnapshot(SETTINGS_DEFAULTS);
+    try {
+      localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    } catch (err) {
+      // Storage unavailable: nothing to remove
+    }
+    return this;
+  },
 
   // Calculate ms per beat from BPM
   getMsPerBeat() {
     return 60000 / this.bpm;
   },
 
+  // Whether the detected tempo is reliable enough to sync to
+  hasReliableTempo(analysis) {
+    return this.autoTempo && analysis && analysis.tempo > 0 &&
+      analysis.tempoConfidence >= this.minTempoConfidence;
+  },
+
   // Check if we should draw based on BPM sync
-  shouldDrawOnBeat(currentTime) {
+  // With a reliable detected tempo, draws land on beat-phase subdivisions
+  shouldDrawOnBeat(currentTime, analysis) {
     if (!this.useBpmSync) {
       return true;
     }
 
+    if (this.hasReliableTempo(analysis)) {
+      // A new subdivision, or the phase wrapping round to the next beat (the
+      // only change at a draw interval of 1). Small backward phase nudges
+      // from the beat tracker aren't a wrap.
+      const subdivision = Math.floor(analysis.beatPhase * this.drawInterval) % this.drawInterval;
+      const wrapped = analysis.beatPhase < this.lastBeatPhase - 0.5;
+      this.lastBeatPhase = analysis.beatPhase;
+      if (subdivision !== this.lastBeatSubdivision || wrapped) {
+        this.lastBeatSubdivision = subdivision;
+        this.lastBeatTime = currentTime;
+        return true;
+      }
+      return false;
+    }
+
     const msPerBeat = this.getMsPerBeat();
     const timeSinceLastBeat = currentTime - this.lastBeatTime;
 
@@ -191,3 +579,22 @@ const Settings = {
     return false;
   }
 };
+
+// Built-in defaults, captured before anything is loaded or changed
+const SETTINGS_DEFAULTS = Settings.getSnapshot();
+
+// UTF-8 text <-> URL-safe base64 without padding
+function encodeBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
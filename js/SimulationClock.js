@@ -0,0 +1,182 @@
+// ============================================================================
+// SIMULATION CLOCK - Fixed-Timestep Time Source
+// Converts wall-clock frame time into whole simulation steps so orbits,
+// physics, comets and pulse decays advance identically at any frame rate
+// ============================================================================
+
+// One simulation step (ms). Physics and per-step decays are tuned for 60 steps/s.
+const SIMULATION_STEP_MS = 1000 / 60;
+
+class SimulationClock {
+  constructor(stepMs = SIMULATION_STEP_MS) {
+    this.stepMs = stepMs;
+
+    // Simulated time (ms since reset) and steps taken
+    this.time = 0;
+    this.stepCount = 0;
+
+    // Speed multiplier (0 = frozen, 1 = real time)
+    this.speed = 1.0;
+    this.paused = false;
+
+    // Unsimulated wall time carried between frames
+    this.accumulator = 0;
+    this.lastRealTime = null;
+
+    // Catch-up limit: after a stall, at most this many steps run in one
+    // frame and the rest of the lost time is dropped
+    this.maxStepsPerFrame = 4;
+  }
+
+  // ========================================
+  // CONTROL
+  // ========================================
+
+  reset(realTime = null) {
+    this.time = 0;
+    this.stepCount = 0;
+    this.accumulator = 0;
+    this.lastRealTime = realTime;
+    return this;
+  }
+
+  setSpeed(speed) {
+    this.speed = max(0, speed);
+    return this;
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    return this;
+  }
+
+  pause() {
+    return this.setPaused(true);
+  }
+
+  resume() {
+    return this.setPaused(false);
+  }
+
+  // ========================================
+  // STEPPING
+  // ========================================
+
+  // Measure the wall time since the last tick and return how many
+  // steps to run this frame (may be 0 on fast displays)
+  tick(realTime) {
+    const delta = this.lastRealTime === null ? 0 : realTime - this.lastRealTime;
+    this.lastRealTime = realTime;
+
+    // Time spent paused is not owed to the simulation
+    if (this.paused) return 0;
+
+    this.accumulator += max(0, delta) * this.speed;
+
+    let steps = floor(this.accumulator / this.stepMs);
+    if (steps > this.maxStepsPerFrame) {
+      steps = this.maxStepsPerFrame;
+      this.accumulator = 0;
+    } else {
+      this.accumulator -= steps * this.stepMs;
+    }
+    return steps;
+  }
+
+  // Steps needed to bring the clock up to targetTime (offline rendering)
+  stepsUntil(targetTime) {
+    return max(0, floor((targetTime - this.time) / this.stepMs + 1e-6));
+  }
+
+  // Advance by one step (call once per step after updating with `time`)
+  advance() {
+    this.time += this.stepMs;
+    this.stepCount++;
+    return this;
+  }
+
+  getTime() {
+    return this.time;
+  }
+
+  getStepSeconds() {
+    return this.stepMs / 1000;
+  }
+}
+
+// ============================================================================
+// STEP ANALYSIS - Per-step view of a frame's analysis
+// Audio is analyzed once per frame; when a frame runs several steps, only
+// the first sees one-shot events (beats, section changes) so nothing fires
+// twice, and events from a frame that ran no steps carry to the next step.
+// ============================================================================
+
+const ANALYSIS_EVENTS = {
+  isBeat: 'beatIntensity',
+  bassBeat: 'bassBeatIntensity',
+  midBeat: 'midBeatIntensity',
+  trebleBeat: 'trebleBeatIntensity',
+  tempoBeat: null,
+  sectionChange: null,
+};
+
+class StepAnalysis {
+  constructor(analysis) {
+    this.analysis = analysis;
+  }
+
+  // Same accessor HarmonographSystem uses on AudioAnalyzer
+  getAnalysis() {
+    return this.analysis;
+  }
+
+  hasEvents() {
+    const a = this.analysis;
+    if (Object.keys(ANALYSIS_EVENTS).some(flag => a[flag])) return true;
+    return a.bands ? Object.values(a.bands).some(band => band.beat) : false;
+  }
+
+  // Copy with one-shot events cleared (held values for extra steps)
+  held() {
+    const a = Object.assign({}, this.analysis);
+    for (let flag in ANALYSIS_EVENTS) {
+      if (a[flag] === undefined) continue;
+      a[flag] = false;
+      if (ANALYSIS_EVENTS[flag]) a[ANALYSIS_EVENTS[flag]] = 0;
+    }
+    if (a.bands) {
+      a.bands = {};
+      for (let id in this.analysis.bands) {
+        a.bands[id] = Object.assign({}, this.analysis.bands[id], { beat: false, intensity: 0 });
+      }
+    }
+    return new StepAnalysis(a);
+  }
+
+  // Copy with events from an earlier, unstepped frame folded in
+  withEventsFrom(earlier) {
+    if (!earlier) return this;
+
+    const a = Object.assign({}, this.analysis);
+    const e = earlier.analysis;
+    for (let flag in ANALYSIS_EVENTS) {
+      if (!e[flag]) continue;
+      a[flag] = true;
+      const intensity = ANALYSIS_EVENTS[flag];
+      if (intensity) a[intensity] = max(a[intensity] || 0, e[intensity] || 0);
+    }
+    if (a.bands && e.bands) {
+      a.bands = {};
+      for (let id in this.analysis.bands) {
+        const band = Object.assign({}, this.analysis.bands[id]);
+        const old = e.bands[id];
+        if (old && old.beat) {
+          band.beat = true;
+          band.intensity = max(band.intensity, old.intensity);
+        }
+        a.bands[id] = band;
+      }
+    }
+    return new StepAnalysis(a);
+  }
+}
@@ -0,0 +1,171 @@
+// ============================================================================
+// VECTOR EXPORTER - SVG Export of Harmonograph Line History
+// Turns the renderers' vector logs into resolution-independent SVG,
+// per system or for the whole layout, for large-format printing
+// ============================================================================
+
+class VectorExporter {
+  constructor(options = {}) {
+    // Decimal places kept for coordinates
+    this.precision = options.precision !== undefined ? options.precision : 2;
+
+    // Paint the black canvas background (off = transparent)
+    this.background = options.background !== undefined ? options.background : true;
+  }
+
+  // ========================================
+  // EXPORT
+  // ========================================
+
+  // One system, in its own coordinates
+  exportSystem(system) {
+    const body = this.getSystemGroup(system, 0, 0);
+    return this.wrap(system.width, system.height, body);
+  }
+
+  // Every system at its position on the canvas, bottom layer first.
+  // Systems over earlier ones (inset windows, layers) get their own
+  // background and are blended like on screen (mix-blend-mode, opacity).
+  exportLayout(systemList, layoutWidth, layoutHeight) {
+    const groups = systemList.map((sys, i) => {
+      const covers = systemList.slice(0, i).some(other => VectorExporter.overlaps(sys, other));
+      return this.getSystemGroup(sys, sys.x, sys.y, this.background && covers, sys.layer);
+    });
+    return this.wrap(layoutWidth, layoutHeight, groups.join('\n'));
+  }
+
+  static overlaps(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width &&
+      a.y < b.y + b.height && b.y < a.y + a.height;
+  }
+
+  // Save an SVG string as filename.svg
+  save(svg, filename) {
+    saveStrings([svg], filename, 'svg');
+  }
+
+  // True if any of the systems has something logged
+  hasContent(systemList) {
+    return systemList.some(sys => sys.getRenderer().getVectorLog().length > 0);
+  }
+
+  // ========================================
+  // SVG BUILDING
+  // ========================================
+
+  wrap(w, h, body) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+    ];
+    if (this.background) {
+      lines.push(`<rect width="${w}" height="${h}" fill="#000000"/>`);
+    }
+    lines.push(body, '</svg>');
+    return lines.join('\n');
+  }
+
+  // Group attributes for a layer that isn't plain and opaque
+  getLayerAttributes(layer) {
+    if (!layer) return '';
+    let attributes = '';
+    const mode = LAYER_BLEND_MODES[layer.blendMode];
+    if (mode && mode.svg !== 'normal') {
+      attributes += ` style="mix-blend-mode:${mode.svg}"`;
+    }
+    if (layer.opacity < 100) {
+      attributes += ` opacity="${this.getOpacity(layer.opacity)}"`;
+    }
+    return attributes;
+  }
+
+  // A system's log as a clipped group translated to (x, y), optionally on
+  // an opaque black rectangle and composited as `layer` ({ blendMode, opacity })
+  getSystemGroup(system, x, y, backing = false, layer = null) {
+    const clipId = 'clip-' + system.id;
+    const w = system.width;
+    const h = system.height;
+    const lines = [
+      `<g id="${system.id}" transform="translate(${x} ${y})" clip-path="url(#${clipId})"${this.getLayerAttributes(layer)}>`,
+      `<clipPath id="${clipId}"><rect width="${w}" height="${h}"/></clipPath>`,
+    ];
+    if (backing) {
+      lines.push(`<rect width="${w}" height="${h}" fill="#000000"/>`);
+    }
+    lines.push('<g fill="none" stroke-linecap="round" stroke-linejoin="miter">');
+
+    for (let entry of system.getRenderer().getVectorLog()) {
+      switch (entry.type) {
+        case 'path':
+          lines.push(this.getPathElement(entry));
+          break;
+        case 'dot':
+          lines.push(this.getDotElement(entry));
+          break;
+        case 'polygon':
+          lines.push(this.getPolygonElement(entry));
+          break;
+        case 'fade':
+          // Trail fade: black wash over everything drawn so far
+          lines.push(`<rect width="${w}" height="${h}" fill="#000000" fill-opacity="${this.getOpacity(entry.alpha)}"/>`);
+          break;
+      }
+    }
+
+    lines.push('</g>', '</g>');
+    return lines.join('\n');
+  }
+
+  getPathElement(entry) {
+    const p = entry.points;
+    let d = 'M' + this.num(p[0]) + ' ' + this.num(p[1]);
+    for (let i = 2; i < p.length; i += 2) {
+      d += 'L' + this.num(p[i]) + ' ' + this.num(p[i + 1]);
+    }
+    const c = entry.color;
+    return `<path d="${d}" stroke="${VectorExporter.hsbToHex(c[0], c[1], c[2])}" ` +
+      `stroke-opacity="${this.getOpacity(c[3])}" stroke-width="${this.num(entry.weight)}"/>`;
+  }
+
+  getPolygonElement(entry) {
+    const p = entry.points;
+    const points = [];
+    for (let i = 0; i < p.length; i += 2) {
+      points.push(this.num(p[i]) + ',' + this.num(p[i + 1]));
+    }
+    const c = entry.color;
+    return `<polygon points="${points.join(' ')}" stroke="none" ` +
+      `fill="${VectorExporter.hsbToHex(c[0], c[1], c[2])}" fill-opacity="${this.getOpacity(c[3])}"/>`;
+  }
+
+  getDotElement(entry) {
+    const c = entry.color;
+    return `<circle cx="${this.num(entry.x)}" cy="${this.num(entry.y)}" r="${this.num(entry.d / 2)}" ` +
+      `fill="${VectorExporter.hsbToHex(c[0], c[1], c[2])}" fill-opacity="${this.getOpacity(c[3])}"/>`;
+  }
+
+  // p5 alpha (0-100, clamped like the canvas) to SVG opacity
+  getOpacity(alpha) {
+    return +(constrain(alpha, 0, 100) / 100).toFixed(3);
+  }
+
+  num(value) {
+    return +value.toFixed(this.precision);
+  }
+
+  // HSB (360/100/100, p5's HSB mode) to #rrggbb
+  static hsbToHex(h, s, b) {
+    h = ((h % 360) + 360) % 360 / 60;
+    s = constrain(s, 0, 100) / 100;
+    b = constrain(b, 0, 100) / 100;
+
+    const i = floor(h);
+    const f = h - i;
+    const p = b * (1 - s);
+    const q = b * (1 - s * f);
+    const t = b * (1 - s * (1 - f));
+    const rgb = [[b, t, p], [q, b, p], [p, b, t], [p, q, b], [t, p, b], [b, p, q]][i % 6];
+
+    return '#' + rgb.map(v => round(v * 255).toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -5,10 +5,37 @@
 
 // Core components
 let audioAnalyzer;
+let offlineAnalyzer;
+
+// Analysis recording & replay
+let analysisRecorder;
+let analysisReplay = null;
+
+// Session since the last reset, kept for poster renders
+let sessionRecorder;
+
+// Offline PNG sequence rendering
+let sequenceRenderer;
+
+// High-resolution poster renders (buffer pixels per unit for new systems)
+let posterRenderer;
+let systemResolutionScale = 1;
+
+// Timed crossfades between presets
+let presetMorph;
+
+// Realtime WebM capture
+let canvasRecorder;
+
+// SVG / plotter export of logged line history
+let vectorExporter;
 
 // Harmonograph systems array
 let systems = [];
 
+// Analyzer bands defined by the current layout (see setLayoutBands)
+let layoutBandIds = [];
+
 // Legacy renderers (for backward compatibility)
 let renderer;
 let rendererRight;
@@ -39,19 +66,38 @@ let isPlaying = false;
 let audioFile = null;
 let currentFileName = '';
 
-// Timing
-let startTime;
+// Timing: fixed-step simulation clock shared by planets, gravity, comets
+// and pulse decays
+let simulationClock;
 const FULL_CYCLE_DURATION = 240000;
 
 // Frame counter
 let frameCounter = 0;
 
+// One-shot analysis events from frames that ran no simulation step
+let pendingStepEvents = null;
+
 // Panel visibility
 let panelVisible = false;
 
+// Pending debounced write of Settings to localStorage
+let settingsSaveTimeout = null;
+const SETTINGS_SAVE_DELAY = 500;
+
 // Pulse visualization state
 let currentPulseScale = 1.0;
 
+// Windows being panned by a mouse drag, and the last mouse position
+let cameraDrag = null;
+
+// Zoom change per mouse wheel step
+const CAMERA_WHEEL_ZOOM = 1.1;
+
+// Wheel zooms are previewed and applied once the wheel has been still this
+// long (ms); the timer pending until then
+const CAMERA_WHEEL_DELAY = 250;
+let cameraWheelTimer = null;
+
 // ============================================================================
 // p5.js SETUP
 // ============================================================================
@@ -59,8 +105,26 @@ function setup() {
   createCanvas(windowWidth, windowHeight);
   colorMode(HSB, 360, 100, 100, 100);
 
+  // Settings saved by the last session, or shared in the link
+  let settingsLoaded = Settings.load();
+  if (loadSettingsFromUrl()) {
+    settingsLoaded = true;
+  }
+
   // Create audio analyzer
   audioAnalyzer = new AudioAnalyzer(60);
+  audioAnalyzer.setBands(Settings.frequencyBands);
+  if (settingsLoaded) {
+    applyAnalyzerSettings(SETTINGS_DEFAULTS);
+  }
+  offlineAnalyzer = new OfflineAnalyzer();
+  analysisRecorder = new AnalysisRecorder();
+  sessionRecorder = new AnalysisRecorder(POSTER_SESSION_MAX_FRAMES);
+  sequenceRenderer = new SequenceRenderer();
+  posterRenderer = new PosterRenderer();
+  presetMorph = new PresetMorph();
+  canvasRecorder = new CanvasRecorder();
+  vectorExporter = new VectorExporter();
 
   // Create beat debug view
   beatDebugView = new BeatDebugView();
@@ -82,99 +146,132 @@ function setup() {
   initializePlanets();
 
   // Initialize timing
-  startTime = millis();
+  simulationClock = new SimulationClock();
 
   // Setup UI
   setupUIListeners();
+  if (settingsLoaded) {
+    updateWindowSelectorOptions();
+    syncUIFromSettings();
+  } else {
+    renderPlanetEditor();
+    renderLinkageEditor();
+    renderPairsUI();
+    renderModulatorEditor();
+    renderModulationEditor();
+  }
 }
 
 // ============================================================================
 // INITIALIZE HARMONOGRAPH SYSTEMS (New Multi-System Architecture)
 // ============================================================================
 function initializeSystems() {
+  for (let sys of systems) {
+    sys.remove();
+  }
   systems = [];
 
-  if (Settings.layoutMode === 'triple') {
-    // Triple split: Bass | Mid | Treble
-    const sectionWidth = floor(width / 3);
-
-    // System 0: Bass (Left third)
-    const bassSystem = new HarmonographSystem(0, 0, sectionWidth, height, 'bass', 'bass');
-    applyWindowSettingsToSystem(bassSystem, 'bass');
-    systems.push(bassSystem);
+  // One system per layout window; windows new to Settings start from defaults
+  const layout = getCurrentLayout();
+  setLayoutBands(layout);
 
-    // System 1: Mid (Center third)
-    const midSystem = new HarmonographSystem(sectionWidth, 0, sectionWidth, height, 'mid', 'mid');
-    applyWindowSettingsToSystem(midSystem, 'mid');
-    systems.push(midSystem);
+  for (let win of getLayoutWindows(layout, width, height)) {
+    if (!Settings.windowSettings[win.id]) {
+      Settings.windowSettings[win.id] = createWindowSettings(win.range);
+    }
+    const system = new HarmonographSystem(win.x, win.y, win.width, win.height, win.range, win.id);
+    applyWindowSettingsToSystem(system, win.id);
+    systems.push(system);
+  }
 
-    // System 2: Treble (Right third)
-    const trebleSystem = new HarmonographSystem(sectionWidth * 2, 0, sectionWidth, height, 'treble', 'treble');
-    applyWindowSettingsToSystem(trebleSystem, 'treble');
-    systems.push(trebleSystem);
+  // Poster renders draw into enlarged buffers
+  if (systemResolutionScale !== 1) {
+    for (let sys of systems) {
+      sys.setResolutionScale(systemResolutionScale);
+    }
+  }
+}
 
-  } else if (Settings.layoutMode === 'dual') {
-    // Dual split
-    const halfWidth = floor(width / 2);
+// The layout being shown (see LAYOUTS)
+function getCurrentLayout() {
+  return getLayout(Settings.layoutMode, Settings.customLayout);
+}
 
-    const leftSystem = new HarmonographSystem(0, 0, halfWidth, height, 'all', 'left');
-    applyWindowSettingsToSystem(leftSystem, 'left');
-    systems.push(leftSystem);
+// Whether the layout differs from the one of `snapshot` (a Settings snapshot)
+function isLayoutChangedFrom(snapshot) {
+  const previous = getLayout(snapshot.layoutMode, snapshot.customLayout);
+  return JSON.stringify(previous) !== JSON.stringify(getCurrentLayout());
+}
 
-    const rightSystem = new HarmonographSystem(halfWidth, 0, halfWidth, height, 'all', 'right');
-    applyWindowSettingsToSystem(rightSystem, 'right');
-    systems.push(rightSystem);
+// Define the analyzer bands `layout` listens to, and drop the ones the
+// previous layout added. Files analyzed before a band existed keep it
+// silent until they are loaded again.
+function setLayoutBands(layout) {
+  const previous = layoutBandIds;
+  layoutBandIds = [];
+
+  for (let band of layout.bands || []) {
+    if (!audioAnalyzer.getBand(band.id)) {
+      audioAnalyzer.defineBand(band.id, band.lowHz, band.highHz, band);
+      layoutBandIds.push(band.id);
+    } else if (previous.includes(band.id)) {
+      layoutBandIds.push(band.id);
+    }
+  }
 
-  } else {
-    // Single full-screen system
-    const mainSystem = new HarmonographSystem(0, 0, width, height, 'all', 'main');
-    applyWindowSettingsToSystem(mainSystem, 'main');
-    systems.push(mainSystem);
+  for (let id of previous) {
+    if (!layoutBandIds.includes(id)) {
+      audioAnalyzer.removeBand(id);
+    }
   }
 }
 
+// Switch to a layout ('custom' for Settings.customLayout) with a fresh drawing
+function setLayoutMode(layoutMode) {
+  Settings.layoutMode = layoutMode;
+  Settings.splitScreen = (layoutMode === 'dual');
+  document.querySelectorAll('.layout-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.layout === layoutMode);
+  });
+
+  updateCenters();
+  initializeSystems();
+  resetDrawing();
+
+  // Window selector and editors after the systems: the layout may add bands
+  updateWindowSelectorOptions();
+}
+
 // Apply per-window settings to a system
 function applyWindowSettingsToSystem(system, windowId) {
   const ws = Settings.getWindowSettings(windowId);
 
   system
     .setDrawMode(ws.drawMode)
+    .setPlanets(ws.planets)
     .setActivePairs(ws.activePairs)
+    .setActiveLinkages(ws.activeLinkages)
+    .setPairHues(Settings.pairHues)
     .setTrailPersistence(ws.persistentTrails, ws.trailFadeAmount)
     .setShowBodies(ws.showBodies)
+    .setSymmetry(ws.symmetryOrder, ws.symmetryMirror)
+    .setLayer(ws.blendMode, ws.layerOpacity, ws.layerOrder)
+    .setPaperSpin(ws.paperSpin)
+    .setCamera(ws.cameraX, ws.cameraY, ws.cameraZoom)
     .setPhysicsMode(ws.physicsMode)
+    .setGravityStrength(Settings.gravityStrength)
+    .setTimeScale(Settings.timeScale)
+    .setPendulumDamping(Settings.pendulumDamping)
+    .setVectorLogging(Settings.vectorLogging)
+    .setModulationRoutes(ws.modulationRoutes)
+    .setModulators(Settings.modulators)
+    .setModulatorTempo(Settings.bpm, Settings.autoTempo, Settings.minTempoConfidence)
     .setVisualSettings({
       lineOpacity: ws.lineOpacity,
       baseLineWeight: ws.baseLineWeight,
       noiseAmount: ws.noiseAmount,
       drawInterval: Settings.drawInterval,
     });
-
-  // Set different phase offsets based on window
-  if (windowId === 'bass') {
-    system.setPlanetPhaseOffsets([0, PI / 4, PI / 2, 3 * PI / 4]);
-  } else if (windowId === 'mid') {
-    system.setPlanetPhaseOffsets([PI / 6, PI / 3, 2 * PI / 3, 5 * PI / 6]);
-  } else if (windowId === 'treble') {
-    system.setPlanetPhaseOffsets([PI / 8, 3 * PI / 8, 5 * PI / 8, 7 * PI / 8]);
-  } else if (windowId === 'right') {
-    system.setPlanetPhaseOffsets([PI / 6, PI / 3, 2 * PI / 3, 5 * PI / 6]);
-  }
-}
-
-// Helper: Get active pair IDs from legacy pair array
-function getActivePairIds(pairsArray) {
-  const idMap = {
-    'pairAB': 'AB', 'pairAC': 'AC', 'pairBC': 'BC',
-    'pairAD': 'AD', 'pairBD': 'BD', 'pairCD': 'CD',
-    'pairAB_R': 'AB', 'pairAC_R': 'AC', 'pairBC_R': 'BC',
-    'pairAD_R': 'AD', 'pairBD_R': 'BD', 'pairCD_R': 'CD',
-  };
-
-  return pairsArray
-    .filter(p => p.enabled)
-    .map(p => idMap[p.id])
-    .filter(id => id);
 }
 
 // Apply a setting to selected window(s)
@@ -215,12 +312,44 @@ function applySettingToSystem(system, key, value) {
     case 'showBodies':
       system.setShowBodies(value);
       break;
+    case 'symmetryOrder':
+    case 'symmetryMirror': {
+      const ws = Settings.getWindowSettings(system.id);
+      system.setSymmetry(ws.symmetryOrder, ws.symmetryMirror);
+      break;
+    }
+    case 'blendMode':
+    case 'layerOpacity':
+    case 'layerOrder': {
+      const ws = Settings.getWindowSettings(system.id);
+      system.setLayer(ws.blendMode, ws.layerOpacity, ws.layerOrder);
+      break;
+    }
+    case 'cameraX':
+    case 'cameraY':
+    case 'cameraZoom': {
+      const ws = Settings.getWindowSettings(system.id);
+      system.setCamera(ws.cameraX, ws.cameraY, ws.cameraZoom);
+      break;
+    }
+    case 'paperSpin':
+      system.setPaperSpin(value);
+      break;
     case 'physicsMode':
       system.setPhysicsMode(value);
       break;
     case 'activePairs':
       system.setActivePairs(value);
       break;
+    case 'activeLinkages':
+      system.setActiveLinkages(value);
+      break;
+    case 'planets':
+      system.setPlanets(value);
+      break;
+    case 'modulationRoutes':
+      system.setModulationRoutes(value);
+      break;
   }
 }
 
@@ -281,11 +410,104 @@ function setupUIListeners() {
     document.getElementById('fileInput').click();
   });
   document.getElementById('fileInput').addEventListener('change', handleFileUpload);
+  document.getElementById('replayBtn').addEventListener('click', () => {
+    document.getElementById('replayInput').click();
+  });
+  document.getElementById('replayInput').addEventListener('change', handleReplayUpload);
+
+  // Settings presets
+  document.getElementById('savePresetBtn').addEventListener('click', savePreset);
+  document.getElementById('loadPresetBtn').addEventListener('click', () => {
+    document.getElementById('presetInput').click();
+  });
+  document.getElementById('presetInput').addEventListener('change', handlePresetUpload);
+  document.getElementById('restoreDefaultsBtn').addEventListener('click', restoreDefaultSettings);
+  document.getElementById('copyLinkBtn').addEventListener('click', copySettingsLink);
+
+  // Preset morph
+  document.getElementById('morphLengthSlider').addEventListener('input', (e) => {
+    document.getElementById('morphLengthValue').textContent = e.target.value;
+  });
+  document.getElementById('morphPresetBtn').addEventListener('click', togglePresetMorph);
+  document.getElementById('morphInput').addEventListener('change', handleMorphUpload);
+
+  // Modulation matrix
+  document.getElementById('addRouteBtn').addEventListener('click', addModulationRoute);
+  document.getElementById('addLfoBtn').addEventListener('click', () => addModulator('lfo'));
+  document.getElementById('addEnvelopeBtn').addEventListener('click', () => addModulator('envelope'));
+
+  // Planets: ratio presets and added planets
+  const ratioSelect = document.getElementById('ratioPresetSelect');
+  for (let id in PLANET_RATIO_PRESETS) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = PLANET_RATIO_PRESETS[id].label;
+    ratioSelect.appendChild(option);
+  }
+  ratioSelect.addEventListener('change', (e) => {
+    applyPlanetRatioPreset(e.target.value);
+    e.target.value = '';
+  });
+  document.getElementById('addPlanetBtn').addEventListener('click', addPlanet);
+  document.getElementById('addLinkageBtn').addEventListener('click', addLinkage);
+
+  // Any panel change is saved for the next session
+  const planetPanel = document.getElementById('planetPanel');
+  for (let type of ['input', 'change', 'click']) {
+    planetPanel.addEventListener(type, scheduleSettingsSave);
+  }
+  window.addEventListener('pagehide', saveSettingsNow);
 
   // Playback controls
   document.getElementById('playPauseBtn').addEventListener('click', togglePlayPause);
   document.getElementById('restartBtn').addEventListener('click', restartAudio);
   document.getElementById('resetDrawingBtn').addEventListener('click', resetDrawing);
+  document.getElementById('recordVideoBtn').addEventListener('click', toggleVideoRecording);
+
+  // Analysis recording
+  document.getElementById('recordAnalysisBtn').addEventListener('click', toggleAnalysisRecording);
+  document.getElementById('loadReplayBtn').addEventListener('click', () => {
+    document.getElementById('replayInput').click();
+  });
+
+  // Video capture options
+  document.getElementById('videoCometsToggle').addEventListener('change', (e) => {
+    Settings.videoIncludeComets = e.target.checked;
+  });
+  document.getElementById('videoLabelsToggle').addEventListener('change', (e) => {
+    Settings.videoIncludeLabels = e.target.checked;
+  });
+
+  // Vector logging & SVG export
+  document.getElementById('vectorLoggingToggle').addEventListener('change', (e) => {
+    Settings.vectorLogging = e.target.checked;
+    for (let sys of systems) {
+      sys.setVectorLogging(Settings.vectorLogging);
+    }
+  });
+  document.getElementById('exportSvgBtn').addEventListener('click', exportSvg);
+
+  // Plotter export options
+  document.getElementById('plotterFormatSelect').addEventListener('change', (e) => {
+    Settings.plotterFormat = e.target.value;
+  });
+  document.getElementById('plotterPaperSelect').addEventListener('change', (e) => {
+    Settings.plotterPaper = e.target.value;
+  });
+  document.getElementById('plotterPensSelect').addEventListener('change', (e) => {
+    Settings.plotterPenCount = parseInt(e.target.value);
+  });
+  document.getElementById('exportPlotBtn').addEventListener('click', exportPlot);
+
+  // Offline PNG sequence rendering
+  document.getElementById('renderSequenceBtn').addEventListener('click', toggleSequenceRender);
+
+  // High-resolution poster render
+  document.getElementById('posterRenderBtn').addEventListener('click', togglePosterRender);
+  if (!SequenceRenderer.supportsFolderOutput()) {
+    document.querySelector('#renderOutputSelect option[value="folder"]').disabled = true;
+    document.getElementById('renderOutputSelect').value = 'zip';
+  }
 
   // Panel toggle
   document.getElementById('panelToggle').addEventListener('click', togglePanel);
@@ -303,6 +525,10 @@ function setupUIListeners() {
     windowSelector.addEventListener('change', (e) => {
       Settings.selectedWindow = e.target.value;
       updateUIFromSelectedWindow();
+      renderPlanetEditor();
+      renderLinkageEditor();
+      renderPairsUI();
+      renderModulationEditor();
     });
   }
 
@@ -322,39 +548,27 @@ function setupUIListeners() {
     });
   });
 
-  // Layout mode buttons
+  // Layout mode buttons; Custom asks for a layout file until one is loaded
   document.querySelectorAll('.layout-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
-      document.querySelectorAll('.layout-btn').forEach(b => b.classList.remove('active'));
-      e.target.classList.add('active');
       const layout = e.target.dataset.layout;
-      Settings.layoutMode = layout;
-      Settings.splitScreen = (layout === 'dual');
-
-      // Update window selector options based on layout
-      updateWindowSelectorOptions();
-
-      // Show/hide right pairs section
-      const rightPairs = document.getElementById('rightPairsSection');
-      if (rightPairs) {
-        rightPairs.style.display = (layout === 'dual') ? 'block' : 'none';
+      if (layout === 'custom' && !isLayout(Settings.customLayout)) {
+        document.getElementById('layoutInput').click();
+        return;
       }
-      const pairsHeader = document.getElementById('pairsHeaderLeft');
-      if (pairsHeader) {
-        pairsHeader.textContent = (layout === 'dual') ? 'Left Side Pairs' : 'Planet Pairs';
-      }
-
-      updateCenters();
-      initializeSystems();
-      resetDrawing();
+      setLayoutMode(layout);
     });
   });
+  document.getElementById('loadLayoutBtn').addEventListener('click', () => {
+    document.getElementById('layoutInput').click();
+  });
+  document.getElementById('layoutInput').addEventListener('change', handleLayoutUpload);
 
   // Physics mode buttons
   document.querySelectorAll('.physics-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       const mode = e.target.dataset.physics;
-      if (mode === 'legacy' || mode === 'reactive') {
+      if (PHYSICS_MODES.includes(mode)) {
         document.querySelectorAll('.physics-btn').forEach(b => b.classList.remove('active'));
         e.target.classList.add('active');
         Settings.physicsMode = mode;
@@ -388,6 +602,27 @@ function setupUIListeners() {
     });
   }
 
+  // Pendulum damping slider
+  const dampingSlider = document.getElementById('pendulumDampingSlider');
+  if (dampingSlider) {
+    dampingSlider.addEventListener('input', (e) => {
+      Settings.pendulumDamping = parseInt(e.target.value) / 100;
+      document.getElementById('pendulumDampingValue').textContent = Settings.pendulumDamping.toFixed(2);
+      for (let sys of systems) {
+        sys.setPendulumDamping(Settings.pendulumDamping);
+      }
+    });
+  }
+
+  // Simulation speed slider
+  const simSpeedSlider = document.getElementById('simulationSpeedSlider');
+  if (simSpeedSlider) {
+    simSpeedSlider.addEventListener('input', (e) => {
+      Settings.simulationSpeed = parseInt(e.target.value) / 100;
+      document.getElementById('simulationSpeedValue').textContent = Settings.simulationSpeed.toFixed(2);
+    });
+  }
+
   // Show bodies toggle
   const showBodiesToggle = document.getElementById('showBodiesToggle');
   if (showBodiesToggle) {
@@ -400,12 +635,19 @@ function setupUIListeners() {
   // BPM controls
   document.getElementById('bpmSyncToggle').addEventListener('change', (e) => {
     Settings.useBpmSync = e.target.checked;
-    Settings.lastBeatTime = millis();
+    Settings.lastBeatTime = simulationClock.time;
+  });
+
+  document.getElementById('autoTempoToggle').addEventListener('change', (e) => {
+    Settings.autoTempo = e.target.checked;
+    Settings.lastBeatSubdivision = -1;
+    applyModulatorTempo();
   });
 
   document.getElementById('bpmSlider').addEventListener('input', (e) => {
     Settings.bpm = parseInt(e.target.value);
     document.getElementById('bpmValue').textContent = Settings.bpm;
+    applyModulatorTempo();
   });
 
   // Visual settings sliders
@@ -435,6 +677,47 @@ function setupUIListeners() {
     applySettingToWindows('noiseAmount', Settings.noiseAmount);
   });
 
+  document.getElementById('symmetrySlider').addEventListener('input', (e) => {
+    Settings.symmetryOrder = parseInt(e.target.value);
+    document.getElementById('symmetryValue').textContent = Settings.symmetryOrder;
+    applySettingToWindows('symmetryOrder', Settings.symmetryOrder);
+  });
+
+  document.getElementById('symmetryMirrorToggle').addEventListener('change', (e) => {
+    Settings.symmetryMirror = e.target.checked;
+    applySettingToWindows('symmetryMirror', e.target.checked);
+  });
+
+  document.getElementById('paperSpinSlider').addEventListener('input', (e) => {
+    Settings.paperSpin = parseInt(e.target.value);
+    document.getElementById('paperSpinValue').textContent = Settings.paperSpin;
+    applySettingToWindows('paperSpin', Settings.paperSpin);
+  });
+
+  document.getElementById('resetCameraBtn').addEventListener('click', () => {
+    const ids = Settings.selectedWindow === 'all' ? systems.map(s => s.id) : [Settings.selectedWindow];
+    for (let sys of systems.filter(s => ids.includes(s.id))) {
+      setWindowCamera(sys, 0, 0, 1);
+    }
+  });
+
+  document.getElementById('blendModeSelect').addEventListener('change', (e) => {
+    Settings.blendMode = e.target.value;
+    applySettingToWindows('blendMode', e.target.value);
+  });
+
+  document.getElementById('layerOpacitySlider').addEventListener('input', (e) => {
+    Settings.layerOpacity = parseInt(e.target.value);
+    document.getElementById('layerOpacityValue').textContent = Settings.layerOpacity;
+    applySettingToWindows('layerOpacity', Settings.layerOpacity);
+  });
+
+  document.getElementById('layerOrderSlider').addEventListener('input', (e) => {
+    Settings.layerOrder = parseInt(e.target.value);
+    document.getElementById('layerOrderValue').textContent = Settings.layerOrder;
+    applySettingToWindows('layerOrder', Settings.layerOrder);
+  });
+
   document.getElementById('cometSlider').addEventListener('input', (e) => {
     Settings.maxComets = parseInt(e.target.value);
     document.getElementById('cometValue').textContent = Settings.maxComets;
@@ -447,14 +730,25 @@ function setupUIListeners() {
       Settings.beatSensitivity = parseInt(e.target.value) / 100;
       document.getElementById('beatSensitivityValue').textContent = Settings.beatSensitivity.toFixed(2);
       if (audioAnalyzer) {
-        const cutoffRange = map(Settings.beatSensitivity, 0, 1, 0.5, 0.15);
-        audioAnalyzer.bassCutoff = cutoffRange;
-        audioAnalyzer.midCutoff = cutoffRange * 0.85;
-        audioAnalyzer.trebleCutoff = cutoffRange * 0.7;
+        audioAnalyzer.setSensitivity(Settings.beatSensitivity);
+        // Pre-analyzed onsets are re-picked with the new threshold
+        if (audioAnalyzer.hasTimeline()) {
+          offlineAnalyzer.detectOnsets(audioAnalyzer.timeline, audioAnalyzer);
+        }
       }
     });
   }
 
+  // Onset detection mode buttons
+  document.querySelectorAll('.onset-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      document.querySelectorAll('.onset-btn').forEach(b => b.classList.remove('active'));
+      e.target.classList.add('active');
+      Settings.onsetMode = e.target.dataset.onset;
+      audioAnalyzer.setOnsetMode(Settings.onsetMode);
+    });
+  });
+
   // Pulse strength slider
   const pulseStrEl = document.getElementById('pulseStrengthSlider');
   if (pulseStrEl) {
@@ -462,11 +756,7 @@ function setupUIListeners() {
       Settings.pulseStrength = parseInt(e.target.value);
       document.getElementById('pulseStrengthValue').textContent = Settings.pulseStrength;
       if (audioAnalyzer) {
-        const strength = Settings.pulseStrength / 100;
-        audioAnalyzer.bassPulseStrength = strength;
-        audioAnalyzer.midPulseStrength = strength * 0.6;
-        audioAnalyzer.treblePulseStrength = strength * 0.4;
-        audioAnalyzer.pulseStrength = strength;
+        audioAnalyzer.setPulseStrength(Settings.pulseStrength / 100);
       }
     });
   }
@@ -479,51 +769,6 @@ function setupUIListeners() {
       document.getElementById('pitchSensitivityValue').textContent = Settings.pitchSensitivity.toFixed(2);
     });
   }
-
-  // Planet pair checkboxes
-  Settings.planetPairsLeft.forEach((pair, index) => {
-    const el = document.getElementById(pair.id);
-    if (el) {
-      el.addEventListener('change', (e) => {
-        Settings.planetPairsLeft[index].enabled = e.target.checked;
-        const activePairs = getActivePairIds(Settings.planetPairsLeft);
-
-        // Update based on selected window
-        if (Settings.selectedWindow === 'all') {
-          // Update all windows except right (which has its own pairs)
-          ['bass', 'mid', 'treble', 'main', 'left'].forEach(wid => {
-            Settings.updateWindowSetting(wid, 'activePairs', activePairs);
-          });
-          for (let sys of systems) {
-            if (sys.id !== 'right') {
-              sys.setActivePairs(activePairs);
-            }
-          }
-        } else if (Settings.selectedWindow !== 'right') {
-          Settings.updateWindowSetting(Settings.selectedWindow, 'activePairs', activePairs);
-          const sys = systems.find(s => s.id === Settings.selectedWindow);
-          if (sys) {
-            sys.setActivePairs(activePairs);
-          }
-        }
-      });
-    }
-  });
-
-  Settings.planetPairsRight.forEach((pair, index) => {
-    const el = document.getElementById(pair.id);
-    if (el) {
-      el.addEventListener('change', (e) => {
-        Settings.planetPairsRight[index].enabled = e.target.checked;
-        const activePairs = getActivePairIds(Settings.planetPairsRight);
-        Settings.updateWindowSetting('right', 'activePairs', activePairs);
-        const rightSys = systems.find(s => s.id === 'right');
-        if (rightSys) {
-          rightSys.setActivePairs(activePairs);
-        }
-      });
-    }
-  });
 }
 
 // Update window selector options based on current layout
@@ -533,18 +778,32 @@ function updateWindowSelectorOptions() {
 
   selector.innerHTML = '<option value="all">All Windows</option>';
 
-  if (Settings.layoutMode === 'triple') {
-    selector.innerHTML += '<option value="bass">Bass Window</option>';
-    selector.innerHTML += '<option value="mid">Mid Window</option>';
-    selector.innerHTML += '<option value="treble">Treble Window</option>';
-  } else if (Settings.layoutMode === 'dual') {
-    selector.innerHTML += '<option value="left">Left Window</option>';
-    selector.innerHTML += '<option value="right">Right Window</option>';
-  } else {
-    selector.innerHTML += '<option value="main">Main Window</option>';
+  // Built from elements: custom layouts name their own windows
+  for (let win of getCurrentLayout().windows) {
+    const option = document.createElement('option');
+    option.value = win.id;
+    option.textContent = (win.label || win.id) + ' Window';
+    selector.appendChild(option);
   }
 
   Settings.selectedWindow = 'all';
+  updatePairsUI();
+  renderPlanetEditor();
+  renderLinkageEditor();
+  renderModulationEditor();
+}
+
+// Show the right pairs section only in dual layout, and rebuild the lists
+function updatePairsUI() {
+  const rightPairs = document.getElementById('rightPairsSection');
+  if (rightPairs) {
+    rightPairs.style.display = (Settings.layoutMode === 'dual') ? 'block' : 'none';
+  }
+  const pairsHeader = document.getElementById('pairsHeaderLeft');
+  if (pairsHeader) {
+    pairsHeader.textContent = (Settings.layoutMode === 'dual') ? 'Left Side Pairs' : 'Planet Pairs';
+  }
+  renderPairsUI();
 }
 
 // Update UI controls to reflect selected window's settings
@@ -577,6 +836,35 @@ function updateUIFromSelectedWindow() {
     document.getElementById('noiseValue').textContent = ws.noiseAmount;
   }
 
+  const symmetrySlider = document.getElementById('symmetrySlider');
+  if (symmetrySlider) {
+    symmetrySlider.value = ws.symmetryOrder;
+    document.getElementById('symmetryValue').textContent = ws.symmetryOrder;
+  }
+
+  const paperSpinSlider = document.getElementById('paperSpinSlider');
+  if (paperSpinSlider) {
+    paperSpinSlider.value = ws.paperSpin;
+    document.getElementById('paperSpinValue').textContent = ws.paperSpin;
+  }
+
+  const blendSelect = document.getElementById('blendModeSelect');
+  if (blendSelect) {
+    blendSelect.value = ws.blendMode;
+  }
+
+  const layerOpacitySlider = document.getElementById('layerOpacitySlider');
+  if (layerOpacitySlider) {
+    layerOpacitySlider.value = ws.layerOpacity;
+    document.getElementById('layerOpacityValue').textContent = ws.layerOpacity;
+  }
+
+  const layerOrderSlider = document.getElementById('layerOrderSlider');
+  if (layerOrderSlider) {
+    layerOrderSlider.value = ws.layerOrder;
+    document.getElementById('layerOrderValue').textContent = ws.layerOrder;
+  }
+
   // Update toggles
   const persistentToggle = document.getElementById('persistentTrailsToggle');
   if (persistentToggle) {
@@ -588,6 +876,11 @@ function updateUIFromSelectedWindow() {
     bodiesToggle.checked = ws.showBodies;
   }
 
+  const mirrorToggle = document.getElementById('symmetryMirrorToggle');
+  if (mirrorToggle) {
+    mirrorToggle.checked = ws.symmetryMirror;
+  }
+
   // Update physics mode buttons
   document.querySelectorAll('.physics-btn').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.physics === ws.physicsMode);
@@ -613,15 +906,8 @@ function startMicrophone() {
   userStartAudio().then(() => {
     audioAnalyzer.initMicrophone();
 
-    const cutoffRange = map(Settings.beatSensitivity, 0, 1, 0.5, 0.15);
-    audioAnalyzer.bassCutoff = cutoffRange;
-    audioAnalyzer.midCutoff = cutoffRange * 0.85;
-    audioAnalyzer.trebleCutoff = cutoffRange * 0.7;
-
-    const strength = Settings.pulseStrength / 100;
-    audioAnalyzer.bassPulseStrength = strength;
-    audioAnalyzer.midPulseStrength = strength * 0.6;
-    audioAnalyzer.treblePulseStrength = strength * 0.4;
+    audioAnalyzer.setSensitivity(Settings.beatSensitivity);
+    audioAnalyzer.setPulseStrength(Settings.pulseStrength / 100);
 
     audioStarted = true;
     audioMode = 'mic';
@@ -652,29 +938,24 @@ function handleFileUpload(event) {
       () => {
         audioAnalyzer.initAudioFile(audioFile);
 
-        const cutoffRange = map(Settings.beatSensitivity, 0, 1, 0.5, 0.15);
-        audioAnalyzer.bassCutoff = cutoffRange;
-        audioAnalyzer.midCutoff = cutoffRange * 0.85;
-        audioAnalyzer.trebleCutoff = cutoffRange * 0.7;
+        audioAnalyzer.setSensitivity(Settings.beatSensitivity);
+        audioAnalyzer.setPulseStrength(Settings.pulseStrength / 100);
 
-        const strength = Settings.pulseStrength / 100;
-        audioAnalyzer.bassPulseStrength = strength;
-        audioAnalyzer.midPulseStrength = strength * 0.6;
-        audioAnalyzer.treblePulseStrength = strength * 0.4;
+        preAnalyzeFile(audioFile).then(() => {
+          audioFile.loop();
 
-        audioFile.loop();
+          audioStarted = true;
+          audioMode = 'file';
+          isPlaying = true;
 
-        audioStarted = true;
-        audioMode = 'file';
-        isPlaying = true;
+          document.getElementById('controls').style.display = 'none';
+          document.getElementById('playbackControls').style.display = 'block';
+          document.getElementById('songInfo').style.display = 'block';
+          document.getElementById('songInfo').textContent = currentFileName;
+          document.getElementById('panelToggle').style.display = 'block';
 
-        document.getElementById('controls').style.display = 'none';
-        document.getElementById('playbackControls').style.display = 'block';
-        document.getElementById('songInfo').style.display = 'block';
-        document.getElementById('songInfo').textContent = currentFileName;
-        document.getElementById('panelToggle').style.display = 'block';
-
-        resetDrawing();
+          resetDrawing();
+        });
       },
       (err) => {
         console.error('Error loading audio file:', err);
@@ -686,7 +967,31 @@ function handleFileUpload(event) {
   });
 }
 
+// Decode-ahead analysis so beats, tempo and sections are known before playback.
+// Falls back to live analysis if disabled or if the analysis fails.
+function preAnalyzeFile(soundFile) {
+  if (!Settings.offlineAnalysis || !soundFile.buffer) {
+    return Promise.resolve();
+  }
+
+  const uploadBtn = document.getElementById('uploadBtn');
+  uploadBtn.textContent = 'Analyzing...';
+
+  return offlineAnalyzer.analyze(soundFile.buffer, audioAnalyzer, (progress) => {
+    uploadBtn.textContent = 'Analyzing... ' + floor(progress * 100) + '%';
+  }).then((timeline) => {
+    audioAnalyzer.setTimeline(timeline);
+  }).catch((err) => {
+    console.warn('Offline analysis failed, using live analysis:', err);
+    audioAnalyzer.clearTimeline();
+  });
+}
+
 function togglePlayPause() {
+  if (audioMode === 'replay') {
+    toggleReplayPause();
+    return;
+  }
   if (!audioFile) return;
 
   if (isPlaying) {
@@ -701,6 +1006,10 @@ function togglePlayPause() {
 }
 
 function restartAudio() {
+  if (audioMode === 'replay') {
+    restartReplay();
+    return;
+  }
   if (!audioFile) return;
 
   audioFile.stop();
@@ -714,175 +1023,1639 @@ function resetDrawing() {
   for (let sys of systems) {
     sys.reset();
   }
+  analysisRecorder.recordEvent('reset');
+  restartSession();
 
   harmonographLayer.background(0);
   harmonographLayerRight.background(0);
 
-  startTime = millis();
+  simulationClock.reset(millis());
+  pendingStepEvents = null;
   comets = [];
   frameCounter = 0;
-  Settings.lastBeatTime = millis();
+  Settings.lastBeatTime = 0;
+  Settings.lastBeatSubdivision = -1;
   currentPulseScale = 1.0;
 }
 
 // ============================================================================
-// MAIN DRAW LOOP
+// ANALYSIS RECORDING & REPLAY
 // ============================================================================
-function draw() {
-  background(0);
-
-  let analysis = { volume: 0, isBeat: false, pulseScale: 1.0, bassBeat: false, midBeat: false, trebleBeat: false };
-
-  if (audioStarted) {
-    audioAnalyzer.analyze(audioMode);
-    analysis = audioAnalyzer.getAnalysis();
-
-    if (audioMode === 'file' && audioFile && audioFile.isPlaying()) {
-      let progress = (audioFile.currentTime() / audioFile.duration()) * 100;
-      document.getElementById('progressBar').style.width = progress + '%';
-    }
-  }
-
-  let shouldDraw = false;
-
-  if (isPlaying || audioMode === 'mic') {
-    if (Settings.useBpmSync) {
-      shouldDraw = Settings.shouldDrawOnBeat(millis());
-    } else {
-      frameCounter++;
-      if (frameCounter >= Settings.drawInterval) {
-        frameCounter = 0;
-        shouldDraw = true;
-      }
-    }
-  }
-
-  if (isPlaying || audioMode === 'mic') {
-    currentPulseScale = analysis.pulseScale;
+function getActiveAnalyzer() {
+  return audioMode === 'replay' ? analysisReplay : audioAnalyzer;
+}
 
-    for (let sys of systems) {
-      sys.update(audioAnalyzer);
-      sys.draw(audioAnalyzer, shouldDraw);
+// Start/stop recording the analysis stream; stopping saves the JSON file.
+// Recording rebuilds the systems so the replay starts from the same state.
+function toggleAnalysisRecording() {
+  if (!audioStarted || audioMode === 'replay') return;
 
-      if (sys.frequencyRange === 'bass' || sys.frequencyRange === 'all') {
-        currentPulseScale = max(currentPulseScale, sys.getPulseScale());
-      }
-    }
+  if (analysisRecorder.isRecording) {
+    analysisRecorder.stop();
+    const name = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'microphone';
+    analysisRecorder.save('harmonograph-' + name);
+  } else {
+    initializeSystems();
+    resetDrawing();
+    analysisRecorder.start(getRecordingSource());
+    restartSession(analysisRecorder.recording.seed);
   }
+  updateRecordingUI();
+}
 
-  renderSystemsToCanvas();
+function getRecordingSource() {
+  return audioMode === 'file' ? currentFileName : 'microphone';
+}
 
-  if (isPlaying || audioMode === 'mic') {
-    updateComets(analysis.treble, analysis.isHighIntensity, analysis.isBeat);
+// Start recording the session afresh (the drawing was just cleared). While
+// an analysis recording runs, the session shares its seed and notes resets
+// instead of restarting, so both reseed random() the same way. Replays
+// already are recordings, so no session is kept for them.
+function restartSession(seed) {
+  if (audioMode === 'replay') {
+    sessionRecorder.stop();
+  } else if (analysisRecorder.isRecording && seed === undefined) {
+    sessionRecorder.recordEvent('reset');
   } else {
-    drawCometsOnly();
-  }
-
-  if (audioStarted) {
-    beatDebugView.update(audioAnalyzer);
-    beatDebugView.draw();
+    sessionRecorder.start(getRecordingSource(), seed);
   }
+}
 
-  if (showModeIndicatorFlag) {
-    drawModeIndicator();
-  }
+function updateRecordingUI() {
+  const btn = document.getElementById('recordAnalysisBtn');
+  btn.textContent = analysisRecorder.isRecording ? 'Stop & Save Recording' : 'Record Analysis';
+  btn.classList.toggle('active', analysisRecorder.isRecording);
 }
 
-function drawModeIndicator() {
+function drawRecordingIndicator() {
   push();
-  textAlign(CENTER, TOP);
-  textSize(16);
   noStroke();
+  fill(0, 80, 100, 60 + 40 * sin(millis() * 0.006));
+  ellipse(20, 20, 10, 10);
+  fill(0, 0, 80);
+  textSize(11);
+  textAlign(LEFT, CENTER);
+  text('REC ' + analysisRecorder.getFrameCount(), 32, 20);
+  pop();
+}
 
-  const modeNames = {
-    'legacy': 'LEGACY MODE (Circular Orbits)',
-    'reactive': 'REACTIVE MODE (Audio + Gravity)',
-  };
-
-  const modeColors = {
-    'legacy': [200, 80, 100],
-    'reactive': [320, 80, 100],
-  };
+function handleReplayUpload(event) {
+  const file = event.target.files[0];
+  if (!file) return;
 
-  const modeName = modeNames[Settings.physicsMode] || Settings.physicsMode;
-  const modeColor = modeColors[Settings.physicsMode] || [0, 0, 100];
+  file.text()
+    .then((text) => startReplay(JSON.parse(text)))
+    .catch((err) => {
+      console.error('Error loading recording:', err);
+      alert('Could not load recording. Please choose a file saved with "Record Analysis".');
+    });
 
-  fill(0, 0, 0, 80);
-  rect(width / 2 - 180, 60, 360, 35, 5);
+  // Allow choosing the same file again
+  event.target.value = '';
+}
 
-  fill(modeColor[0], modeColor[1], modeColor[2]);
-  text(modeName, width / 2, 68);
+function startReplay(recording) {
+  const replay = new AnalysisReplay(recording);
 
-  textSize(11);
-  fill(0, 0, 70);
-  text(`Time Scale: ${Settings.timeScale.toFixed(2)}x`, width / 2, 88);
+  // Replays run without audio
+  if (audioFile && audioFile.isPlaying()) {
+    audioFile.pause();
+  }
+  if (analysisRecorder.isRecording) {
+    analysisRecorder.stop();
+    updateRecordingUI();
+  }
 
-  pop();
-}
+  if (presetMorph.isMorphing) {
+    stopPresetMorph();
+  }
 
-// ============================================================================
-// RENDER SYSTEMS TO MAIN CANVAS
-// ============================================================================
-function renderSystemsToCanvas() {
-  push();
+  analysisReplay = replay;
+  audioStarted = true;
+  audioMode = 'replay';
 
-  if (Settings.layoutMode === 'triple') {
-    const sectionWidth = width / 3;
+  // Same canvas size as the recording, so layouts and scaling match
+  if (width !== recording.width || height !== recording.height) {
+    resizeCanvas(recording.width, recording.height);
+    createGraphicsLayers();
+    updateCenters();
+  }
 
-    for (let i = 0; i < systems.length; i++) {
-      const sys = systems[i];
-      const sectionCenterX = sys.x + sectionWidth / 2;
-      const sectionCenterY = height / 2;
-      const sysPulse = sys.getPulseScale();
+  restartReplay();
 
-      push();
-      translate(sectionCenterX, sectionCenterY);
-      scale(sysPulse);
-      translate(-sectionCenterX, -sectionCenterY);
-      image(sys.getGraphics(), sys.x, sys.y);
-      pop();
-    }
+  document.getElementById('controls').style.display = 'none';
+  document.getElementById('playbackControls').style.display = 'block';
+  document.getElementById('songInfo').style.display = 'block';
+  document.getElementById('songInfo').textContent = 'Replay: ' + (recording.source || 'recording');
+  document.getElementById('panelToggle').style.display = 'block';
+}
 
-    stroke(0, 0, 30, 50);
-    strokeWeight(1);
-    line(width / 3, 0, width / 3, height);
-    line(2 * width / 3, 0, 2 * width / 3, height);
+function restartReplay() {
+  Settings.applySnapshot(analysisReplay.getInitialSettings());
+  updateWindowSelectorOptions();
+  initializeSystems();
+  applySettingsToSystems();
+  resetDrawing();
+  analysisReplay.reset();
 
-    drawSystemLabels();
+  isPlaying = true;
+  document.getElementById('playPauseBtn').textContent = 'Pause';
+}
 
-  } else if (Settings.layoutMode === 'dual') {
-    const halfWidth = width / 2;
+function toggleReplayPause() {
+  isPlaying = !isPlaying;
+  document.getElementById('playPauseBtn').textContent = isPlaying ? 'Pause' : 'Play';
+}
 
-    if (systems[0]) {
-      push();
-      translate(halfWidth / 2, height / 2);
-      scale(currentPulseScale);
-      translate(-halfWidth / 2, -height / 2);
-      image(systems[0].getGraphics(), 0, 0);
-      pop();
-    }
+function finishReplay() {
+  isPlaying = false;
+  document.getElementById('playPauseBtn').textContent = 'Play';
+  document.getElementById('songInfo').textContent = 'Replay finished: ' + (analysisReplay.recording.source || 'recording');
+}
 
-    if (systems[1]) {
-      push();
-      translate(halfWidth + halfWidth / 2, height / 2);
-      scale(currentPulseScale);
-      translate(-(halfWidth + halfWidth / 2), -height / 2);
-      image(systems[1].getGraphics(), halfWidth, 0);
-      pop();
+// Apply the settings changes and actions recorded on the current frame
+function applyReplayFrame() {
+  const changes = analysisReplay.getSettingsChanges();
+  if (changes) {
+    const previous = { layoutMode: Settings.layoutMode, customLayout: Settings.customLayout };
+    Settings.applySnapshot(changes);
+    if (isLayoutChangedFrom(previous)) {
+      updateWindowSelectorOptions();
+      initializeSystems();
     }
+    applySettingsToSystems();
+  }
 
-    stroke(0, 0, 100, 30);
-    strokeWeight(1);
-    line(width / 2, 0, width / 2, height);
-
-  } else {
-    if (systems[0]) {
-      push();
-      translate(width / 2, height / 2);
-      scale(currentPulseScale);
-      translate(-width / 2, -height / 2);
-      image(systems[0].getGraphics(), 0, 0);
-      pop();
+  for (let event of analysisReplay.getEvents()) {
+    if (event === 'reset') {
+      resetDrawing();
+    }
+  }
+}
+
+// Push the current Settings onto every system
+function applySettingsToSystems() {
+  for (let sys of systems) {
+    applyWindowSettingsToSystem(sys, sys.id);
+  }
+}
+
+// ============================================================================
+// SETTINGS PRESETS
+// ============================================================================
+
+function savePreset() {
+  const name = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : '';
+  saveJSON(Settings.toPreset(name), 'harmonograph-preset' + (name ? '-' + name : '') + '.json');
+}
+
+function handlePresetUpload(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file || sequenceRenderer.isRendering || posterRenderer.isRendering) return;
+
+  file.text()
+    .then((text) => loadPreset(JSON.parse(text)))
+    .catch((err) => {
+      console.error('Error loading preset:', err);
+      alert('Could not load preset: ' + err.message);
+    });
+}
+
+// Apply a preset to Settings, the systems, the analyzer and the panel at once
+function loadPreset(preset) {
+  const previous = Settings.getSnapshot();
+  Settings.fromPreset(preset);
+  applySettings(previous);
+  syncUIFromSettings();
+  scheduleSettingsSave();
+  document.getElementById('songInfo').textContent = 'Preset loaded' + (preset.name ? ': ' + preset.name : '');
+}
+
+// ============================================================================
+// CUSTOM LAYOUTS
+// ============================================================================
+function handleLayoutUpload(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file || sequenceRenderer.isRendering || posterRenderer.isRendering) return;
+
+  file.text()
+    .then((text) => loadCustomLayout(JSON.parse(text)))
+    .catch((err) => {
+      console.error('Error loading layout:', err);
+      alert('Could not load layout: ' + err.message);
+    });
+}
+
+// Switch to a layout description (see LAYOUTS). Windows' `settings` are
+// applied over their current (or default) window settings.
+function loadCustomLayout(layout) {
+  validateLayout(layout);
+  Settings.customLayout = JSON.parse(JSON.stringify(layout));
+
+  for (let win of Settings.customLayout.windows) {
+    const ws = Settings.windowSettings[win.id] || createWindowSettings(win.range);
+    Settings.windowSettings[win.id] = Object.assign(ws, win.settings || {});
+  }
+
+  setLayoutMode('custom');
+  syncUIFromSettings();
+  scheduleSettingsSave();
+  document.getElementById('songInfo').textContent = 'Layout loaded' + (layout.label ? ': ' + layout.label : '');
+}
+
+// Push Settings onto everything that keeps its own copy, after a bulk
+// change from `previous` (a snapshot). A new layout rebuilds the systems.
+function applySettings(previous) {
+  if (isLayoutChangedFrom(previous)) {
+    Settings.splitScreen = (Settings.layoutMode === 'dual');
+    updateWindowSelectorOptions();
+    updateCenters();
+    initializeSystems();
+    resetDrawing();
+  } else {
+    applySettingsToSystems();
+  }
+
+  applyAnalyzerSettings(previous);
+
+  Settings.lastBeatTime = simulationClock.time;
+  Settings.lastBeatSubdivision = -1;
+}
+
+// Push the analyzer settings that differ from `previous` (a snapshot)
+function applyAnalyzerSettings(previous) {
+  if (JSON.stringify(Settings.frequencyBands) !== JSON.stringify(previous.frequencyBands)) {
+    // Bands no longer defined are dropped before the new definitions apply
+    const bandIds = Settings.frequencyBands.map(band => band.id);
+    for (let band of previous.frequencyBands) {
+      if (!bandIds.includes(band.id)) {
+        audioAnalyzer.removeBand(band.id);
+      }
+    }
+    audioAnalyzer.setBands(Settings.frequencyBands);
+  }
+
+  if (Settings.beatSensitivity !== previous.beatSensitivity) {
+    audioAnalyzer.setSensitivity(Settings.beatSensitivity);
+    if (audioAnalyzer.hasTimeline()) {
+      offlineAnalyzer.detectOnsets(audioAnalyzer.timeline, audioAnalyzer);
+    }
+  }
+  if (Settings.pulseStrength !== previous.pulseStrength) {
+    audioAnalyzer.setPulseStrength(Settings.pulseStrength / 100);
+  }
+  audioAnalyzer.setOnsetMode(Settings.onsetMode);
+}
+
+// Slider id, value label id, slider value and label text for each setting
+function getSliderStates() {
+  return [
+    ['beatSensitivitySlider', 'beatSensitivityValue', Settings.beatSensitivity * 100, Settings.beatSensitivity.toFixed(2)],
+    ['pulseStrengthSlider', 'pulseStrengthValue', Settings.pulseStrength, Settings.pulseStrength],
+    ['pitchSensitivitySlider', 'pitchSensitivityValue', Settings.pitchSensitivity * 100, Settings.pitchSensitivity.toFixed(2)],
+    ['gravitySlider', 'gravityValue', Settings.gravityStrength, Settings.gravityStrength],
+    ['timeScaleSlider', 'timeScaleValue', Settings.timeScale * 100, Settings.timeScale.toFixed(1)],
+    ['pendulumDampingSlider', 'pendulumDampingValue', Settings.pendulumDamping * 100, Settings.pendulumDamping.toFixed(2)],
+    ['simulationSpeedSlider', 'simulationSpeedValue', Settings.simulationSpeed * 100, Settings.simulationSpeed.toFixed(2)],
+    ['bpmSlider', 'bpmValue', Settings.bpm, Settings.bpm],
+    ['opacitySlider', 'opacityValue', Settings.lineOpacity, Settings.lineOpacity],
+    ['weightSlider', 'weightValue', Settings.baseLineWeight * 10, Settings.baseLineWeight.toFixed(1)],
+    ['intervalSlider', 'intervalValue', Settings.drawInterval, Settings.drawInterval],
+    ['noiseSlider', 'noiseValue', Settings.noiseAmount, Settings.noiseAmount],
+    ['symmetrySlider', 'symmetryValue', Settings.symmetryOrder, Settings.symmetryOrder],
+    ['paperSpinSlider', 'paperSpinValue', Settings.paperSpin, Settings.paperSpin],
+    ['layerOpacitySlider', 'layerOpacityValue', Settings.layerOpacity, Settings.layerOpacity],
+    ['layerOrderSlider', 'layerOrderValue', Settings.layerOrder, Settings.layerOrder],
+    ['cometSlider', 'cometValue', Settings.maxComets, Settings.maxComets],
+  ];
+}
+
+// Refresh every panel control from Settings
+function syncUIFromSettings() {
+  for (let [sliderId, valueId, sliderValue, text] of getSliderStates()) {
+    const slider = document.getElementById(sliderId);
+    if (slider) {
+      slider.value = round(sliderValue);
+      document.getElementById(valueId).textContent = text;
+    }
+  }
+
+  const toggles = {
+    persistentTrailsToggle: Settings.persistentTrails,
+    showBodiesToggle: Settings.showBodies,
+    symmetryMirrorToggle: Settings.symmetryMirror,
+    bpmSyncToggle: Settings.useBpmSync,
+    autoTempoToggle: Settings.autoTempo,
+    videoCometsToggle: Settings.videoIncludeComets,
+    videoLabelsToggle: Settings.videoIncludeLabels,
+    vectorLoggingToggle: Settings.vectorLogging,
+  };
+  for (let id in toggles) {
+    const el = document.getElementById(id);
+    if (el) el.checked = toggles[id];
+  }
+
+  const selects = {
+    blendModeSelect: Settings.blendMode,
+    plotterFormatSelect: Settings.plotterFormat,
+    plotterPaperSelect: Settings.plotterPaper,
+    plotterPensSelect: Settings.plotterPenCount,
+  };
+  for (let id in selects) {
+    const el = document.getElementById(id);
+    if (el) el.value = selects[id];
+  }
+
+  const buttonGroups = [
+    ['.onset-btn', 'onset', Settings.onsetMode],
+    ['.mode-btn', 'mode', Settings.drawMode],
+    ['.layout-btn', 'layout', Settings.layoutMode],
+    ['.physics-btn', 'physics', Settings.physicsMode],
+  ];
+  for (let [selector, dataKey, value] of buttonGroups) {
+    document.querySelectorAll(selector).forEach(btn => {
+      btn.classList.toggle('active', btn.dataset[dataKey] === value);
+    });
+  }
+
+  const windowSelector = document.getElementById('windowSelector');
+  if (windowSelector) windowSelector.value = Settings.selectedWindow;
+  updateUIFromSelectedWindow();
+  updatePairsUI();
+  renderPlanetEditor();
+  renderLinkageEditor();
+  renderModulatorEditor();
+  renderModulationEditor();
+}
+
+// ============================================================================
+// PRESET MORPH
+// ============================================================================
+
+// Pick a preset to morph to, or stop a running morph where it is
+function togglePresetMorph() {
+  if (presetMorph.isMorphing) {
+    stopPresetMorph();
+  } else {
+    document.getElementById('morphInput').click();
+  }
+}
+
+function handleMorphUpload(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file || audioMode === 'replay' || sequenceRenderer.isRendering || posterRenderer.isRendering) return;
+
+  file.text()
+    .then((text) => startPresetMorph(JSON.parse(text)))
+    .catch((err) => {
+      console.error('Error loading preset:', err);
+      alert('Could not load preset: ' + err.message);
+    });
+}
+
+// Morph from the current settings to `preset` over the chosen number of
+// seconds or bars (at the detected tempo, else the BPM slider)
+function startPresetMorph(preset) {
+  const from = Settings.getSnapshot();
+
+  // Validate and migrate through Settings, then put the current values back
+  Settings.fromPreset(preset);
+  const to = Settings.getSnapshot();
+  Settings.applySnapshot(from);
+
+  const length = parseInt(document.getElementById('morphLengthSlider').value);
+  let duration = length * 1000;
+  if (document.getElementById('morphUnitSelect').value === 'bars') {
+    const analysis = getActiveAnalyzer().getAnalysis();
+    const bpm = Settings.hasReliableTempo(analysis) ? analysis.tempo : Settings.bpm;
+    duration = PresetMorph.barsToMs(length, bpm);
+  }
+
+  presetMorph.start(from, to, duration);
+  updateMorphUI();
+  document.getElementById('songInfo').textContent = 'Morphing to ' + (preset.name || 'preset');
+}
+
+function stopPresetMorph() {
+  presetMorph.cancel();
+  syncUIFromSettings();
+  scheduleSettingsSave();
+  updateMorphUI();
+}
+
+// Advance a running morph by this frame's simulation steps and push the
+// blend onto the systems; the last step applies the whole target preset
+function updatePresetMorph(steps) {
+  if (!presetMorph.isMorphing || steps === 0) return;
+
+  const previous = Settings.getSnapshot();
+  const finished = presetMorph.update(steps * simulationClock.stepMs, Settings);
+
+  if (finished) {
+    Settings.applySnapshot(presetMorph.to);
+    applySettings(previous);
+    syncUIFromSettings();
+    scheduleSettingsSave();
+    updateMorphUI();
+  } else {
+    applySettingsToSystems();
+    applyAnalyzerSettings(previous);
+    if (panelVisible && frameCount % 15 === 0) {
+      syncUIFromSettings();
+      updateMorphUI();
+    }
+  }
+}
+
+function updateMorphUI() {
+  const btn = document.getElementById('morphPresetBtn');
+  if (presetMorph.isMorphing) {
+    btn.textContent = 'Stop Morph (' + floor(presetMorph.getProgress() * 100) + '%)';
+    btn.classList.add('active');
+  } else {
+    btn.textContent = 'Morph to Preset';
+    btn.classList.remove('active');
+  }
+}
+
+// ============================================================================
+// PANEL EDITORS (controls built from Settings)
+// ============================================================================
+
+// Window the per-window editors show: the selected one, or the layout's
+// first window when 'All Windows' is selected (edits then go to every window)
+function getEditedWindowId() {
+  if (Settings.selectedWindow !== 'all') return Settings.selectedWindow;
+  return getCurrentLayout().windows[0].id;
+}
+
+// Build a <select> with `options` as [value, label] pairs. A value that
+// is not among them (e.g. a removed modulator) stays listed as missing.
+function createPanelSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'window-selector';
+  if (!options.some(([optionValue]) => optionValue === value)) {
+    options = options.concat([[value, value + ' (missing)']]);
+  }
+  for (let [optionValue, label] of options) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.addEventListener('change', (e) => onChange(e.target.value));
+  return select;
+}
+
+function createPanelNumber(label, value, step, onChange) {
+  const wrapper = document.createElement('label');
+  wrapper.textContent = label + ' ';
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.step = step;
+  input.value = value;
+  input.addEventListener('change', (e) => {
+    const parsed = parseFloat(e.target.value);
+    if (!isNaN(parsed)) onChange(parsed);
+  });
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+function createPanelText(label, value, onChange) {
+  const wrapper = document.createElement('label');
+  wrapper.textContent = label + ' ';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.addEventListener('change', (e) => onChange(e.target.value));
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+function createPanelToggle(label, checked, onChange) {
+  const wrapper = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  input.addEventListener('change', (e) => onChange(e.target.checked));
+  wrapper.appendChild(input);
+  wrapper.appendChild(document.createTextNode(' ' + label));
+  return wrapper;
+}
+
+function createRemoveButton(title, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'action-btn';
+  btn.textContent = 'x';
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// ============================================================================
+// PLANETS & PAIRS
+// ============================================================================
+
+function getPlanetConfigs() {
+  const ws = Settings.getWindowSettings(getEditedWindowId());
+  return JSON.parse(JSON.stringify(ws.planets));
+}
+
+// Store an edited planet list and push it to the system(s)
+function commitPlanets(planets) {
+  applySettingToWindows('planets', planets);
+  renderPlanetEditor();
+  renderLinkageEditor();
+  renderPairsUI();
+}
+
+// Speeds and radii from PLANET_RATIO_PRESETS; existing planets keep their
+// phase and orbit shape
+function applyPlanetRatioPreset(presetId) {
+  const preset = PLANET_RATIO_PRESETS[presetId];
+  if (!preset) return;
+
+  const current = getPlanetConfigs();
+  commitPlanets(preset.speeds.map((speed, i) =>
+    Object.assign({ phase: i * 45 }, current[i], { radius: preset.radii[i], speed })));
+}
+
+// New innermost planet, a little smaller and faster than the last
+function addPlanet() {
+  const planets = getPlanetConfigs();
+  if (planets.length >= PLANET_NAMES.length) return;
+
+  const last = planets[planets.length - 1];
+  planets.push({
+    radius: round(last.radius * 70) / 100,
+    speed: last.speed + 2,
+    phase: (planets.length * 45) % 360,
+  });
+  commitPlanets(planets);
+}
+
+function renderPlanetEditor() {
+  const container = document.getElementById('planetRows');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const planets = getPlanetConfigs();
+
+  planets.forEach((planet, i) => {
+    const update = (key, value) => {
+      planets[i][key] = value;
+      commitPlanets(planets);
+    };
+
+    const row = document.createElement('div');
+    row.className = 'mod-route planet-row';
+
+    const orbit = document.createElement('div');
+    orbit.className = 'mod-route-params';
+
+    const name = document.createElement('span');
+    name.className = 'planet-name';
+    name.textContent = PLANET_NAMES[i];
+    orbit.appendChild(name);
+
+    orbit.appendChild(createPanelNumber('R', planet.radius, 0.05, v => update('radius', constrain(v, 0.01, 1))));
+    orbit.appendChild(createPanelNumber('Speed', planet.speed, 1, v => update('speed', v)));
+    orbit.appendChild(createPanelNumber('Phase', planet.phase, 15, v => update('phase', v)));
+
+    // Two planets make the smallest system with a pair
+    if (planets.length > 2) {
+      orbit.appendChild(createRemoveButton('Remove planet', () => {
+        planets.splice(i, 1);
+        commitPlanets(planets);
+      }));
+    }
+
+    // Orbit shape (legacy mode)
+    const shape = document.createElement('div');
+    shape.className = 'mod-route-params';
+    shape.appendChild(createPanelNumber('Ecc', planet.eccentricity || 0, 0.05, v => update('eccentricity', constrain(v, 0, 0.95))));
+    shape.appendChild(createPanelNumber('Prec', planet.precession || 0, 0.5, v => update('precession', v)));
+    shape.appendChild(createPanelNumber('Epi R', planet.epicycleRadius || 0, 0.02, v => update('epicycleRadius', v)));
+    shape.appendChild(createPanelNumber('Epi speed', planet.epicycleSpeed || 0, 1, v => update('epicycleSpeed', v)));
+
+    // Y pendulum and damping (pendulum mode); unset y values follow the orbit
+    const swing = document.createElement('div');
+    swing.className = 'mod-route-params';
+    const yValue = (key, fallback) => planet[key] !== undefined ? planet[key] : fallback;
+    swing.appendChild(createPanelNumber('Y R', yValue('yRadius', planet.radius), 0.05, v => update('yRadius', constrain(v, 0.01, 1))));
+    swing.appendChild(createPanelNumber('Y speed', yValue('ySpeed', planet.speed), 1, v => update('ySpeed', v)));
+    swing.appendChild(createPanelNumber('Y phase', yValue('yPhase', planet.phase - 90), 15, v => update('yPhase', v)));
+    swing.appendChild(createPanelNumber('Damp', yValue('damping', Settings.pendulumDamping), 0.05, v => update('damping', max(0, v))));
+
+    row.appendChild(orbit);
+    row.appendChild(shape);
+    row.appendChild(swing);
+    container.appendChild(row);
+  });
+
+  document.getElementById('addPlanetBtn').disabled = planets.length >= PLANET_NAMES.length;
+}
+
+// Turn a pair on or off in `windowIds`, starting from `baseWindowId`'s pairs
+function setPairEnabled(windowIds, baseWindowId, pairId, enabled) {
+  const activePairs = Settings.getWindowSettings(baseWindowId).activePairs.filter(id => id !== pairId);
+  if (enabled) {
+    activePairs.push(pairId);
+  }
+
+  for (let windowId of windowIds) {
+    Settings.updateWindowSetting(windowId, 'activePairs', activePairs.slice());
+    const sys = systems.find(s => s.id === windowId);
+    if (sys) {
+      sys.setActivePairs(activePairs);
+    }
+  }
+}
+
+// Checkboxes for every pair of `windowId`'s planets, labelled with their
+// speed ratio and colored with their hue
+function renderPairList(containerId, windowId, targetWindowIds) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  container.innerHTML = '';
+  const ws = Settings.getWindowSettings(windowId);
+  const pairs = HarmonographSystem.createPairDefinitions(ws.planets.length);
+  const speed = i => +ws.planets[i].speed.toFixed(2);
+
+  for (let pairId in pairs) {
+    const pair = pairs[pairId];
+    const hue = Settings.pairHues[pairId] !== undefined ? Settings.pairHues[pairId] : pair.hue;
+
+    const option = document.createElement('div');
+    option.className = 'pair-option';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = containerId + '-' + pairId;
+    input.checked = ws.activePairs.includes(pairId);
+    input.addEventListener('change', (e) => setPairEnabled(targetWindowIds, windowId, pairId, e.target.checked));
+
+    const dot = document.createElement('span');
+    dot.className = 'color-dot';
+    dot.style.background = `hsl(${hue}, 80%, 60%)`;
+
+    const label = document.createElement('label');
+    label.htmlFor = input.id;
+    label.textContent = `${pairId[0]}-${pairId[1]} (${speed(pair.p1)}:${speed(pair.p2)})`;
+
+    option.appendChild(input);
+    option.appendChild(dot);
+    option.appendChild(label);
+    container.appendChild(option);
+  }
+}
+
+// Pairs of the edited window; in dual layout the right window has its own
+// list, and 'All Windows' leaves it alone
+function renderPairsUI() {
+  const windowId = getEditedWindowId();
+  let targets = [windowId];
+  if (Settings.selectedWindow === 'all') {
+    targets = Object.keys(Settings.windowSettings).filter(id => id !== 'right');
+  }
+  renderPairList('pairsContainerLeft', windowId, targets);
+  renderPairList('pairsContainerRight', 'right', ['right']);
+}
+
+// ============================================================================
+// LINKAGES (three or more planets)
+// ============================================================================
+
+function getLinkageIds() {
+  const ws = Settings.getWindowSettings(getEditedWindowId());
+  return (ws.activeLinkages || []).slice();
+}
+
+// Store an edited linkage list and push it to the system(s)
+function commitLinkages(linkageIds) {
+  applySettingToWindows('activeLinkages', linkageIds);
+  renderLinkageEditor();
+}
+
+function addLinkage() {
+  const linkageIds = getLinkageIds();
+  linkageIds.push('polygon.' + PLANET_NAMES.slice(0, 3).join(''));
+  commitLinkages(linkageIds);
+}
+
+function renderLinkageEditor() {
+  const container = document.getElementById('linkageRows');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const linkageIds = getLinkageIds();
+  const planetCount = Settings.getWindowSettings(getEditedWindowId()).planets.length;
+  const typeOptions = Object.keys(LINKAGE_TYPES).map(id => [id, LINKAGE_TYPES[id].label]);
+
+  linkageIds.forEach((linkageId, i) => {
+    const [type, names = ''] = linkageId.split('.');
+    const update = (newType, newNames) => {
+      // Planet letters only, e.g. 'a c-b' -> 'ACB'
+      linkageIds[i] = newType + '.' + newNames.toUpperCase().replace(/[^A-Z]/g, '');
+      commitLinkages(linkageIds);
+    };
+
+    const row = document.createElement('div');
+    row.className = 'mod-route-params planet-row';
+    row.appendChild(createPanelSelect(typeOptions, type, v => update(v, names)));
+    row.appendChild(createPanelText('Planets', names, v => update(type, v)));
+
+    if (!HarmonographSystem.parseLinkage(linkageId, planetCount)) {
+      const warning = document.createElement('span');
+      warning.className = 'linkage-warning';
+      warning.textContent = 'not drawn';
+      warning.title = LINKAGE_TYPES[type]
+        ? 'Needs ' + LINKAGE_TYPES[type].min + '+ different planets of this window'
+        : 'Unknown linkage type';
+      row.appendChild(warning);
+    }
+
+    row.appendChild(createRemoveButton('Remove linkage', () => {
+      linkageIds.splice(i, 1);
+      commitLinkages(linkageIds);
+    }));
+    container.appendChild(row);
+  });
+}
+
+// ============================================================================
+// MODULATION MATRIX
+// ============================================================================
+
+function getModulationRoutes() {
+  const ws = Settings.getWindowSettings(getEditedWindowId());
+  return JSON.parse(JSON.stringify(ws.modulationRoutes || []));
+}
+
+// Store an edited route list and push it to the system(s)
+function commitModulationRoutes(routes) {
+  applySettingToWindows('modulationRoutes', routes);
+  renderModulationEditor();
+}
+
+function addModulationRoute() {
+  const routes = getModulationRoutes();
+  routes.push(ModulationMatrix.createRoute());
+  commitModulationRoutes(routes);
+}
+
+// One row of controls per route of the edited window
+function renderModulationEditor() {
+  const container = document.getElementById('modulationRoutes');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const routes = getModulationRoutes();
+  const bandIds = audioAnalyzer ? audioAnalyzer.getBandIds() : [];
+
+  const sourceOptions = ModulationMatrix.getSourceIds(bandIds, Settings.modulators)
+    .map(id => [id, ModulationMatrix.getSourceLabel(id, Settings.modulators)]);
+  const targetOptions = Object.keys(MODULATION_TARGETS).map(id => [id, MODULATION_TARGETS[id].label]);
+  const curveOptions = Object.keys(MODULATION_CURVES).map(id => [id, id]);
+
+  routes.forEach((route, i) => {
+    const update = (key, value) => {
+      routes[i][key] = value;
+      commitModulationRoutes(routes);
+    };
+
+    const row = document.createElement('div');
+    row.className = 'mod-route';
+
+    row.appendChild(createPanelSelect(sourceOptions, route.source, v => update('source', v)));
+    row.appendChild(createPanelSelect(targetOptions, route.target, v => update('target', v)));
+
+    const params = document.createElement('div');
+    params.className = 'mod-route-params';
+    params.appendChild(createPanelSelect(curveOptions, route.curve, v => update('curve', v)));
+    params.appendChild(createPanelNumber('Amt', route.amount, 0.01, v => update('amount', v)));
+    params.appendChild(createPanelNumber('Smooth', route.smoothing, 0.05,
+      v => update('smoothing', constrain(v, 0, 0.99))));
+
+    params.appendChild(createRemoveButton('Remove route', () => {
+      routes.splice(i, 1);
+      commitModulationRoutes(routes);
+    }));
+
+    row.appendChild(params);
+    container.appendChild(row);
+  });
+
+  if (routes.length === 0) {
+    container.innerHTML = '<div class="slider-hint">No routes: this window ignores the audio levels</div>';
+  }
+}
+
+// Push the tempo that synced LFOs fall back to onto every system
+function applyModulatorTempo() {
+  for (let sys of systems) {
+    sys.setModulatorTempo(Settings.bpm, Settings.autoTempo, Settings.minTempoConfidence);
+  }
+}
+
+// Store edited LFO / envelope definitions (shared by every window)
+function commitModulators(modulators) {
+  Settings.modulators = modulators;
+  for (let sys of systems) {
+    sys.setModulators(Settings.modulators);
+  }
+  renderModulatorEditor();
+  renderModulationEditor();
+}
+
+function addModulator(type) {
+  const modulators = JSON.parse(JSON.stringify(Settings.modulators));
+  modulators.push(type === 'envelope'
+    ? ModulatorBank.createEnvelope(ModulatorBank.getFreeId(modulators, 'env'))
+    : ModulatorBank.createLFO(ModulatorBank.getFreeId(modulators, 'lfo')));
+  commitModulators(modulators);
+}
+
+// One block of controls per LFO / envelope
+function renderModulatorEditor() {
+  const container = document.getElementById('modulators');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const modulators = JSON.parse(JSON.stringify(Settings.modulators));
+  const bandIds = audioAnalyzer ? audioAnalyzer.getBandIds() : [];
+  const shapeOptions = Object.keys(LFO_SHAPES).map(id => [id, LFO_SHAPES[id].label]);
+  const triggerOptions = [['beat', 'Main beat']].concat(bandIds.map(id => [id, 'Beat: ' + id]));
+
+  modulators.forEach((modulator, i) => {
+    const update = (key, value) => {
+      modulators[i][key] = value;
+      commitModulators(modulators);
+    };
+
+    const row = document.createElement('div');
+    row.className = 'mod-route';
+
+    const title = document.createElement('div');
+    title.className = 'section-label';
+    title.textContent = 'mod.' + modulator.id;
+    row.appendChild(title);
+
+    const params = document.createElement('div');
+    params.className = 'mod-route-params';
+    const timing = document.createElement('div');
+    timing.className = 'mod-route-params';
+
+    if (modulator.type === 'envelope') {
+      params.appendChild(createPanelSelect(triggerOptions, modulator.trigger, v => update('trigger', v)));
+      params.appendChild(createPanelNumber('S', modulator.sustain, 0.05, v => update('sustain', constrain(v, 0, 1))));
+      for (let key of ['attack', 'decay', 'hold', 'release']) {
+        timing.appendChild(createPanelNumber(key[0].toUpperCase(), modulator[key], 10, v => update(key, max(0, v))));
+      }
+    } else {
+      params.appendChild(createPanelSelect(shapeOptions, modulator.shape, v => update('shape', v)));
+      params.appendChild(createPanelNumber('Phase', modulator.phase, 0.05, v => update('phase', v)));
+      timing.appendChild(createPanelToggle('Sync', modulator.sync, v => update('sync', v)));
+      timing.appendChild(modulator.sync
+        ? createPanelNumber('Beats', modulator.beats, 1, v => update('beats', max(0.25, v)))
+        : createPanelNumber('Hz', modulator.rate, 0.01, v => update('rate', max(0, v))));
+    }
+
+    timing.appendChild(createRemoveButton('Remove modulator', () => {
+      modulators.splice(i, 1);
+      commitModulators(modulators);
+    }));
+
+    row.appendChild(params);
+    row.appendChild(timing);
+    container.appendChild(row);
+  });
+}
+
+// ============================================================================
+// SETTINGS PERSISTENCE (localStorage)
+// ============================================================================
+
+// Save shortly after the last change, so dragging a slider writes once
+function scheduleSettingsSave() {
+  clearTimeout(settingsSaveTimeout);
+  settingsSaveTimeout = setTimeout(saveSettingsNow, SETTINGS_SAVE_DELAY);
+}
+
+function saveSettingsNow() {
+  clearTimeout(settingsSaveTimeout);
+  settingsSaveTimeout = null;
+
+  // Replays and poster renders have the recording's settings swapped in;
+  // saving them would replace the user's own
+  if (audioMode === 'replay' || posterRenderer.isRendering) return;
+  Settings.save();
+}
+
+// Reset Settings, the systems, the analyzer and the panel to the defaults
+function restoreDefaultSettings() {
+  if (sequenceRenderer.isRendering || posterRenderer.isRendering) return;
+  if (!confirm('Restore all settings, including every window\'s, to their defaults?')) return;
+
+  const previous = Settings.getSnapshot();
+  Settings.restoreDefaults();
+  applySettings(previous);
+  syncUIFromSettings();
+  document.getElementById('songInfo').textContent = 'Settings restored to defaults';
+}
+
+// ============================================================================
+// SHAREABLE LINKS (URL hash)
+// ============================================================================
+
+// Apply settings shared in the URL hash (before the systems are built).
+// The hash is then dropped so a reload keeps the user's own changes.
+function loadSettingsFromUrl() {
+  const hash = window.location.hash;
+  if (!Settings.isHash(hash)) return false;
+
+  try {
+    Settings.fromHash(hash);
+  } catch (err) {
+    console.error('Error reading settings link:', err);
+    alert('Could not read the settings in this link: ' + err.message);
+    return false;
+  }
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  return true;
+}
+
+function getSettingsLink() {
+  return window.location.href.split('#')[0] + Settings.toHash();
+}
+
+// Copy a link to the current settings; falls back to a prompt to copy from
+function copySettingsLink() {
+  const link = getSettingsLink();
+  const showLink = () => prompt('Copy this link:', link);
+
+  if (!navigator.clipboard) {
+    showLink();
+    return;
+  }
+  navigator.clipboard.writeText(link)
+    .then(() => {
+      document.getElementById('songInfo').textContent = 'Link to these settings copied';
+    })
+    .catch(showLink);
+}
+
+// ============================================================================
+// SVG EXPORT
+// ============================================================================
+
+// Export the logged lines as SVG: the window chosen in "Apply Settings To",
+// or the whole layout when that is "All Windows"
+function exportSvg() {
+  if (!Settings.vectorLogging) {
+    alert('Turn on "Record Vector Paths" first; lines drawn from then on can be exported.');
+    return;
+  }
+
+  const name = 'harmonograph-' + (currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'vector');
+  const sys = systems.find(s => s.id === Settings.selectedWindow);
+
+  if (sys) {
+    vectorExporter.save(vectorExporter.exportSystem(sys), name + '-' + sys.id);
+  } else if (vectorExporter.hasContent(systems)) {
+    vectorExporter.save(vectorExporter.exportLayout(getSystemsInLayerOrder(), width, height), name);
+  }
+}
+
+// Export the logged lines for a pen plotter (same window choice as SVG)
+function exportPlot() {
+  if (!Settings.vectorLogging) {
+    alert('Turn on "Record Vector Paths" first; lines drawn from then on can be plotted.');
+    return;
+  }
+
+  const exporter = new PlotterExporter({
+    format: Settings.plotterFormat,
+    paper: Settings.plotterPaper,
+    penCount: Settings.plotterPenCount,
+  });
+
+  const name = 'harmonograph-' + (currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'plot');
+  const sys = systems.find(s => s.id === Settings.selectedWindow);
+  const result = sys ? exporter.exportSystem(sys) : exporter.exportLayout(systems, width, height);
+  if (result.stats.paths === 0) return;
+  exporter.save(result, sys ? name + '-' + sys.id : name);
+
+  const stats = result.stats;
+  document.getElementById('plotterStats').textContent =
+    `${stats.paths} paths, ${stats.pens} pen(s); pen-up travel ` +
+    `${(stats.travelBefore / 1000).toFixed(1)} m -> ${(stats.travelAfter / 1000).toFixed(1)} m`;
+}
+
+// ============================================================================
+// REALTIME VIDEO CAPTURE (WebM)
+// ============================================================================
+
+// Start/stop capturing the canvas with the playing audio; stopping
+// downloads the WebM file
+function toggleVideoRecording() {
+  if (canvasRecorder.isRecording) {
+    const name = currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : audioMode;
+    canvasRecorder.stop().then((blob) => {
+      if (blob) downloadBlob(blob, 'harmonograph-' + name + '.webm');
+    });
+    updateVideoRecordingUI();
+    return;
+  }
+
+  if (!audioStarted || sequenceRenderer.isRendering || posterRenderer.isRendering) return;
+  if (!CanvasRecorder.isSupported()) {
+    alert('Video recording is not supported in this browser.');
+    return;
+  }
+
+  canvasRecorder.start(drawingContext.canvas, getVideoAudioSource());
+  updateVideoRecordingUI();
+}
+
+// Audio node mixed into the video: everything p5.sound plays for files,
+// the (unmonitored) input for the microphone, nothing for replays
+function getVideoAudioSource() {
+  if (audioMode === 'file') {
+    return p5.soundOut.output;
+  }
+  if (audioMode === 'mic' && audioAnalyzer.mic) {
+    return audioAnalyzer.mic.output;
+  }
+  return null;
+}
+
+function updateVideoRecordingUI() {
+  const btn = document.getElementById('recordVideoBtn');
+  if (canvasRecorder.isRecording) {
+    const seconds = floor(canvasRecorder.getDuration());
+    btn.textContent = 'Stop Video ' + floor(seconds / 60) + ':' + nf(seconds % 60, 2);
+  } else {
+    btn.textContent = 'Record Video';
+  }
+  btn.classList.toggle('recording', canvasRecorder.isRecording);
+}
+
+// ============================================================================
+// OFFLINE PNG SEQUENCE RENDERING
+// ============================================================================
+
+// Start rendering the loaded file to PNG frames, or cancel a running render
+function toggleSequenceRender() {
+  if (sequenceRenderer.isRendering) {
+    sequenceRenderer.cancel();
+    return;
+  }
+  if (audioMode !== 'file' || !audioFile) {
+    alert('Upload an audio file to render a PNG sequence.');
+    return;
+  }
+  if (analysisRecorder.isRecording || canvasRecorder.isRecording || posterRenderer.isRendering) return;
+  commitCameraPreviews();
+
+  const fps = parseInt(document.getElementById('renderFpsSelect').value);
+  const sizeValue = document.getElementById('renderSizeSelect').value;
+  const size = sizeValue === 'window' ? [width, height] : sizeValue.split('x').map(Number);
+  const output = document.getElementById('renderOutputSelect').value;
+  const name = 'harmonograph-' + currentFileName.replace(/\.[^.]+$/, '');
+
+  // The folder picker needs the click, so open the output before anything async
+  sequenceRenderer.open(output, name)
+    .then((opened) => {
+      if (!opened) return null;
+      return ensureTimeline().then(() => renderSequence(fps, size[0], size[1]));
+    })
+    .catch((err) => {
+      console.error('PNG sequence render failed:', err);
+      alert('Rendering failed: ' + err.message);
+      if (isLooping()) {
+        document.getElementById('renderSequenceBtn').textContent = 'Render PNG Sequence';
+      } else {
+        exitRenderMode();
+      }
+    });
+}
+
+// Rendering reads the pre-analyzed timeline; analyze now if playback is live
+function ensureTimeline() {
+  if (audioAnalyzer.hasTimeline()) {
+    return Promise.resolve();
+  }
+
+  const btn = document.getElementById('renderSequenceBtn');
+  return offlineAnalyzer.analyze(audioFile.buffer, audioAnalyzer, (progress) => {
+    btn.textContent = 'Analyzing... ' + floor(progress * 100) + '%';
+  }).then((timeline) => {
+    audioAnalyzer.setTimeline(timeline);
+  });
+}
+
+function renderSequence(fps, renderWidth, renderHeight) {
+  const btn = document.getElementById('renderSequenceBtn');
+  const frameTotal = SequenceRenderer.getFrameCount(audioAnalyzer.timeline.duration, fps);
+
+  enterRenderMode(renderWidth, renderHeight);
+  btn.classList.add('active');
+
+  return sequenceRenderer.render(frameTotal, fps, renderSequenceFrame, (progress) => {
+    btn.textContent = 'Cancel Render (' + sequenceRenderer.frame + '/' + frameTotal + ')';
+    document.getElementById('progressBar').style.width = (progress * 100) + '%';
+  }).then((result) => {
+    exitRenderMode();
+    document.getElementById('songInfo').textContent = currentFileName +
+      (result.cancelled ? ' - render cancelled at frame ' : ' - rendered frames: ') + result.frames;
+  });
+}
+
+// Pause playback and rebuild everything at the render size from a blank,
+// seeded state so every render of the file comes out the same
+function enterRenderMode(renderWidth, renderHeight) {
+  audioFile.pause();
+  isPlaying = false;
+  document.getElementById('playPauseBtn').textContent = 'Play';
+
+  noLoop();
+  pixelDensity(1);
+  resizeCanvas(renderWidth, renderHeight);
+  createGraphicsLayers();
+  updateCenters();
+  initializeSystems();
+  resetDrawing();
+  sessionRecorder.stop();
+
+  audioAnalyzer.resetTimelinePlayback();
+  seedRandomness(SEQUENCE_RENDER_SEED);
+}
+
+function exitRenderMode() {
+  const btn = document.getElementById('renderSequenceBtn');
+  btn.textContent = 'Render PNG Sequence';
+  btn.classList.remove('active');
+
+  pixelDensity(displayDensity());
+  resizeCanvas(windowWidth, windowHeight);
+  createGraphicsLayers();
+  updateCenters();
+  initializeSystems();
+  resetDrawing();
+  loop();
+}
+
+// Draw frame `index` at audio time `time` (ms): the simulation catches up
+// to that time in whole clock steps, then the canvas is composited
+function renderSequenceFrame(index, time) {
+  randomSeed(SEQUENCE_RENDER_SEED + index);
+
+  audioAnalyzer.analyzeTimeline(time);
+  const steps = simulationClock.stepsUntil(time * Settings.simulationSpeed);
+  simulateFrame(audioAnalyzer.getAnalysis(), steps, true);
+
+  background(0);
+  renderSystemsToCanvas();
+  drawComets();
+}
+
+// ============================================================================
+// POSTER RENDER
+// ============================================================================
+
+// Re-simulate the session (or a replay up to its current frame) at N times
+// the resolution and save it as one PNG, or cancel a running poster render
+function togglePosterRender() {
+  if (posterRenderer.isRendering) {
+    posterRenderer.cancel();
+    return;
+  }
+  if (sequenceRenderer.isRendering || canvasRecorder.isRecording) return;
+  commitCameraPreviews();
+
+  const recording = getPosterRecording();
+  if (!recording) return;
+
+  const requested = parseInt(document.getElementById('posterScaleSelect').value);
+  const scale = min(requested, PosterRenderer.getMaxScale(width, height));
+  const replay = new AnalysisReplay(recording);
+  const name = 'harmonograph-' + (currentFileName ? currentFileName.replace(/\.[^.]+$/, '') : 'poster') + '-' + scale + 'x';
+  const btn = document.getElementById('posterRenderBtn');
+  const size = (width * scale) + ' x ' + (height * scale);
+
+  const live = enterPosterMode(replay, scale);
+  btn.classList.add('active');
+
+  posterRenderer.render(replay.frames.length, renderPosterFrame, (progress) => {
+    btn.textContent = 'Cancel Poster (' + floor(progress * 100) + '%)';
+  }).then((result) => {
+    if (result.cancelled) return false;
+
+    btn.textContent = 'Saving ' + size + '...';
+    const poster = posterRenderer.composite(getSystemsInLayerOrder(), width, height, scale);
+    return posterRenderer.save(poster, name).then(() => {
+      if (poster !== systems[0].getGraphics()) poster.remove();
+      return true;
+    });
+  }).then((saved) => {
+    exitPosterMode(live);
+    if (saved) document.getElementById('songInfo').textContent = 'Poster saved: ' + size + ' px';
+  }).catch((err) => {
+    console.error('Poster render failed:', err);
+    exitPosterMode(live);
+    alert('Poster render failed: ' + err.message);
+  });
+}
+
+// The recording to re-simulate: the live session, or the running replay's
+// frames so far. Null (after telling the user) if there is nothing usable.
+function getPosterRecording() {
+  if (audioMode === 'replay') {
+    const frames = analysisReplay.frames.slice(0, analysisReplay.frameIndex + 1);
+    if (frames.length > 0) {
+      return Object.assign({}, analysisReplay.recording, { frames });
+    }
+  } else if (sessionRecorder.isFull()) {
+    alert('This session is longer than poster renders can re-simulate (15 minutes). Press R to clear the drawing and start a new one.');
+    return null;
+  } else if (sessionRecorder.getFrameCount() > 0) {
+    return sessionRecorder.recording;
+  }
+
+  alert('Nothing drawn yet: play some audio first.');
+  return null;
+}
+
+// Stop the live loop and swap in blank state: enlarged systems, a fresh
+// clock and comets, idle recorders and the session replay. The poster then
+// runs through the same simulation path as a replay. Returns the live state.
+function enterPosterMode(replay, scale) {
+  const live = {
+    systems,
+    comets,
+    simulationClock,
+    pendingStepEvents,
+    frameCounter,
+    currentPulseScale,
+    audioMode,
+    analysisReplay,
+    analysisRecorder,
+    sessionRecorder,
+    settings: Settings.getSnapshot(),
+    selectedWindow: Settings.selectedWindow,
+    lastBeatTime: Settings.lastBeatTime,
+    lastBeatSubdivision: Settings.lastBeatSubdivision,
+    lastBeatPhase: Settings.lastBeatPhase,
+    resumeAudio: audioMode === 'file' && isPlaying,
+  };
+
+  if (live.resumeAudio) audioFile.pause();
+  noLoop();
+  pixelDensity(1);
+
+  audioMode = 'replay';
+  analysisReplay = replay;
+  analysisRecorder = new AnalysisRecorder();
+  sessionRecorder = new AnalysisRecorder();
+  systems = [];
+  comets = [];
+  pendingStepEvents = null;
+  frameCounter = 0;
+  simulationClock = new SimulationClock();
+  systemResolutionScale = scale;
+
+  Settings.applySnapshot(replay.getInitialSettings());
+  initializeSystems();
+
+  // Sessions restarted by a window resize begin mid-clock
+  simulationClock.time = replay.frames[0].t;
+  replay.reset();
+  return live;
+}
+
+function renderPosterFrame() {
+  analysisReplay.analyze();
+  applyReplayFrame();
+  simulateFrame(analysisReplay.getAnalysis(), analysisReplay.getStepCount(), true);
+}
+
+function exitPosterMode(live) {
+  const btn = document.getElementById('posterRenderBtn');
+  btn.textContent = 'Render Poster';
+  btn.classList.remove('active');
+
+  for (let sys of systems) {
+    sys.remove();
+  }
+  systemResolutionScale = 1;
+
+  const layoutChanged = isLayoutChangedFrom(live.settings);
+
+  systems = live.systems;
+  comets = live.comets;
+  simulationClock = live.simulationClock;
+  pendingStepEvents = live.pendingStepEvents;
+  frameCounter = live.frameCounter;
+  currentPulseScale = live.currentPulseScale;
+  audioMode = live.audioMode;
+  analysisReplay = live.analysisReplay;
+  analysisRecorder = live.analysisRecorder;
+  sessionRecorder = live.sessionRecorder;
+
+  Settings.applySnapshot(live.settings);
+  Settings.lastBeatTime = live.lastBeatTime;
+  Settings.lastBeatSubdivision = live.lastBeatSubdivision;
+  Settings.lastBeatPhase = live.lastBeatPhase;
+  if (layoutChanged) {
+    setLayoutBands(getCurrentLayout());
+    updateWindowSelectorOptions();
+    document.getElementById('windowSelector').value = live.selectedWindow;
+  }
+  Settings.selectedWindow = live.selectedWindow;
+
+  pixelDensity(displayDensity());
+  if (live.resumeAudio) audioFile.play();
+  loop();
+}
+
+// ============================================================================
+// MAIN DRAW LOOP
+// ============================================================================
+function draw() {
+  background(0);
+
+  let analysis = { volume: 0, isBeat: false, pulseScale: 1.0, bassBeat: false, midBeat: false, trebleBeat: false };
+
+  const analyzer = getActiveAnalyzer();
+
+  if (audioStarted && (audioMode !== 'replay' || isPlaying)) {
+    analyzer.analyze(audioMode);
+    analysis = analyzer.getAnalysis();
+
+    if (audioMode === 'file' && audioFile && audioFile.isPlaying()) {
+      let progress = (audioFile.currentTime() / audioFile.duration()) * 100;
+      document.getElementById('progressBar').style.width = progress + '%';
+    }
+
+    if (audioMode === 'replay') {
+      if (analysisReplay.finished) {
+        finishReplay();
+      } else {
+        applyReplayFrame();
+      }
+      document.getElementById('progressBar').style.width = (analysisReplay.getProgress() * 100) + '%';
+    }
+
+    if (panelVisible && frameCount % 15 === 0) {
+      updateDetectedTempoDisplay(analysis);
+    }
+  }
+
+  // ========================================
+  // SIMULATION STEPS
+  // Whole fixed steps owed since the last frame; replays repeat the
+  // step counts they were recorded with
+  // ========================================
+
+  const running = isPlaying || audioMode === 'mic';
+  let steps = 0;
+
+  if (audioMode === 'replay') {
+    steps = running ? analysisReplay.getStepCount() : 0;
+  } else {
+    simulationClock.setSpeed(Settings.simulationSpeed).setPaused(!running);
+    steps = simulationClock.tick(millis());
+
+    // Replays carry the morph in their recorded settings changes
+    updatePresetMorph(steps);
+  }
+
+  simulateFrame(analysis, steps, running);
+
+  renderSystemsToCanvas();
+
+  // While capturing video, the canvas only shows the artwork
+  const capturing = canvasRecorder.isRecording;
+
+  if (!capturing || Settings.videoIncludeComets) {
+    drawComets();
+  }
+
+  if (capturing) {
+    if (frameCount % 30 === 0) updateVideoRecordingUI();
+    return;
+  }
+
+  if (audioStarted && audioMode !== 'replay') {
+    beatDebugView.update(audioAnalyzer);
+    beatDebugView.draw();
+  }
+
+  if (analysisRecorder.isRecording) {
+    drawRecordingIndicator();
+  }
+
+  if (showModeIndicatorFlag) {
+    drawModeIndicator();
+  }
+}
+
+// Run one frame's simulation steps with this frame's analysis
+function simulateFrame(analysis, steps, running) {
+  const draws = [];
+  for (let i = 0; i < steps; i++) {
+    if (audioMode === 'replay') {
+      draws.push(analysisReplay.shouldDraw(i));
+    } else {
+      draws.push(shouldDrawStep(analysis, simulationClock.time + i * simulationClock.stepMs));
+    }
+  }
+
+  if (analysisRecorder.isRecording) {
+    analysisRecorder.recordFrame(analysis, simulationClock.time, steps, draws);
+  }
+
+  // Paused frames change nothing and are left out of the session, unless
+  // it has to stay frame-aligned with an analysis recording
+  if (sessionRecorder.isRecording && (running || analysisRecorder.isRecording)) {
+    sessionRecorder.recordFrame(analysis, simulationClock.time, steps, draws);
+  }
+
+  // Beats land on the first step only; a frame with no steps hands its
+  // beats on to the next one
+  const stepAnalysis = new StepAnalysis(analysis).withEventsFrom(pendingStepEvents);
+  const heldAnalysis = steps > 1 ? stepAnalysis.held() : null;
+  pendingStepEvents = (running && steps === 0 && stepAnalysis.hasEvents()) ? stepAnalysis : null;
+
+  for (let i = 0; i < steps; i++) {
+    // Recordings made before the simulation clock carry their own times
+    const time = (audioMode === 'replay' && analysisReplay.isLegacy) ?
+      analysisReplay.getElapsedTime() : simulationClock.time;
+
+    runSimulationStep(i === 0 ? stepAnalysis : heldAnalysis, time, draws[i]);
+    simulationClock.advance();
+  }
+
+  if (running) {
+    currentPulseScale = analysis.pulseScale;
+
+    for (let sys of systems) {
+      if (sys.frequencyRange === 'bass' || sys.frequencyRange === 'all') {
+        currentPulseScale = max(currentPulseScale, sys.getPulseScale());
+      }
+    }
+  }
+}
+
+// Advance systems, comets and pulse decays by one simulation step
+function runSimulationStep(stepAnalysis, time, shouldDraw) {
+  for (let sys of systems) {
+    sys.update(stepAnalysis, time);
+    sys.draw(stepAnalysis, shouldDraw);
+  }
+
+  if (audioMode !== 'replay') {
+    audioAnalyzer.decayPulses();
+  }
+
+  const analysis = stepAnalysis.getAnalysis();
+  stepComets(analysis.treble, analysis.isHighIntensity, analysis.isBeat, time);
+}
+
+// Draw interval / BPM sync decision for a step starting at `time` (sim ms)
+function shouldDrawStep(analysis, time) {
+  if (Settings.useBpmSync) {
+    return Settings.shouldDrawOnBeat(time, analysis);
+  }
+
+  frameCounter++;
+  if (frameCounter >= Settings.drawInterval) {
+    frameCounter = 0;
+    return true;
+  }
+  return false;
+}
+
+function updateDetectedTempoDisplay(analysis) {
+  const el = document.getElementById('detectedTempoValue');
+  if (!el) return;
+
+  if (analysis.tempo > 0) {
+    const lock = Settings.hasReliableTempo(analysis) ? '' : ' (low confidence)';
+    el.textContent = `${analysis.tempo.toFixed(1)} BPM, ${floor(analysis.tempoConfidence * 100)}%${lock}`;
+  } else {
+    el.textContent = '--';
+  }
+}
+
+function drawModeIndicator() {
+  push();
+  textAlign(CENTER, TOP);
+  textSize(16);
+  noStroke();
+
+  const modeNames = {
+    'legacy': 'LEGACY MODE (Circular Orbits)',
+    'reactive': 'REACTIVE MODE (Audio + Gravity)',
+    'pendulum': 'PENDULUM MODE (Damped Harmonograph)',
+  };
+
+  const modeColors = {
+    'legacy': [200, 80, 100],
+    'reactive': [320, 80, 100],
+    'pendulum': [60, 80, 100],
+  };
+
+  const modeName = modeNames[Settings.physicsMode] || Settings.physicsMode;
+  const modeColor = modeColors[Settings.physicsMode] || [0, 0, 100];
+
+  fill(0, 0, 0, 80);
+  rect(width / 2 - 180, 60, 360, 35, 5);
+
+  fill(modeColor[0], modeColor[1], modeColor[2]);
+  text(modeName, width / 2, 68);
+
+  textSize(11);
+  fill(0, 0, 70);
+  text(`Time Scale: ${Settings.timeScale.toFixed(2)}x`, width / 2, 88);
+
+  pop();
+}
+
+// ============================================================================
+// RENDER SYSTEMS TO MAIN CANVAS
+// ============================================================================
+function renderSystemsToCanvas() {
+  const layout = getCurrentLayout();
+  push();
+
+  // Each window zooms about its own center: on its range's beats, or all
+  // together on the main pulse
+  for (let sys of getSystemsInLayerOrder()) {
+    const centerX = sys.x + sys.width / 2;
+    const centerY = sys.y + sys.height / 2;
+    const pulse = layout.pulse === 'shared' ? currentPulseScale : sys.getPulseScale();
+    const blend = sys.layer.blendMode !== 'blend';
+
+    push();
+    translate(centerX, centerY);
+    scale(pulse);
+    translate(-centerX, -centerY);
+    if (blend) blendMode(LAYER_BLEND_MODES[sys.layer.blendMode].canvas());
+    if (sys.layer.opacity < 100) tint(0, 0, 100, sys.layer.opacity);
+    const preview = sys.getCameraPreviewRect();
+    if (!preview) {
+      image(sys.getGraphics(), sys.x, sys.y);
+    } else if (preview.sw > 0 && preview.sh > 0) {
+      image(sys.getGraphics(), sys.x + preview.dx, sys.y + preview.dy, preview.dw, preview.dh,
+        preview.sx, preview.sy, preview.sw, preview.sh);
+    }
+    if (blend) blendMode(BLEND);
+    pop();
+  }
+
+  if (layout.divider) {
+    drawLayoutDividers(layout);
+  }
+
+  if (layout.labels && (!canvasRecorder.isRecording || Settings.videoIncludeLabels)) {
+    drawSystemLabels();
+  }
+
+  pop();
+}
+
+// Systems from the bottom layer up: by layerOrder, then layout order
+function getSystemsInLayerOrder() {
+  return systems.slice().sort((a, b) => a.layer.order - b.layer.order);
+}
+
+// Grid lines between cells, or outlines of windows smaller than the canvas
+function drawLayoutDividers(layout) {
+  push();
+  stroke(...layout.divider);
+  strokeWeight(1);
+
+  if (layout.grid) {
+    for (let c = 1; c < layout.grid.columns; c++) {
+      line(width * c / layout.grid.columns, 0, width * c / layout.grid.columns, height);
+    }
+    for (let r = 1; r < layout.grid.rows; r++) {
+      line(0, height * r / layout.grid.rows, width, height * r / layout.grid.rows);
+    }
+  } else {
+    noFill();
+    for (let sys of systems) {
+      if (sys.width < width || sys.height < height) {
+        rect(sys.x, sys.y, sys.width, sys.height);
+      }
     }
   }
 
@@ -890,26 +2663,27 @@ function renderSystemsToCanvas() {
 }
 
 // ============================================================================
-// DRAW SYSTEM LABELS (for triple mode)
+// DRAW SYSTEM LABELS (layouts with labels)
 // ============================================================================
 function drawSystemLabels() {
-  const labels = ['BASS', 'MID', 'TREBLE'];
-  const sectionWidth = width / 3;
+  const windows = getCurrentLayout().windows;
 
   push();
   textAlign(CENTER, TOP);
   textSize(12);
   noStroke();
 
-  for (let i = 0; i < 3; i++) {
-    const x = sectionWidth * i + sectionWidth / 2;
+  systems.forEach((sys, i) => {
+    const label = (windows[i] ? windows[i].label || windows[i].id : sys.id).toUpperCase();
+    const x = sys.x + sys.width / 2;
+    const boxWidth = max(60, textWidth(label) + 20);
 
     fill(0, 0, 0, 70);
-    rect(x - 30, 10, 60, 20, 5);
+    rect(x - boxWidth / 2, sys.y + 10, boxWidth, 20, 5);
 
     fill(0, 0, 100, 80);
-    text(labels[i], x, 14);
-  }
+    text(label, x, sys.y + 14);
+  });
 
   pop();
 
@@ -928,9 +2702,10 @@ function drawSystemLabels() {
 // ============================================================================
 // COMET MANAGEMENT
 // ============================================================================
-function updateComets(trebleEnergy, isHighIntensity, isBeat) {
+// Spawn, move and retire comets by one simulation step (drawn per frame)
+function stepComets(trebleEnergy, isHighIntensity, isBeat, time) {
   if (Settings.physicsMode === 'reactive') {
-    updateCometsPhysics(trebleEnergy, isHighIntensity, isBeat);
+    stepCometsPhysics(trebleEnergy, isHighIntensity, isBeat);
     return;
   }
 
@@ -949,7 +2724,7 @@ function updateComets(trebleEnergy, isHighIntensity, isBeat) {
   }
 
   for (let i = comets.length - 1; i >= 0; i--) {
-    let shouldReset = comets[i].update(trebleEnergy, isHighIntensity);
+    let shouldReset = comets[i].update(trebleEnergy, isHighIntensity, time);
 
     if (shouldReset) {
       if (comets.length > targetComets * 0.5) {
@@ -957,13 +2732,12 @@ function updateComets(trebleEnergy, isHighIntensity, isBeat) {
       } else {
         comets[i].reset();
       }
-    } else {
-      comets[i].draw();
     }
   }
 }
 
-function updateCometsPhysics(trebleEnergy, isHighIntensity, isBeat) {
+// Physics comets move with the gravity system; this only spawns them
+function stepCometsPhysics(trebleEnergy, isHighIntensity, isBeat) {
   if (systems.length === 0) return;
 
   const gravitySystem = systems[0].getGravitySystem();
@@ -982,10 +2756,6 @@ function updateCometsPhysics(trebleEnergy, isHighIntensity, isBeat) {
   while (gravitySystem.comets.length < targetComets) {
     gravitySystem.spawnComet();
   }
-
-  for (let comet of gravitySystem.comets) {
-    drawPhysicsComet(comet);
-  }
 }
 
 function drawPhysicsComet(body) {
@@ -1019,7 +2789,7 @@ function drawPhysicsComet(body) {
   pop();
 }
 
-function drawCometsOnly() {
+function drawComets() {
   if (Settings.physicsMode === 'reactive') {
     if (systems.length > 0) {
       const gravitySystem = systems[0].getGravitySystem();
@@ -1032,14 +2802,8 @@ function drawCometsOnly() {
     return;
   }
 
-  for (let i = comets.length - 1; i >= 0; i--) {
-    let shouldReset = comets[i].update(0, false);
-
-    if (shouldReset) {
-      comets.splice(i, 1);
-    } else {
-      comets[i].draw();
-    }
+  for (let comet of comets) {
+    comet.draw();
   }
 }
 
@@ -1047,9 +2811,12 @@ function drawCometsOnly() {
 // WINDOW RESIZE
 // ============================================================================
 function windowResized() {
+  if (sequenceRenderer.isRendering || posterRenderer.isRendering) return;
+
   resizeCanvas(windowWidth, windowHeight);
 
   initializeSystems();
+  restartSession();
 
   let oldLayer = harmonographLayer;
   let oldLayerRight = harmonographLayerRight;
@@ -1065,10 +2832,119 @@ function windowResized() {
   updateCenters();
 }
 
+// ============================================================================
+// CAMERA CONTROLS
+// Drag a window to pan, scroll to zoom about the pointer, double-click to
+// reset. Gestures move the windows under the pointer, or only the one
+// chosen in Apply Settings To when it is one of them. While a gesture is
+// in progress the drawing is only shown moved (a camera preview); it is
+// reprojected once, when the mouse is released or the wheel stops.
+// ============================================================================
+function getCameraSystemsAt(x, y) {
+  const under = systems.filter(s => x >= s.x && x < s.x + s.width && y >= s.y && y < s.y + s.height);
+  const selected = under.filter(s => s.id === Settings.selectedWindow);
+  return selected.length > 0 ? selected : under;
+}
+
+// Only gestures on the canvas itself (not the panel) and while nothing renders
+function isCameraEvent(event) {
+  return !!event && event.target === drawingContext.canvas &&
+    !sequenceRenderer.isRendering && !posterRenderer.isRendering;
+}
+
+// Store a window's pan and zoom in its settings and apply them
+function setWindowCamera(sys, x, y, zoom) {
+  Settings.updateWindowSetting(sys.id, 'cameraX', x);
+  Settings.updateWindowSetting(sys.id, 'cameraY', y);
+  Settings.updateWindowSetting(sys.id, 'cameraZoom', constrain(zoom, CAMERA_MIN_ZOOM, CAMERA_MAX_ZOOM));
+  applySettingToSystem(sys, 'cameraZoom');
+  scheduleSettingsSave();
+}
+
+// Apply every window's camera preview: reproject and store it
+function commitCameraPreviews() {
+  clearTimeout(cameraWheelTimer);
+  cameraWheelTimer = null;
+  for (let sys of systems) {
+    if (sys.cameraPreview) {
+      const view = sys.cameraPreview;
+      setWindowCamera(sys, view.x, view.y, view.zoom);
+    }
+  }
+}
+
+function mousePressed(event) {
+  if (!isCameraEvent(event)) return;
+  cameraDrag = { systems: getCameraSystemsAt(mouseX, mouseY), x: mouseX, y: mouseY };
+}
+
+function mouseDragged() {
+  if (!cameraDrag) return;
+
+  // Whole pixels, so panning moves the drawing without resampling it
+  const dx = round(mouseX - cameraDrag.x);
+  const dy = round(mouseY - cameraDrag.y);
+  if (dx === 0 && dy === 0) return;
+
+  cameraDrag.x += dx;
+  cameraDrag.y += dy;
+  for (let sys of cameraDrag.systems) {
+    const view = sys.getViewCamera();
+    sys.previewCamera(view.x + dx, view.y + dy, view.zoom);
+  }
+}
+
+function mouseReleased() {
+  if (!cameraDrag) return;
+  cameraDrag = null;
+  commitCameraPreviews();
+}
+
+// Zoom about the pointer: the point under it stays put
+function mouseWheel(event) {
+  if (!isCameraEvent(event)) return;
+
+  const factor = event.delta > 0 ? 1 / CAMERA_WHEEL_ZOOM : CAMERA_WHEEL_ZOOM;
+  for (let sys of getCameraSystemsAt(mouseX, mouseY)) {
+    const view = sys.getViewCamera();
+    const zoom = constrain(view.zoom * factor, CAMERA_MIN_ZOOM, CAMERA_MAX_ZOOM);
+    const ratio = zoom / view.zoom;
+    const pointerX = mouseX - sys.x - sys.centerX;
+    const pointerY = mouseY - sys.y - sys.centerY;
+    sys.previewCamera(pointerX - (pointerX - view.x) * ratio, pointerY - (pointerY - view.y) * ratio, zoom);
+  }
+
+  clearTimeout(cameraWheelTimer);
+  cameraWheelTimer = setTimeout(commitCameraPreviews, CAMERA_WHEEL_DELAY);
+  return false;
+}
+
+function doubleClicked(event) {
+  if (!isCameraEvent(event)) return;
+  for (let sys of getCameraSystemsAt(mouseX, mouseY)) {
+    setWindowCamera(sys, 0, 0, 1);
+  }
+}
+
 // ============================================================================
 // KEYBOARD CONTROLS
 // ============================================================================
+// True while a panel field has focus, so typing into it isn't a shortcut.
+// Sliders and checkboxes keep focus after a click but take no typing.
+const NON_TEXT_INPUTS = ['range', 'checkbox', 'radio', 'button', 'file', 'color'];
+
+function isEditingField() {
+  const el = document.activeElement;
+  if (!el) return false;
+  if (el.tagName === 'INPUT') return !NON_TEXT_INPUTS.includes(el.type);
+  return el.tagName === 'SELECT' || el.tagName === 'TEXTAREA';
+}
+
 function keyPressed() {
+  // Keys would disturb an offline render in progress
+  if (sequenceRenderer.isRendering || posterRenderer.isRendering) return;
+  if (isEditingField()) return;
+
   if (key === 'r' || key === 'R') {
     resetDrawing();
   }
@@ -1078,7 +2954,7 @@ function keyPressed() {
   }
 
   if (key === ' ') {
-    if (audioMode === 'file') {
+    if (audioMode === 'file' || audioMode === 'replay') {
       togglePlayPause();
     }
   }
@@ -1095,26 +2971,10 @@ function keyPressed() {
     }
   }
 
-  if (key === '1') {
-    Settings.layoutMode = 'single';
-    Settings.splitScreen = false;
-    updateWindowSelectorOptions();
-    initializeSystems();
-    resetDrawing();
-  }
-  if (key === '2') {
-    Settings.layoutMode = 'dual';
-    Settings.splitScreen = true;
-    updateWindowSelectorOptions();
-    initializeSystems();
-    resetDrawing();
-  }
-  if (key === '3') {
-    Settings.layoutMode = 'triple';
-    Settings.splitScreen = false;
-    updateWindowSelectorOptions();
-    initializeSystems();
-    resetDrawing();
+  // 1-6: the built-in layouts in LAYOUTS order
+  const layoutKeys = Object.keys(LAYOUTS);
+  if (key >= '1' && key <= String(layoutKeys.length)) {
+    setLayoutMode(layoutKeys[parseInt(key) - 1]);
   }
 
   if (key === 'g' || key === 'G') {
@@ -1139,17 +2999,29 @@ function keyPressed() {
     }
   }
 
+  if (key === 'a' || key === 'A') {
+    toggleAnalysisRecording();
+  }
+
+  if (key === 'v' || key === 'V') {
+    toggleVideoRecording();
+  }
+
+  if (key === 'e' || key === 'E') {
+    exportSvg();
+  }
+
   if (key === '?' || key === '/') {
     toggleHelpModal();
   }
+
+  scheduleSettingsSave();
 }
 
+// Next mode in PHYSICS_MODES (legacy -> reactive -> pendulum -> legacy)
 function togglePhysicsMode() {
-  if (Settings.physicsMode === 'legacy') {
-    Settings.physicsMode = 'reactive';
-  } else {
-    Settings.physicsMode = 'legacy';
-  }
+  const index = PHYSICS_MODES.indexOf(Settings.physicsMode);
+  Settings.physicsMode = PHYSICS_MODES[(index + 1) % PHYSICS_MODES.length];
 
   applySettingToWindows('physicsMode', Settings.physicsMode);
   showModeIndicator();
@@ -1166,8 +3038,9 @@ function showModeIndicator() {
   }, 2000);
 }
 
+// Space would scroll the page; in a field (e.g. linkage planets 'a c-b') it's typing
 window.addEventListener('keydown', function (e) {
-  if (e.code === 'Space' && audioStarted) {
+  if (e.code === 'Space' && audioStarted && !isEditingField()) {
     e.preventDefault();
   }
 });